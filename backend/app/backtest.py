@@ -0,0 +1,136 @@
+import numpy as np
+
+from .inference import load_saved_model
+from .schemas import DataSource
+
+
+def _cutoff_indices(series_len: int, min_index: int, horizon: int, step: int, windows: int) -> list[int]:
+    # The newest cut-off still needs `horizon` realised closes after it.
+    last = series_len - horizon - 1
+    cutoffs: list[int] = []
+    index = last
+    while index >= min_index and len(cutoffs) < windows:
+        cutoffs.append(index)
+        index -= step
+    if not cutoffs:
+        raise ValueError(
+            f"Not enough history to backtest {horizon} steps: need more than {min_index + horizon + 1} rows."
+        )
+    return sorted(cutoffs)
+
+
+def run_walk_forward_backtest(
+    raw_ticker: str,
+    horizon: int,
+    step: int,
+    windows: int,
+    data_source: DataSource = "auto",
+    local_data_dir: str | None = None,
+) -> dict:
+    loaded = load_saved_model(raw_ticker)
+    series, used_source = loaded.fetch_series(data_source=data_source, local_data_dir=local_data_dir)
+    close_values = series.values.astype(np.float32)
+    dates = [idx.strftime("%Y-%m-%d") for idx in series.index]
+
+    cutoffs = _cutoff_indices(
+        series_len=len(close_values),
+        min_index=loaded.input_len + 1,
+        horizon=horizon,
+        step=step,
+        windows=windows,
+    )
+
+    preds = np.stack([loaded.forecast(close_values[: cutoff + 1], horizon) for cutoff in cutoffs])
+    actuals = np.stack([close_values[cutoff + 1 : cutoff + 1 + horizon] for cutoff in cutoffs])
+    anchors = np.array([close_values[cutoff] for cutoff in cutoffs], dtype=np.float32)[:, None]
+
+    abs_err = np.abs(preds - actuals)
+    hits = np.sign(preds - anchors) == np.sign(actuals - anchors)
+    horizon_metrics = [
+        {
+            "step": h + 1,
+            "mae": float(np.mean(abs_err[:, h])),
+            "mape": float(np.mean(abs_err[:, h] / actuals[:, h]) * 100),
+            "hit_rate": float(np.mean(hits[:, h])),
+        }
+        for h in range(horizon)
+    ]
+
+    # Long/flat: at each cut-off go long for min(step, horizon) days when the
+    # forecast ends above the anchor close, then sit flat until the next cut-off.
+    # Each segment runs to the next cut-off so buy & hold covers every day.
+    hold = min(step, horizon)
+    first_close = float(close_values[cutoffs[0]])
+    strategy_equity = 1.0
+    equity = []
+    for row, cutoff in enumerate(cutoffs):
+        segment_end = cutoffs[row + 1] if row + 1 < len(cutoffs) else cutoff + hold
+        is_long = bool(preds[row, -1] > anchors[row, 0])
+        if is_long:
+            strategy_equity *= float(close_values[cutoff + hold] / close_values[cutoff])
+        equity.append(
+            {
+                "date": dates[segment_end],
+                "strategy": strategy_equity,
+                "buy_hold": float(close_values[segment_end]) / first_close,
+                "long": is_long,
+            }
+        )
+    buy_hold_equity = equity[-1]["buy_hold"]
+
+    # The active model was fit on this same history; a window whose realised
+    # closes fall inside the training targets measures fit, not forecasting skill.
+    train_end = loaded.train_end_date
+    in_sample = [train_end is None or dates[cutoff + 1] <= train_end for cutoff in cutoffs]
+    warnings = []
+    if train_end is None:
+        warnings.append(
+            "This checkpoint does not record its training split; retrain it to separate out-of-sample windows."
+        )
+    elif any(in_sample):
+        warnings.append(
+            f"{sum(in_sample)} of {len(cutoffs)} windows overlap the training data (closes up to {train_end}); "
+            "their metrics are in-sample."
+        )
+
+    paths = [
+        {
+            "cutoff_date": dates[cutoff],
+            "cutoff_close": float(close_values[cutoff]),
+            "in_sample": in_sample[row],
+            "forecast": [
+                {"date": dates[cutoff + 1 + h], "value": float(preds[row, h])}
+                for h in range(horizon)
+            ],
+        }
+        for row, cutoff in enumerate(cutoffs)
+    ]
+
+    first = cutoffs[0] - loaded.input_len // 2
+    actual = [
+        {"date": dates[i], "value": float(close_values[i])}
+        for i in range(max(0, first), cutoffs[-1] + horizon + 1)
+    ]
+
+    return {
+        "ticker": loaded.ticker,
+        "source": used_source,
+        "transform": loaded.transform,
+        "model_artifact": str(loaded.artifact_path),
+        "input_len": loaded.input_len,
+        "horizon": horizon,
+        "step": step,
+        "windows": len(cutoffs),
+        "in_sample_windows": sum(in_sample),
+        "train_end_date": train_end,
+        "warnings": warnings,
+        "mae": float(np.mean(abs_err)),
+        "mape": float(np.mean(abs_err / actuals) * 100),
+        "hit_rate": float(np.mean(hits)),
+        "strategy_return": strategy_equity - 1.0,
+        "buy_hold_return": buy_hold_equity - 1.0,
+        "horizon_metrics": horizon_metrics,
+        "equity": equity,
+        "paths": paths,
+        "actual": actual,
+    }
@@ -0,0 +1,129 @@
+import numpy as np
+import pandas as pd
+
+from .data import fetch_close_series, local_symbol_from_ticker
+from .market import forecast_move
+from .schemas import DataSource
+
+# Symbols whose correlation is at least this high end up in the same cluster label.
+CLUSTER_MIN_CORRELATION = 0.5
+
+
+def _aligned_returns(symbols: list[str], local_data_dir: str | None) -> pd.DataFrame:
+    closes = {}
+    for symbol in symbols:
+        _, series, _ = fetch_close_series(raw_ticker=symbol, data_source="local", local_data_dir=local_data_dir)
+        closes[local_symbol_from_ticker(symbol)] = series
+    # Only dates every symbol traded on; a single late listing shortens the whole window.
+    frame = pd.DataFrame(closes).dropna()
+    if (frame <= 0).any().any():
+        raise ValueError("Close prices must be positive to compute log returns.")
+    return np.log(frame).diff().dropna()
+
+
+def _cluster_order(corr: np.ndarray) -> tuple[list[int], list[int]]:
+    """Average-linkage clustering on 1 - correlation.
+
+    Returns the dendrogram leaf order (similar symbols end up adjacent in the
+    matrix) and a flat cluster label per symbol, cut at CLUSTER_MIN_CORRELATION.
+    """
+    size = len(corr)
+    distance = 1.0 - corr.astype(np.float64)
+    np.fill_diagonal(distance, np.inf)
+    members: list[list[int]] = [[i] for i in range(size)]
+    active = np.ones(size, dtype=bool)
+    labels: list[int] | None = None
+
+    for _ in range(size - 1):
+        masked = np.where(np.outer(active, active), distance, np.inf)
+        a, b = np.unravel_index(np.argmin(masked), masked.shape)
+        if labels is None and masked[a, b] > 1.0 - CLUSTER_MIN_CORRELATION:
+            labels = _flat_labels([members[i] for i in np.flatnonzero(active)], size)
+
+        # Lance-Williams update: the merged cluster's distance is the size-weighted mean.
+        weight_a, weight_b = len(members[a]), len(members[b])
+        distance[a, :] = (weight_a * distance[a, :] + weight_b * distance[b, :]) / (weight_a + weight_b)
+        distance[:, a] = distance[a, :]
+        distance[a, a] = np.inf
+        members[a] = members[a] + members[b]
+        active[b] = False
+
+    root = int(np.flatnonzero(active)[0])
+    if labels is None:
+        labels = _flat_labels([members[root]], size)
+    return members[root], labels
+
+
+def _flat_labels(clusters: list[list[int]], size: int) -> list[int]:
+    labels = [0] * size
+    for label, cluster in enumerate(sorted(clusters, key=min)):
+        for index in cluster:
+            labels[index] = label
+    return labels
+
+
+def correlation_matrix(
+    symbols: list[str],
+    window: int,
+    horizon: int,
+    local_data_dir: str | None = None,
+    data_source: DataSource = "local",
+) -> dict:
+    """Correlation of daily log returns over the last `window` common sessions, in clustered order.
+
+    Each symbol also carries its projected `horizon`-day move (None without a
+    model) so the page can flag correlated names whose forecasts disagree.
+    """
+    returns = _aligned_returns(symbols, local_data_dir)
+    if len(returns) < window:
+        raise ValueError(f"Only {len(returns)} common trading days across the selection, need {window}.")
+
+    recent = returns.tail(window)
+    # A flat series has no variance; treat it as uncorrelated rather than NaN.
+    corr = np.nan_to_num(recent.corr().to_numpy(), nan=0.0)
+    np.fill_diagonal(corr, 1.0)
+    order, labels = _cluster_order(corr)
+
+    names = list(returns.columns)
+    forecasts = {}
+    for name in names:
+        move = forecast_move(name, horizon, data_source, local_data_dir)
+        forecasts[name] = move.get("change_pct")
+
+    return {
+        "window": window,
+        "horizon": horizon,
+        "start": recent.index[0].strftime("%Y-%m-%d"),
+        "end": recent.index[-1].strftime("%Y-%m-%d"),
+        "symbols": [names[i] for i in order],
+        "clusters": [labels[i] for i in order],
+        "matrix": [[float(corr[i, j]) for j in order] for i in order],
+        "forecast_change_pct": [forecasts[names[i]] for i in order],
+    }
+
+
+def rolling_pair_correlation(
+    a: str,
+    b: str,
+    window: int,
+    lookback: int,
+    local_data_dir: str | None = None,
+) -> dict:
+    returns = _aligned_returns([a, b], local_data_dir)
+    if returns.shape[1] < 2:
+        raise ValueError("Pick two different symbols.")
+    if len(returns) < window + 1:
+        raise ValueError(f"Only {len(returns)} common trading days, need more than {window}.")
+
+    first, second = returns.columns
+    rolling = returns[first].rolling(window).corr(returns[second]).dropna().tail(lookback)
+    return {
+        "a": first,
+        "b": second,
+        "window": window,
+        "points": [
+            {"date": idx.strftime("%Y-%m-%d"), "value": float(value)}
+            for idx, value in rolling.items()
+            if np.isfinite(value)
+        ],
+    }
@@ -6,6 +6,8 @@ import numpy as np
 import pandas as pd
 import yfinance as yf
 
+from .trading_calendar import next_trading_days
+
 DataSource = Literal["auto", "local", "yfinance"]
 
 DEFAULT_LOCAL_DATA_DIR = Path(__file__).resolve().parents[1] / "data"
@@ -23,6 +25,8 @@ class PreparedDataset:
     mean: float
     std: float
     transform: str
+    # Date of the last close that appears in any training target window.
+    train_end_date: str
 
 
 def normalize_indian_ticker(raw_ticker: str) -> str:
@@ -53,42 +57,63 @@ def list_available_symbols(local_data_dir: str | None = None) -> list[str]:
     return symbols
 
 
-def _extract_close_series_from_df(df: pd.DataFrame) -> pd.Series:
+OHLCV_COLUMNS = ["Open", "High", "Low", "Close", "Volume"]
+
+
+def _find_column(df: pd.DataFrame, name: str):
+    target = name.lower()
     if isinstance(df.columns, pd.MultiIndex):
-        close_cols = [col for col in df.columns if str(col[0]).strip().lower() == "close"]
-        if not close_cols:
-            raise ValueError("No Close column found in multi-index CSV.")
-        close = pd.to_numeric(df[close_cols[0]], errors="coerce")
-
-        date_cols = [
-            col for col in df.columns if str(col[0]).strip().lower() in {"date", "price"}
-        ]
-        if date_cols:
-            dates = pd.to_datetime(df[date_cols[0]], errors="coerce")
-        else:
-            dates = pd.to_datetime(df.index, errors="coerce")
-    else:
-        close_col = next((c for c in df.columns if str(c).strip().lower() == "close"), None)
-        if close_col is None:
-            raise ValueError("No Close column found in CSV.")
-        close = pd.to_numeric(df[close_col], errors="coerce")
-
-        date_col = next(
-            (c for c in df.columns if str(c).strip().lower() in {"date", "price"}),
-            None,
-        )
-        if date_col is None:
-            date_col = df.columns[0]
-        dates = pd.to_datetime(df[date_col], errors="coerce")
+        return next((col for col in df.columns if str(col[0]).strip().lower() == target), None)
+    return next((c for c in df.columns if str(c).strip().lower() == target), None)
+
+
+def _extract_dates(df: pd.DataFrame) -> pd.DatetimeIndex:
+    date_col = _find_column(df, "date") or _find_column(df, "price")
+    if date_col is not None:
+        return pd.DatetimeIndex(pd.to_datetime(df[date_col], errors="coerce"))
+    if isinstance(df.columns, pd.MultiIndex):
+        return pd.DatetimeIndex(pd.to_datetime(df.index, errors="coerce"))
+    return pd.DatetimeIndex(pd.to_datetime(df[df.columns[0]], errors="coerce"))
+
+
+def _clean_index(frame: pd.DataFrame | pd.Series) -> pd.DataFrame | pd.Series:
+    frame.index = pd.to_datetime(frame.index).tz_localize(None)
+    frame = frame[frame.index.notna()]
+    frame = frame[~frame.index.duplicated(keep="last")]
+    return frame.sort_index()
+
+
+def _extract_close_series_from_df(df: pd.DataFrame) -> pd.Series:
+    close_col = _find_column(df, "close")
+    if close_col is None:
+        suffix = " in multi-index CSV" if isinstance(df.columns, pd.MultiIndex) else " in CSV"
+        raise ValueError(f"No Close column found{suffix}.")
+    close = pd.to_numeric(df[close_col], errors="coerce")
 
-    series = pd.Series(close.values, index=dates)
+    series = pd.Series(close.values, index=_extract_dates(df))
     series = series.dropna().astype(float)
-    series.index = pd.to_datetime(series.index).tz_localize(None)
-    series = series[~series.index.duplicated(keep="last")]
-    return series.sort_index()
+    return _clean_index(series)
 
 
-def _load_close_from_local_csv(csv_path: Path) -> pd.Series:
+def _extract_ohlcv_from_df(df: pd.DataFrame) -> pd.DataFrame:
+    columns = {name: _find_column(df, name) for name in OHLCV_COLUMNS}
+    missing = [name for name in ["Open", "High", "Low", "Close"] if columns[name] is None]
+    if missing:
+        raise ValueError(f"Missing OHLC columns in CSV: {', '.join(missing)}.")
+
+    frame = pd.DataFrame(
+        {
+            name: pd.to_numeric(df[col], errors="coerce").values if col is not None else 0.0
+            for name, col in columns.items()
+        },
+        index=_extract_dates(df),
+    )
+    frame = frame.dropna(subset=["Open", "High", "Low", "Close"])
+    frame["Volume"] = frame["Volume"].fillna(0.0)
+    return _clean_index(frame.astype(float))
+
+
+def _load_from_local_csv(csv_path: Path, extract, label: str):
     attempts = [
         {"skiprows": [1, 2]},
         {},
@@ -99,16 +124,20 @@ def _load_close_from_local_csv(csv_path: Path) -> pd.Series:
     for kwargs in attempts:
         try:
             df = pd.read_csv(csv_path, **kwargs)
-            series = _extract_close_series_from_df(df)
-            if len(series) >= 2:
-                return series
+            result = extract(df)
+            if len(result) >= 2:
+                return result
         except Exception as exc:  # noqa: PERF203
             last_error = exc
 
-    raise ValueError(f"Could not parse Close prices from '{csv_path}': {last_error}")
+    raise ValueError(f"Could not parse {label} from '{csv_path}': {last_error}")
 
 
-def _fetch_close_from_local(raw_ticker: str, local_data_dir: str | None = None) -> pd.Series:
+def _load_close_from_local_csv(csv_path: Path) -> pd.Series:
+    return _load_from_local_csv(csv_path, _extract_close_series_from_df, "Close prices")
+
+
+def _local_csv_path(raw_ticker: str, local_data_dir: str | None = None) -> Path:
     symbol = local_symbol_from_ticker(raw_ticker)
     data_dir = Path(local_data_dir) if local_data_dir else DEFAULT_LOCAL_DATA_DIR
     candidates = [
@@ -117,11 +146,15 @@ def _fetch_close_from_local(raw_ticker: str, local_data_dir: str | None = None)
     ]
     for path in candidates:
         if path.exists():
-            return _load_close_from_local_csv(path)
+            return path
     raise FileNotFoundError(f"No local CSV found for ticker '{symbol}' in '{data_dir}'.")
 
 
-def _fetch_close_from_yfinance(raw_ticker: str, period: str, interval: str) -> tuple[str, pd.Series]:
+def _fetch_close_from_local(raw_ticker: str, local_data_dir: str | None = None) -> pd.Series:
+    return _load_close_from_local_csv(_local_csv_path(raw_ticker, local_data_dir))
+
+
+def _download_yfinance(raw_ticker: str, period: str, interval: str) -> tuple[str, pd.DataFrame]:
     ticker = normalize_indian_ticker(raw_ticker)
     df = yf.download(
         tickers=ticker,
@@ -133,15 +166,32 @@ def _fetch_close_from_yfinance(raw_ticker: str, period: str, interval: str) -> t
     )
     if df.empty:
         raise ValueError(f"No data returned for ticker '{ticker}'.")
+    return ticker, df
 
-    close = df["Close"]
-    if isinstance(close, pd.DataFrame):
-        close = close.iloc[:, 0]
-    close = close.dropna().astype(float)
+
+def _yfinance_column(df: pd.DataFrame, name: str) -> pd.Series:
+    column = df[name]
+    if isinstance(column, pd.DataFrame):
+        column = column.iloc[:, 0]
+    return column
+
+
+def _fetch_close_from_yfinance(raw_ticker: str, period: str, interval: str) -> tuple[str, pd.Series]:
+    ticker, df = _download_yfinance(raw_ticker, period, interval)
+    close = _yfinance_column(df, "Close").dropna().astype(float)
     close.index = pd.to_datetime(close.index).tz_localize(None)
     return ticker, close
 
 
+def _fetch_ohlcv_from_yfinance(raw_ticker: str, period: str, interval: str) -> tuple[str, pd.DataFrame]:
+    ticker, df = _download_yfinance(raw_ticker, period, interval)
+    frame = pd.DataFrame({name: _yfinance_column(df, name) for name in OHLCV_COLUMNS})
+    frame = frame.dropna(subset=["Open", "High", "Low", "Close"])
+    frame["Volume"] = frame["Volume"].fillna(0.0)
+    frame.index = pd.to_datetime(frame.index).tz_localize(None)
+    return ticker, frame.astype(float)
+
+
 def fetch_close_series(
     raw_ticker: str,
     period: str = "5y",
@@ -173,10 +223,39 @@ def fetch_close_series(
     return yf_ticker, yf_series, "yfinance"
 
 
+def fetch_ohlcv_frame(
+    raw_ticker: str,
+    period: str = "5y",
+    interval: str = "1d",
+    data_source: DataSource = "auto",
+    local_data_dir: str | None = None,
+) -> tuple[str, pd.DataFrame, DataSource]:
+    ticker = normalize_indian_ticker(raw_ticker)
+
+    if data_source in {"auto", "local"}:
+        try:
+            csv_path = _local_csv_path(raw_ticker=ticker, local_data_dir=local_data_dir)
+            frame = _load_from_local_csv(csv_path, _extract_ohlcv_from_df, "OHLCV bars")
+            return ticker, frame, "local"
+        except Exception:
+            if data_source == "local":
+                raise
+
+    yf_ticker, yf_frame = _fetch_ohlcv_from_yfinance(
+        raw_ticker=ticker,
+        period=period,
+        interval=interval,
+    )
+    return yf_ticker, yf_frame, "yfinance"
+
+
 def close_to_log_returns(close_values: np.ndarray) -> np.ndarray:
     close_values = close_values.astype(np.float64)
-    if np.any(close_values <= 0):
-        raise ValueError("Close prices must be positive for log-return transform.")
+    non_positive = int(np.sum(close_values <= 0))
+    if non_positive:
+        raise ValueError(
+            f"Close prices must be positive for log-return transform; found {non_positive} non-positive rows."
+        )
     returns = np.diff(np.log(close_values))
     return returns.astype(np.float32)
 
@@ -224,6 +303,8 @@ def prepare_dataset(
     y_train = y_all[:split_idx]
     x_val = x_all[split_idx:]
     y_val = y_all[split_idx:]
+    # Window k covers returns k .. k+input_len+pred_len-1; return i ends on close i+1.
+    train_end_date = close_series.index[split_idx - 1 + input_len + pred_len].strftime("%Y-%m-%d")
 
     mean = float(np.mean(x_train))
     std = float(np.std(x_train))
@@ -246,14 +327,10 @@ def prepare_dataset(
         mean=mean,
         std=std,
         transform="log_return",
+        train_end_date=train_end_date,
     )
 
 
 def make_future_business_days(last_date: pd.Timestamp, horizon: int) -> list[pd.Timestamp]:
-    dates: list[pd.Timestamp] = []
-    current = pd.Timestamp(last_date)
-    while len(dates) < horizon:
-        current = current + pd.Timedelta(days=1)
-        if current.weekday() < 5:
-            dates.append(current)
-    return dates
\ No newline at end of file
+    # Weekdays that are not NSE holidays, so forecast dates line up with real sessions.
+    return next_trading_days(last_date, horizon)
\ No newline at end of file
@@ -0,0 +1,113 @@
+import numpy as np
+import torch
+
+from .data import close_to_log_returns, make_future_business_days
+from .inference import load_saved_model
+from .schemas import DataSource
+
+
+def _normalized_window(close_values: np.ndarray, transform: str, input_len: int, mean: float, std: float) -> np.ndarray:
+    # Same preprocessing as the forecast path, so the explanation is of the exact first model pass.
+    if transform == "log_return":
+        if len(close_values) < input_len + 1:
+            raise ValueError(f"Need at least {input_len + 1} close points, got {len(close_values)}.")
+        window = close_to_log_returns(close_values[-(input_len + 1) :])
+    else:
+        if len(close_values) < input_len:
+            raise ValueError(f"Need at least {input_len} close points, got {len(close_values)}.")
+        window = close_values[-input_len:]
+    return ((window - mean) / std).astype(np.float32)
+
+
+def explain_forecast(
+    raw_ticker: str,
+    data_source: DataSource = "auto",
+    local_data_dir: str | None = None,
+    model_version: str | None = None,
+) -> dict:
+    """Splits the model's first `pred_len` outputs into trend, seasonal and bias parts.
+
+    DLinear is linear after the moving-average decomposition, so each output step
+    is exactly W_trend @ trend + W_seasonal @ seasonal + bias; nothing is approximated.
+    """
+    loaded = load_saved_model(raw_ticker, model_version)
+    series, used_source = loaded.fetch_series(data_source=data_source, local_data_dir=local_data_dir)
+    close_values = series.values.astype(np.float32)
+    window = _normalized_window(close_values, loaded.transform, loaded.input_len, loaded.mean, loaded.std)
+
+    model = loaded.model
+    with torch.no_grad():
+        x = torch.tensor(window, dtype=torch.float32, device=loaded.device).view(1, loaded.input_len, 1)
+        seasonal, trend = model.decompsition(x)
+    seasonal = seasonal.cpu().numpy().reshape(-1).astype(np.float64)
+    trend = trend.cpu().numpy().reshape(-1).astype(np.float64)
+
+    seasonal_weights = model.Linear_Seasonal.weight.detach().cpu().numpy().astype(np.float64)
+    trend_weights = model.Linear_Trend.weight.detach().cpu().numpy().astype(np.float64)
+    bias = (
+        model.Linear_Seasonal.bias.detach().cpu().numpy() + model.Linear_Trend.bias.detach().cpu().numpy()
+    ).astype(np.float64)
+
+    # Map z-scores back to the model's target: log returns (reported in %) or close prices.
+    if loaded.transform == "log_return":
+        scale, offset, unit = loaded.std * 100, loaded.mean * 100, "return_pct"
+    else:
+        scale, offset, unit = loaded.std, loaded.mean, "price"
+
+    seasonal_part = seasonal_weights @ seasonal * scale
+    trend_part = trend_weights @ trend * scale
+    bias_part = bias * scale + offset
+
+    window_dates = [idx.strftime("%Y-%m-%d") for idx in series.index[-loaded.input_len :]]
+    future_dates = make_future_business_days(series.index[-1], loaded.pred_len)
+
+    steps = [
+        {
+            "step": h + 1,
+            "date": future_dates[h].strftime("%Y-%m-%d"),
+            "trend": float(trend_part[h]),
+            "seasonal": float(seasonal_part[h]),
+            "bias": float(bias_part[h]),
+            "total": float(trend_part[h] + seasonal_part[h] + bias_part[h]),
+        }
+        for h in range(loaded.pred_len)
+    ]
+
+    # Average over output steps of weight x input: how much each past day moved the forecast.
+    lag_trend = (trend_weights * trend).mean(axis=0) * scale
+    lag_seasonal = (seasonal_weights * seasonal).mean(axis=0) * scale
+    lags = [
+        {
+            "lag": loaded.input_len - i,
+            "date": window_dates[i],
+            "trend": float(lag_trend[i]),
+            "seasonal": float(lag_seasonal[i]),
+        }
+        for i in range(loaded.input_len)
+    ]
+
+    return {
+        "ticker": loaded.ticker,
+        "source": used_source,
+        "transform": loaded.transform,
+        "model_artifact": str(loaded.artifact_path),
+        "model_version": loaded.version,
+        "input_len": loaded.input_len,
+        "pred_len": loaded.pred_len,
+        "last_close": float(series.iloc[-1]),
+        "kernel_size": int(model.decompsition.moving_avg.kernel_size),
+        "unit": unit,
+        "window": [
+            {
+                "date": window_dates[i],
+                "value": float(window[i]),
+                "trend": float(trend[i]),
+                "seasonal": float(seasonal[i]),
+            }
+            for i in range(loaded.input_len)
+        ],
+        "steps": steps,
+        "lags": lags,
+        "trend_weights": trend_weights.tolist(),
+        "seasonal_weights": seasonal_weights.tolist(),
+    }
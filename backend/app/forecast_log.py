@@ -0,0 +1,162 @@
+import json
+import threading
+import uuid
+from datetime import datetime, timezone
+from pathlib import Path
+
+import numpy as np
+
+from .data import fetch_close_series, normalize_indian_ticker
+from .registry import ARTIFACT_DIR
+
+LOG_PATH = ARTIFACT_DIR / "forecast_log.jsonl"
+_log_lock = threading.Lock()
+
+
+def record_forecast(result: dict, data_source: str, local_data_dir: str | None = None) -> dict:
+    """Appends a predict result to the log; only the inputs and forecast values are kept."""
+    entry = {
+        "id": uuid.uuid4().hex[:12],
+        "created_at_utc": datetime.now(timezone.utc).isoformat(timespec="seconds"),
+        "ticker": result["ticker"],
+        "source": result["source"],
+        "data_source": data_source,
+        "local_data_dir": local_data_dir,
+        "model_artifact": Path(result["model_artifact"]).name,
+        "model_version": result["model_version"],
+        "transform": result["transform"],
+        "input_len": result["input_len"],
+        "horizon": result["horizon"],
+        "last_date": result["history"][-1]["date"],
+        "last_close": result["last_close"],
+        "forecast": [{"date": point["date"], "value": point["value"]} for point in result["forecast"]],
+    }
+    with _log_lock, LOG_PATH.open("a", encoding="utf-8") as handle:
+        handle.write(json.dumps(entry) + "\n")
+    return entry
+
+
+def read_forecast_log() -> list[dict]:
+    try:
+        lines = LOG_PATH.read_text(encoding="utf-8").splitlines()
+    except FileNotFoundError:
+        return []
+
+    entries = []
+    for line in lines:
+        try:
+            entries.append(json.loads(line))
+        except json.JSONDecodeError:
+            # A line cut short by a crash mid-write shouldn't hide the rest of the log.
+            continue
+    return entries
+
+
+def delete_forecast(entry_id: str) -> None:
+    with _log_lock:
+        entries = read_forecast_log()
+        kept = [entry for entry in entries if entry["id"] != entry_id]
+        if len(kept) == len(entries):
+            raise FileNotFoundError(f"Forecast '{entry_id}' not found in the log.")
+        LOG_PATH.write_text("".join(json.dumps(entry) + "\n" for entry in kept), encoding="utf-8")
+
+
+def _actual_closes(entry: dict, cache: dict) -> tuple[dict[str, float], str | None]:
+    # Entries are scored against the same source they were forecast from.
+    key = (entry["ticker"], entry["source"], entry.get("local_data_dir"))
+    if key not in cache:
+        try:
+            _, series, _ = fetch_close_series(
+                raw_ticker=entry["ticker"],
+                data_source=entry["source"],
+                local_data_dir=entry.get("local_data_dir"),
+            )
+            closes = {idx.strftime("%Y-%m-%d"): float(value) for idx, value in series.items()}
+            cache[key] = (closes, max(closes) if closes else None)
+        except Exception:
+            cache[key] = ({}, None)
+    return cache[key]
+
+
+def score_entry(entry: dict, closes: dict[str, float], last_actual_date: str | None) -> dict:
+    base = entry["last_close"]
+    points = []
+    due = 0
+    for point in entry["forecast"]:
+        is_due = last_actual_date is not None and point["date"] <= last_actual_date
+        due += is_due
+        actual = closes.get(point["date"]) if is_due else None
+        scored = actual is not None and actual > 0
+        points.append(
+            {
+                "date": point["date"],
+                "forecast": point["value"],
+                "actual": actual,
+                "abs_pct_error": abs(point["value"] - actual) / actual * 100 if scored else None,
+                "hit": bool(np.sign(point["value"] - base) == np.sign(actual - base)) if scored else None,
+            }
+        )
+
+    errors = [point["abs_pct_error"] for point in points if point["abs_pct_error"] is not None]
+    hits = [point["hit"] for point in points if point["hit"] is not None]
+    # Due dates without a close (exchange holidays) still count as due.
+    if due == 0:
+        status = "pending"
+    elif due < len(points):
+        status = "partial"
+    else:
+        status = "scored"
+
+    return {
+        **{key: value for key, value in entry.items() if key not in {"forecast", "local_data_dir"}},
+        "status": status,
+        "scored_points": len(errors),
+        "mape": float(np.mean(errors)) if errors else None,
+        "hit_rate": float(np.mean(hits)) if hits else None,
+        "points": points,
+    }
+
+
+def _summarize(scored: list[dict], key_field: str) -> list[dict]:
+    groups: dict[str, list[dict]] = {}
+    for entry in scored:
+        groups.setdefault(entry[key_field], []).append(entry)
+
+    summaries = []
+    for key, entries in groups.items():
+        # Pool the individual points so a forecast with more realised days weighs more.
+        points = [point for entry in entries for point in entry["points"] if point["abs_pct_error"] is not None]
+        summaries.append(
+            {
+                "key": key,
+                "ticker": entries[0]["ticker"],
+                "forecasts": len(entries),
+                "scored_forecasts": sum(1 for entry in entries if entry["scored_points"]),
+                "scored_points": len(points),
+                "mape": float(np.mean([point["abs_pct_error"] for point in points])) if points else None,
+                "hit_rate": float(np.mean([point["hit"] for point in points])) if points else None,
+                "last_forecast_at": max(entry["created_at_utc"] for entry in entries),
+            }
+        )
+    return sorted(summaries, key=lambda item: item["key"])
+
+
+def score_forecast_log(ticker: str | None = None, model: str | None = None, limit: int = 200) -> dict:
+    entries = read_forecast_log()
+    if ticker:
+        normalized = normalize_indian_ticker(ticker)
+        entries = [entry for entry in entries if entry["ticker"] == normalized]
+    if model:
+        entries = [entry for entry in entries if entry["model_artifact"] == model]
+
+    cache: dict = {}
+    scored = [score_entry(entry, *_actual_closes(entry, cache)) for entry in entries]
+    scored.sort(key=lambda entry: entry["created_at_utc"], reverse=True)
+
+    return {
+        "total": len(scored),
+        "scored_at_utc": datetime.now(timezone.utc).isoformat(timespec="seconds"),
+        "by_ticker": _summarize(scored, "ticker"),
+        "by_model": _summarize(scored, "model_artifact"),
+        "entries": scored[:limit],
+    }
@@ -1,31 +1,79 @@
+import threading
+from dataclasses import dataclass
 from pathlib import Path
 from types import SimpleNamespace
 
 import numpy as np
+import pandas as pd
 import torch
 
-from .data import close_to_log_returns, fetch_close_series, make_future_business_days, normalize_indian_ticker
+from .data import (
+    close_to_log_returns,
+    fetch_close_series,
+    fetch_ohlcv_frame,
+    make_future_business_days,
+)
 from .model import Model
+from .registry import ARTIFACT_DIR, artifact_sort_key, artifact_version, read_pins, resolve_artifact
 from .schemas import DataSource
 
-ARTIFACT_DIR = Path(__file__).resolve().parents[1] / "artifacts"
+# Two-sided normal quantiles for the central prediction intervals we report.
+INTERVAL_Z_SCORES = {50: 0.6745, 90: 1.6449}
 
+# Loaded models keyed by artifact path, each with the file mtime it was read at, so
+# universe-wide callers (the market overview) don't re-read every checkpoint per request.
+_model_cache: dict[Path, tuple[float, "LoadedModel"]] = {}
+_model_cache_lock = threading.Lock()
 
-def sanitize_ticker_for_filename(ticker: str) -> str:
-    return ticker.replace("^", "INDEX_").replace(".", "_").replace("/", "_").replace(" ", "_")
 
-
-def find_latest_artifact_for_ticker(raw_ticker: str) -> Path:
-    normalized = normalize_indian_ticker(raw_ticker)
-    safe = sanitize_ticker_for_filename(normalized)
-    matches = sorted(
-        ARTIFACT_DIR.glob(f"{safe}_in*_out*.pt"),
+def list_saved_artifacts() -> list[dict]:
+    paths = sorted(
+        ARTIFACT_DIR.glob("*_in*_out*.pt"),
         key=lambda p: p.stat().st_mtime,
         reverse=True,
     )
-    if not matches:
-        raise FileNotFoundError(f"No trained model found for '{normalized}'. Train first.")
-    return matches[0]
+    pins = read_pins()
+
+    artifacts: list[dict] = []
+    for path in paths:
+        try:
+            checkpoint = torch.load(path, map_location="cpu")
+        except Exception:
+            continue
+
+        ticker = checkpoint.get("ticker", path.stem)
+        artifacts.append(
+            {
+                "artifact": path.name,
+                "ticker": ticker,
+                "version": artifact_version(path),
+                "source": checkpoint.get("source"),
+                "period": checkpoint.get("period"),
+                "transform": checkpoint.get("transform", "close_zscore"),
+                "input_len": int(checkpoint["input_len"]),
+                "pred_len": int(checkpoint["pred_len"]),
+                "train_loss": checkpoint.get("train_loss"),
+                "val_loss": checkpoint.get("val_loss"),
+                "val_rmse": checkpoint.get("val_rmse"),
+                "direction_accuracy": checkpoint.get("direction_accuracy"),
+                "train_samples": checkpoint.get("train_samples"),
+                "val_samples": checkpoint.get("val_samples"),
+                "trained_at_utc": checkpoint.get("trained_at_utc"),
+                "is_pinned": pins.get(ticker) == path.name,
+                "is_active": False,
+            }
+        )
+
+    # Mirrors resolve_artifact: the pinned version wins, otherwise the newest.
+    by_ticker: dict[str, list[dict]] = {}
+    for item in artifacts:
+        by_ticker.setdefault(item["ticker"], []).append(item)
+    for items in by_ticker.values():
+        pinned = [item for item in items if item["is_pinned"]]
+        active = pinned[0] if pinned else max(items, key=lambda item: artifact_sort_key(ARTIFACT_DIR / item["artifact"]))
+        active["is_active"] = True
+
+    return artifacts
 
 
 def iterative_forecast(model: Model, normalized_window: np.ndarray, input_len: int, horizon: int, device: torch.device) -> np.ndarray:
@@ -54,22 +102,48 @@ def get_history_for_ticker(
     data_source: DataSource = "auto",
     local_data_dir: str | None = None,
     period: str = "5y",
+    include_ohlcv: bool = False,
 ) -> dict:
-    ticker, series, used_source = fetch_close_series(
-        raw_ticker=raw_ticker,
-        period=period,
-        data_source=data_source,
-        local_data_dir=local_data_dir,
-    )
+    if include_ohlcv:
+        ticker, frame, used_source = fetch_ohlcv_frame(
+            raw_ticker=raw_ticker,
+            period=period,
+            data_source=data_source,
+            local_data_dir=local_data_dir,
+        )
+        series = frame["Close"]
+    else:
+        ticker, series, used_source = fetch_close_series(
+            raw_ticker=raw_ticker,
+            period=period,
+            data_source=data_source,
+            local_data_dir=local_data_dir,
+        )
     history_series = series.tail(history_points)
     history = [
         {"date": idx.strftime("%Y-%m-%d"), "value": float(value)}
         for idx, value in history_series.items()
     ]
+
+    bars = None
+    if include_ohlcv:
+        bars = [
+            {
+                "date": idx.strftime("%Y-%m-%d"),
+                "open": float(row["Open"]),
+                "high": float(row["High"]),
+                "low": float(row["Low"]),
+                "close": float(row["Close"]),
+                "volume": float(row["Volume"]),
+            }
+            for idx, row in frame.tail(history_points).iterrows()
+        ]
+
     return {
         "ticker": ticker,
         "source": used_source,
         "history": history,
+        "bars": bars,
     }
 
 
@@ -127,14 +201,87 @@ def _predict_from_close_level_model(
     return (normalized_pred * std + mean).astype(np.float32)
 
 
-def predict_with_saved_model(
-    raw_ticker: str,
-    horizon: int,
-    history_points: int,
-    data_source: DataSource = "auto",
-    local_data_dir: str | None = None,
-) -> dict:
-    artifact_path = find_latest_artifact_for_ticker(raw_ticker)
+@dataclass
+class LoadedModel:
+    model: Model
+    device: torch.device
+    artifact_path: Path
+    checkpoint: dict
+    ticker: str
+    period: str
+    source: str
+    transform: str
+    input_len: int
+    pred_len: int
+    mean: float
+    std: float
+    val_rmse: float | None
+    version: int
+    # Missing from checkpoints saved before the training split was recorded.
+    train_end_date: str | None = None
+
+    def forecast(self, close_values: np.ndarray, horizon: int) -> np.ndarray:
+        predict = (
+            _predict_from_log_return_model
+            if self.transform == "log_return"
+            else _predict_from_close_level_model
+        )
+        return predict(
+            model=self.model,
+            series=close_values,
+            input_len=self.input_len,
+            mean=self.mean,
+            std=self.std,
+            horizon=horizon,
+            device=self.device,
+        )
+
+    def fetch_series(
+        self,
+        data_source: DataSource = "auto",
+        local_data_dir: str | None = None,
+    ) -> tuple[pd.Series, DataSource]:
+        preferred_source: DataSource = data_source
+        if preferred_source == "auto":
+            preferred_source = self.source
+        _, series, used_source = fetch_close_series(
+            raw_ticker=self.ticker,
+            period=self.period,
+            data_source=preferred_source,
+            local_data_dir=local_data_dir,
+        )
+        return series, used_source
+
+    def intervals(self, close_values: np.ndarray, forecast_values: np.ndarray) -> tuple[dict[int, tuple[np.ndarray, np.ndarray]], str]:
+        # Per-step error scale is the validation RMSE mapped back out of z-scores,
+        # widened by sqrt(step); older checkpoints fall back to window volatility.
+        steps = np.sqrt(np.arange(1, len(forecast_values) + 1, dtype=np.float64))
+        window = close_values[-(self.input_len + 1) :].astype(np.float64)
+
+        if self.val_rmse is not None:
+            sigma = self.val_rmse * self.std
+            method = "validation_residuals"
+        elif self.transform == "log_return":
+            sigma = float(np.std(close_to_log_returns(window)))
+            method = "historical_volatility"
+        else:
+            sigma = float(np.std(np.diff(window)))
+            method = "historical_volatility"
+
+        bands: dict[int, tuple[np.ndarray, np.ndarray]] = {}
+        for level, z in INTERVAL_Z_SCORES.items():
+            spread = z * sigma * steps
+            if self.transform == "log_return":
+                lower = forecast_values * np.exp(-spread)
+                upper = forecast_values * np.exp(spread)
+            else:
+                lower = forecast_values - spread
+                upper = forecast_values + spread
+            bands[level] = (lower.astype(np.float32), upper.astype(np.float32))
+        return bands, method
+
+
+def _read_model(artifact_path: Path) -> LoadedModel:
     device = torch.device("cuda" if torch.cuda.is_available() else "cpu")
 
     checkpoint = torch.load(artifact_path, map_location=device)
@@ -146,69 +293,117 @@ def predict_with_saved_model(
     model.load_state_dict(checkpoint["state_dict"])
     model.eval()
 
-    ticker = checkpoint["ticker"]
-    period = checkpoint.get("period", "5y")
-    transform = checkpoint.get("transform", "close_zscore")
-    preferred_source: DataSource = data_source
-    if preferred_source == "auto":
-        preferred_source = checkpoint.get("source", "auto")
-
-    mean = float(checkpoint["mean"])
     std = float(checkpoint["std"])
     if std < 1e-8:
         std = 1.0
 
-    _, series, used_source = fetch_close_series(
-        raw_ticker=ticker,
-        period=period,
-        data_source=preferred_source,
-        local_data_dir=local_data_dir,
+    return LoadedModel(
+        model=model,
+        device=device,
+        artifact_path=artifact_path,
+        checkpoint=checkpoint,
+        ticker=checkpoint["ticker"],
+        period=checkpoint.get("period", "5y"),
+        source=checkpoint.get("source", "auto"),
+        transform=checkpoint.get("transform", "close_zscore"),
+        input_len=input_len,
+        pred_len=pred_len,
+        mean=float(checkpoint["mean"]),
+        std=std,
+        val_rmse=checkpoint.get("val_rmse"),
+        version=artifact_version(artifact_path),
+        train_end_date=checkpoint.get("train_end_date"),
     )
 
+
+def load_saved_model(raw_ticker: str, artifact: str | None = None) -> LoadedModel:
+    artifact_path = resolve_artifact(raw_ticker, artifact)
+    mtime = artifact_path.stat().st_mtime
+    with _model_cache_lock:
+        cached = _model_cache.get(artifact_path)
+    if cached is not None and cached[0] == mtime:
+        return cached[1]
+
+    loaded = _read_model(artifact_path)
+    with _model_cache_lock:
+        _model_cache[artifact_path] = (mtime, loaded)
+    return loaded
+
+
+def forecast_points(loaded: LoadedModel, series: pd.Series, horizon: int) -> tuple[list[dict], str]:
+    """Forecast `horizon` trading days past the end of `series`, with interval bands per point."""
     close_values = series.values.astype(np.float32)
+    forecast_values = loaded.forecast(close_values, horizon)
+    bands, interval_method = loaded.intervals(close_values, forecast_values)
+    future_dates = make_future_business_days(series.index[-1], horizon)
 
-    if transform == "log_return":
-        forecast_values = _predict_from_log_return_model(
-            model=model,
-            series=close_values,
-            input_len=input_len,
-            mean=mean,
-            std=std,
-            horizon=horizon,
-            device=device,
-        )
-    else:
-        forecast_values = _predict_from_close_level_model(
-            model=model,
-            series=close_values,
-            input_len=input_len,
-            mean=mean,
-            std=std,
-            horizon=horizon,
-            device=device,
-        )
+    forecast: list[dict] = []
+    for i, (dt, value) in enumerate(zip(future_dates, forecast_values, strict=True)):
+        point = {"date": dt.strftime("%Y-%m-%d"), "value": float(value)}
+        for level, (lower, upper) in bands.items():
+            point[f"lower_{level}"] = float(lower[i])
+            point[f"upper_{level}"] = float(upper[i])
+        forecast.append(point)
+    return forecast, interval_method
+
+
+def export_model_weights(raw_ticker: str, artifact: str | None = None) -> dict:
+    """Everything a client needs to rerun `LoadedModel.forecast` and `intervals` without torch."""
+    loaded = load_saved_model(raw_ticker, artifact)
+    model = loaded.model
+
+    def tensor_list(tensor: torch.Tensor) -> list:
+        return tensor.detach().cpu().numpy().astype(np.float64).tolist()
+
+    return {
+        "ticker": loaded.ticker,
+        "artifact": loaded.artifact_path.name,
+        "version": loaded.version,
+        "transform": loaded.transform,
+        "input_len": loaded.input_len,
+        "pred_len": loaded.pred_len,
+        "kernel_size": int(model.decompsition.moving_avg.kernel_size),
+        "mean": loaded.mean,
+        "std": loaded.std,
+        "val_rmse": loaded.val_rmse,
+        "interval_z_scores": {str(level): z for level, z in INTERVAL_Z_SCORES.items()},
+        "trend_weight": tensor_list(model.Linear_Trend.weight),
+        "trend_bias": tensor_list(model.Linear_Trend.bias),
+        "seasonal_weight": tensor_list(model.Linear_Seasonal.weight),
+        "seasonal_bias": tensor_list(model.Linear_Seasonal.bias),
+    }
+
+
+def predict_with_saved_model(
+    raw_ticker: str,
+    horizon: int,
+    history_points: int,
+    data_source: DataSource = "auto",
+    local_data_dir: str | None = None,
+    model_version: str | None = None,
+) -> dict:
+    loaded = load_saved_model(raw_ticker, model_version)
+    series, used_source = loaded.fetch_series(data_source=data_source, local_data_dir=local_data_dir)
 
+    forecast, interval_method = forecast_points(loaded, series, horizon)
     history_series = series.tail(history_points)
-    future_dates = make_future_business_days(series.index[-1], horizon)
 
     history = [
         {"date": idx.strftime("%Y-%m-%d"), "value": float(value)}
         for idx, value in history_series.items()
     ]
-    forecast = [
-        {"date": dt.strftime("%Y-%m-%d"), "value": float(value)}
-        for dt, value in zip(future_dates, forecast_values, strict=True)
-    ]
 
     return {
-        "ticker": ticker,
+        "ticker": loaded.ticker,
         "source": used_source,
-        "transform": transform,
-        "model_artifact": str(artifact_path),
-        "input_len": input_len,
-        "pred_len": pred_len,
+        "transform": loaded.transform,
+        "model_artifact": str(loaded.artifact_path),
+        "model_version": loaded.version,
+        "input_len": loaded.input_len,
+        "pred_len": loaded.pred_len,
         "horizon": horizon,
         "last_close": float(series.iloc[-1]),
+        "interval_method": interval_method,
         "history": history,
         "forecast": forecast,
     }
\ No newline at end of file
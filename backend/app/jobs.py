@@ -0,0 +1,329 @@
+import itertools
+import math
+import random
+import shutil
+import threading
+import uuid
+from concurrent.futures import ThreadPoolExecutor
+from dataclasses import dataclass, field
+from datetime import datetime, timezone
+from pathlib import Path
+from typing import Literal
+
+from .registry import SWEEP_DIR, promote_artifact
+from .schemas import BatchTrainRequest, SweepRequest, TrainRequest
+from .trainer import TrainingCancelled, train_and_save_model
+
+JobStatus = Literal["queued", "running", "completed", "failed", "cancelled"]
+
+TERMINAL_STATUSES: set[str] = {"completed", "failed", "cancelled"}
+
+# Training is CPU-bound; running jobs one at a time keeps the API responsive
+# and lets additional submissions queue behind the active one.
+_executor = ThreadPoolExecutor(max_workers=1, thread_name_prefix="train-job")
+
+
+class JobNotFoundError(LookupError):
+    """Raised when a job or batch id is unknown (or the server restarted since submission)."""
+
+
+def _utc_now() -> str:
+    return datetime.now(timezone.utc).replace(microsecond=0).isoformat()
+
+
+@dataclass
+class TrainingJob:
+    job_id: str
+    request: TrainRequest
+    status: JobStatus = "queued"
+    history: list[dict] = field(default_factory=list)
+    result: dict | None = None
+    error: str | None = None
+    artifact_dir: Path | None = None
+    created_at_utc: str = field(default_factory=_utc_now)
+    finished_at_utc: str | None = None
+    cancel_event: threading.Event = field(default_factory=threading.Event)
+    lock: threading.Lock = field(default_factory=threading.Lock)
+
+    def _summary_unlocked(self) -> dict:
+        return {
+            "job_id": self.job_id,
+            "ticker": self.request.ticker,
+            "status": self.status,
+            "epoch": len(self.history),
+            "epochs": self.request.epochs,
+            "result": self.result,
+            "error": self.error,
+        }
+
+    def summary(self) -> dict:
+        with self.lock:
+            return self._summary_unlocked()
+
+    def snapshot(self, since_epoch: int = 0) -> dict:
+        # One lock acquisition so `epoch` and the `history` slice describe the same moment.
+        with self.lock:
+            return {
+                **self._summary_unlocked(),
+                "history": [dict(item) for item in self.history[since_epoch:]],
+                "created_at_utc": self.created_at_utc,
+                "finished_at_utc": self.finished_at_utc,
+            }
+
+
+@dataclass
+class TrainingBatch:
+    batch_id: str
+    jobs: list[TrainingJob]
+    created_at_utc: str = field(default_factory=_utc_now)
+
+    def snapshot(self) -> dict:
+        jobs = [job.summary() for job in self.jobs]
+        return {
+            "batch_id": self.batch_id,
+            "status": _group_status(jobs),
+            "created_at_utc": self.created_at_utc,
+            "jobs": jobs,
+        }
+
+
+@dataclass
+class TrainingSweep:
+    sweep_id: str
+    ticker: str
+    mode: str
+    combinations: int
+    jobs: list[TrainingJob]
+    promoted_index: int | None = None
+    promoted_artifact: str | None = None
+    created_at_utc: str = field(default_factory=_utc_now)
+
+    def snapshot(self) -> dict:
+        trials = [
+            {
+                **job.summary(),
+                "index": index,
+                "input_len": job.request.input_len,
+                "pred_len": job.request.pred_len,
+                "batch_size": job.request.batch_size,
+                "learning_rate": job.request.learning_rate,
+            }
+            for index, job in enumerate(self.jobs)
+        ]
+        return {
+            "sweep_id": self.sweep_id,
+            "ticker": self.ticker,
+            "mode": self.mode,
+            "status": _group_status(trials),
+            "combinations": self.combinations,
+            "created_at_utc": self.created_at_utc,
+            "promoted_index": self.promoted_index,
+            "promoted_artifact": self.promoted_artifact,
+            "trials": trials,
+        }
+
+
+def _group_status(jobs: list[dict]) -> str:
+    statuses = {job["status"] for job in jobs}
+    if not statuses <= TERMINAL_STATUSES:
+        return "running"
+    if "completed" in statuses:
+        return "completed"
+    # Nothing finished successfully: any failure makes the whole run a failure.
+    return "failed" if "failed" in statuses else "cancelled"
+
+
+_jobs: dict[str, TrainingJob] = {}
+_batches: dict[str, TrainingBatch] = {}
+_sweeps: dict[str, TrainingSweep] = {}
+_jobs_lock = threading.Lock()
+
+# Sweeps live only in memory, so trial folders left by an earlier process can never be
+# promoted or discarded through the API; clear them out when the server starts.
+shutil.rmtree(SWEEP_DIR, ignore_errors=True)
+
+
+def _run_job(job: TrainingJob) -> None:
+    with job.lock:
+        if job.cancel_event.is_set():
+            job.status = "cancelled"
+            job.finished_at_utc = _utc_now()
+            return
+        job.status = "running"
+
+    def on_epoch(epoch: int, train_loss: float, val_loss: float) -> None:
+        with job.lock:
+            job.history.append({"epoch": epoch, "train_loss": train_loss, "val_loss": val_loss})
+
+    try:
+        result = train_and_save_model(
+            job.request,
+            on_epoch=on_epoch,
+            should_stop=job.cancel_event.is_set,
+            artifact_dir=job.artifact_dir,
+        )
+    except TrainingCancelled:
+        with job.lock:
+            job.status = "cancelled"
+            job.finished_at_utc = _utc_now()
+        return
+    except Exception as exc:
+        with job.lock:
+            job.status = "failed"
+            job.error = str(exc)
+            job.finished_at_utc = _utc_now()
+        return
+
+    with job.lock:
+        job.status = "completed"
+        job.result = result
+        job.finished_at_utc = _utc_now()
+
+
+def submit_training_job(req: TrainRequest, artifact_dir: Path | None = None) -> TrainingJob:
+    job = TrainingJob(job_id=uuid.uuid4().hex, request=req, artifact_dir=artifact_dir)
+    with _jobs_lock:
+        _jobs[job.job_id] = job
+    _executor.submit(_run_job, job)
+    return job
+
+
+def get_training_job(job_id: str) -> TrainingJob:
+    with _jobs_lock:
+        job = _jobs.get(job_id)
+    if job is None:
+        raise JobNotFoundError(f"Training job '{job_id}' not found.")
+    return job
+
+
+def cancel_training_job(job_id: str) -> TrainingJob:
+    job = get_training_job(job_id)
+    job.cancel_event.set()
+    with job.lock:
+        if job.status == "queued":
+            job.status = "cancelled"
+            job.finished_at_utc = _utc_now()
+    return job
+
+
+def submit_training_batch(req: BatchTrainRequest) -> TrainingBatch:
+    hyperparams = req.model_dump(exclude={"tickers"})
+    tickers = list(dict.fromkeys(t.strip().upper() for t in req.tickers if t.strip()))
+    if not tickers:
+        raise ValueError("Batch needs at least one ticker.")
+
+    jobs = [submit_training_job(TrainRequest(ticker=ticker, **hyperparams)) for ticker in tickers]
+    batch = TrainingBatch(batch_id=uuid.uuid4().hex, jobs=jobs)
+    with _jobs_lock:
+        _batches[batch.batch_id] = batch
+    return batch
+
+
+def get_training_batch(batch_id: str) -> TrainingBatch:
+    with _jobs_lock:
+        batch = _batches.get(batch_id)
+    if batch is None:
+        raise JobNotFoundError(f"Training batch '{batch_id}' not found.")
+    return batch
+
+
+def cancel_training_batch(batch_id: str) -> TrainingBatch:
+    batch = get_training_batch(batch_id)
+    for job in batch.jobs:
+        cancel_training_job(job.job_id)
+    return batch
+
+
+def _grid_point(axes: list[list], index: int) -> tuple:
+    # Decodes a flat grid index in itertools.product order (last axis varies fastest).
+    point = []
+    for axis in reversed(axes):
+        index, offset = divmod(index, len(axis))
+        point.append(axis[offset])
+    return tuple(reversed(point))
+
+
+def _sweep_combinations(req: SweepRequest) -> tuple[list[tuple], int]:
+    axes = [list(dict.fromkeys(values)) for values in (req.input_len, req.pred_len, req.batch_size, req.learning_rate)]
+    total = math.prod(len(axis) for axis in axes)
+    if req.mode == "random":
+        # Sample flat indices so only the picked trials are ever built, not the whole grid.
+        picked = random.Random(req.seed).sample(range(total), min(req.max_trials, total))
+        return [_grid_point(axes, index) for index in picked], total
+    if total > req.max_trials:
+        raise ValueError(
+            f"Grid has {total} combinations but max_trials is {req.max_trials}; "
+            "narrow the value lists or use random search."
+        )
+    return list(itertools.product(*axes)), total
+
+
+def submit_training_sweep(req: SweepRequest) -> TrainingSweep:
+    combinations, total = _sweep_combinations(req)
+    shared = req.model_dump(include={"ticker", "period", "epochs", "data_source", "local_data_dir"})
+    # Validate every trial up front so a bad value rejects the sweep instead of failing one job.
+    requests = [
+        TrainRequest(**shared, input_len=input_len, pred_len=pred_len, batch_size=batch_size, learning_rate=lr)
+        for input_len, pred_len, batch_size, lr in combinations
+    ]
+
+    sweep_id = uuid.uuid4().hex
+    # Trials write under artifacts/sweeps/ so they never replace the active model
+    # until one is explicitly promoted.
+    sweep_dir = SWEEP_DIR / sweep_id
+    jobs = [
+        submit_training_job(trial, artifact_dir=sweep_dir / f"trial{index:02d}")
+        for index, trial in enumerate(requests)
+    ]
+    sweep = TrainingSweep(
+        sweep_id=sweep_id,
+        ticker=req.ticker.strip().upper(),
+        mode=req.mode,
+        combinations=total,
+        jobs=jobs,
+    )
+    with _jobs_lock:
+        _sweeps[sweep.sweep_id] = sweep
+    return sweep
+
+
+def get_training_sweep(sweep_id: str) -> TrainingSweep:
+    with _jobs_lock:
+        sweep = _sweeps.get(sweep_id)
+    if sweep is None:
+        raise JobNotFoundError(f"Training sweep '{sweep_id}' not found.")
+    return sweep
+
+
+def cancel_training_sweep(sweep_id: str) -> TrainingSweep:
+    sweep = get_training_sweep(sweep_id)
+    for job in sweep.jobs:
+        cancel_training_job(job.job_id)
+    return sweep
+
+
+def discard_training_sweep(sweep_id: str) -> TrainingSweep:
+    """Deletes a finished sweep's trial checkpoints; promoted copies in the registry stay."""
+    sweep = get_training_sweep(sweep_id)
+    if _group_status([job.summary() for job in sweep.jobs]) == "running":
+        raise ValueError("Cancel the sweep or let it finish before discarding its trials.")
+
+    shutil.rmtree(SWEEP_DIR / sweep_id, ignore_errors=True)
+    with _jobs_lock:
+        _sweeps.pop(sweep_id, None)
+    return sweep
+
+
+def promote_sweep_trial(sweep_id: str, index: int) -> TrainingSweep:
+    sweep = get_training_sweep(sweep_id)
+    if not 0 <= index < len(sweep.jobs):
+        raise JobNotFoundError(f"Sweep '{sweep_id}' has no trial {index}.")
+
+    summary = sweep.jobs[index].summary()
+    if summary["status"] != "completed":
+        raise ValueError(f"Trial {index} is {summary['status']}; only completed trials can be promoted.")
+
+    target = promote_artifact(Path(summary["result"]["artifact_path"]), sweep.ticker)
+    sweep.promoted_index = index
+    sweep.promoted_artifact = target.name
+    return sweep
@@ -1,18 +1,75 @@
+import asyncio
+import json
+
 from fastapi import FastAPI, HTTPException, Query
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 
+from .backtest import run_walk_forward_backtest
+from .correlation import correlation_matrix, rolling_pair_correlation
 from .data import list_available_symbols
-from .inference import get_history_for_ticker, predict_with_saved_model
+from .explain import explain_forecast
+from .forecast_log import delete_forecast, record_forecast, score_forecast_log
+from .inference import export_model_weights, get_history_for_ticker, list_saved_artifacts, predict_with_saved_model
+from .jobs import (
+    TERMINAL_STATUSES,
+    JobNotFoundError,
+    cancel_training_batch,
+    cancel_training_job,
+    cancel_training_sweep,
+    discard_training_sweep,
+    get_training_batch,
+    get_training_job,
+    get_training_sweep,
+    promote_sweep_trial,
+    submit_training_batch,
+    submit_training_job,
+    submit_training_sweep,
+)
+from .market import market_overview
 from .schemas import (
+    ArtifactsResponse,
+    BacktestRequest,
+    BacktestResponse,
+    BatchTrainRequest,
+    CalendarResponse,
+    CalendarUpdateRequest,
+    CorrelationRequest,
+    CorrelationResponse,
+    CsvUploadReport,
+    CsvUploadRequest,
+    DataQualityResponse,
     DataSource,
+    ExplainRequest,
+    ExplainResponse,
+    ForecastLogResponse,
     HistoryResponse,
+    MarketOverviewResponse,
+    ModelWeightsResponse,
+    PairCorrelationResponse,
+    PinRequest,
     PredictRequest,
     PredictResponse,
+    ScenarioRequest,
+    ScenarioResponse,
+    SweepRequest,
+    SymbolMetadata,
+    SymbolMetadataResponse,
+    SymbolMetadataUpdate,
     SymbolsResponse,
+    TrainBatchResponse,
+    TrainJobResponse,
     TrainRequest,
     TrainResponse,
+    TrainSweepResponse,
 )
+from .quality import inspect_local_symbols
+from .scenario import predict_scenario
+from .symbol_meta import list_symbol_metadata, reset_symbol_metadata, save_symbol_metadata
+from .registry import pin_artifact, rollback_ticker, unpin_ticker
+from .trading_calendar import load_holidays, reset_holidays, save_holidays
 from .trainer import train_and_save_model
+from .uploads import inspect_uploaded_csv, save_uploaded_csv
 
 # NEW IMPORTS FOR RENDER DEPLOYMENT
 import uvicorn
@@ -52,6 +109,109 @@ def symbols_endpoint(
     return SymbolsResponse(source="local", symbols=symbols)
 
 
+@app.get("/api/symbols/metadata", response_model=SymbolMetadataResponse)
+def symbol_metadata_endpoint(local_data_dir: str | None = Query(default=None)) -> SymbolMetadataResponse:
+
+    try:
+        entries = list_symbol_metadata(list_available_symbols(local_data_dir=local_data_dir))
+        return SymbolMetadataResponse(symbols=entries, sectors=sorted({entry["sector"] for entry in entries}))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Symbol metadata failed: {exc}")
+
+
+@app.put("/api/symbols/{symbol}/metadata", response_model=SymbolMetadata)
+def symbol_metadata_update_endpoint(symbol: str, req: SymbolMetadataUpdate) -> SymbolMetadata:
+
+    try:
+        return SymbolMetadata(**save_symbol_metadata(symbol, req.name, req.sector, req.industry))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Symbol metadata update failed: {exc}")
+
+
+@app.delete("/api/symbols/{symbol}/metadata", response_model=SymbolMetadata)
+def symbol_metadata_reset_endpoint(symbol: str) -> SymbolMetadata:
+
+    try:
+        return SymbolMetadata(**reset_symbol_metadata(symbol))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Symbol metadata reset failed: {exc}")
+
+
+@app.post("/api/analytics/correlation", response_model=CorrelationResponse)
+def correlation_endpoint(req: CorrelationRequest) -> CorrelationResponse:
+
+    try:
+
+        result = correlation_matrix(
+            symbols=req.symbols,
+            window=req.window,
+            horizon=req.horizon,
+            local_data_dir=req.local_data_dir,
+            data_source=req.data_source,
+        )
+
+        return CorrelationResponse(**result)
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Correlation failed: {exc}")
+
+
+@app.get("/api/analytics/correlation/pair", response_model=PairCorrelationResponse)
+def pair_correlation_endpoint(
+    a: str = Query(...),
+    b: str = Query(...),
+    window: int = Query(default=60, ge=20, le=500),
+    lookback: int = Query(default=500, ge=20, le=5000),
+    local_data_dir: str | None = Query(default=None),
+) -> PairCorrelationResponse:
+
+    try:
+
+        return PairCorrelationResponse(
+            **rolling_pair_correlation(a=a, b=b, window=window, lookback=lookback, local_data_dir=local_data_dir)
+        )
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Pair correlation failed: {exc}")
+
+
+@app.get("/api/market/overview", response_model=MarketOverviewResponse)
+def market_overview_endpoint(
+    horizon: int = Query(default=10, ge=1, le=120),
+    data_source: DataSource = Query(default="local"),
+    local_data_dir: str | None = Query(default=None),
+) -> MarketOverviewResponse:
+
+    try:
+        return MarketOverviewResponse(
+            **market_overview(horizon=horizon, data_source=data_source, local_data_dir=local_data_dir)
+        )
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Market overview failed: {exc}")
+
+
 @app.get("/api/history", response_model=HistoryResponse)
 def history_endpoint(
     ticker: str = Query(...),
@@ -59,6 +219,7 @@ def history_endpoint(
     period: str = Query(default="5y"),
     data_source: DataSource = Query(default="auto"),
     local_data_dir: str | None = Query(default=None),
+    include_ohlcv: bool = Query(default=False),
 ) -> HistoryResponse:
 
     try:
@@ -68,6 +229,7 @@ def history_endpoint(
             data_source=data_source,
             local_data_dir=local_data_dir,
             period=period,
+            include_ohlcv=include_ohlcv,
         )
 
         return HistoryResponse(**result)
@@ -82,6 +244,178 @@ def history_endpoint(
         raise HTTPException(status_code=500, detail=f"History failed: {exc}")
 
 
+def _calendar_response(holidays: list[dict], source: str) -> CalendarResponse:
+    return CalendarResponse(exchange="NSE", source=source, holidays=holidays)
+
+
+@app.get("/api/calendar", response_model=CalendarResponse)
+def calendar_endpoint() -> CalendarResponse:
+
+    return _calendar_response(*load_holidays())
+
+
+@app.put("/api/calendar", response_model=CalendarResponse)
+def calendar_update_endpoint(req: CalendarUpdateRequest) -> CalendarResponse:
+
+    try:
+
+        return _calendar_response(*save_holidays([item.model_dump() for item in req.holidays]))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Calendar update failed: {exc}")
+
+
+@app.delete("/api/calendar", response_model=CalendarResponse)
+def calendar_reset_endpoint() -> CalendarResponse:
+
+    try:
+
+        return _calendar_response(*reset_holidays())
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Calendar reset failed: {exc}")
+
+
+@app.get("/api/data/quality", response_model=DataQualityResponse)
+def data_quality_endpoint(
+    input_len: int = Query(default=60, ge=20, le=512),
+    pred_len: int = Query(default=5, ge=1, le=120),
+    local_data_dir: str | None = Query(default=None),
+) -> DataQualityResponse:
+
+    try:
+        result = inspect_local_symbols(
+            input_len=input_len,
+            pred_len=pred_len,
+            local_data_dir=local_data_dir,
+        )
+        return DataQualityResponse(**result)
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Data quality check failed: {exc}")
+
+
+@app.post("/api/data/uploads/validate", response_model=CsvUploadReport)
+def upload_validate_endpoint(req: CsvUploadRequest) -> CsvUploadReport:
+
+    try:
+        report = inspect_uploaded_csv(
+            raw_symbol=req.symbol,
+            content=req.content,
+        )
+        return CsvUploadReport(**report)
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Upload validation failed: {exc}")
+
+
+@app.post("/api/data/uploads", response_model=CsvUploadReport)
+def upload_save_endpoint(req: CsvUploadRequest) -> CsvUploadReport:
+
+    try:
+        report = save_uploaded_csv(
+            raw_symbol=req.symbol,
+            content=req.content,
+            overwrite=req.overwrite,
+        )
+        return CsvUploadReport(**report)
+
+    except FileExistsError as exc:
+        raise HTTPException(status_code=409, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except OSError as exc:
+        raise HTTPException(status_code=500, detail=f"Could not store the uploaded CSV: {exc.strerror or exc}")
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Upload failed: {exc}")
+
+
+@app.get("/api/artifacts", response_model=ArtifactsResponse)
+def artifacts_endpoint() -> ArtifactsResponse:
+
+    try:
+        return ArtifactsResponse(artifacts=list_saved_artifacts())
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Artifact listing failed: {exc}")
+
+
+@app.post("/api/artifacts/{ticker}/pin", response_model=ArtifactsResponse)
+def artifact_pin_endpoint(ticker: str, req: PinRequest) -> ArtifactsResponse:
+
+    try:
+        pin_artifact(ticker, req.artifact)
+        return ArtifactsResponse(artifacts=list_saved_artifacts())
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Pin failed: {exc}")
+
+
+@app.delete("/api/artifacts/{ticker}/pin", response_model=ArtifactsResponse)
+def artifact_unpin_endpoint(ticker: str) -> ArtifactsResponse:
+
+    try:
+        unpin_ticker(ticker)
+        return ArtifactsResponse(artifacts=list_saved_artifacts())
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Unpin failed: {exc}")
+
+
+@app.post("/api/artifacts/{ticker}/rollback", response_model=ArtifactsResponse)
+def artifact_rollback_endpoint(ticker: str) -> ArtifactsResponse:
+
+    try:
+        rollback_ticker(ticker)
+        return ArtifactsResponse(artifacts=list_saved_artifacts())
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Rollback failed: {exc}")
+
+
+@app.get("/api/artifacts/{ticker}/weights", response_model=ModelWeightsResponse)
+def artifact_weights_endpoint(
+    ticker: str,
+    artifact: str | None = Query(default=None),
+) -> ModelWeightsResponse:
+
+    try:
+        return ModelWeightsResponse(**export_model_weights(ticker, artifact))
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Weight export failed: {exc}")
+
+
 @app.post("/api/train", response_model=TrainResponse)
 def train_endpoint(req: TrainRequest) -> TrainResponse:
 
@@ -101,6 +435,168 @@ def train_endpoint(req: TrainRequest) -> TrainResponse:
         raise HTTPException(status_code=500, detail=f"Training failed: {exc}")
 
 
+@app.post("/api/train/jobs", response_model=TrainJobResponse)
+def train_job_submit_endpoint(req: TrainRequest) -> TrainJobResponse:
+
+    job = submit_training_job(req)
+    return TrainJobResponse(**job.snapshot())
+
+
+@app.get("/api/train/jobs/{job_id}", response_model=TrainJobResponse)
+def train_job_status_endpoint(job_id: str) -> TrainJobResponse:
+
+    try:
+        job = get_training_job(job_id)
+        return TrainJobResponse(**job.snapshot())
+
+    except JobNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+
+@app.post("/api/train/jobs/{job_id}/cancel", response_model=TrainJobResponse)
+def train_job_cancel_endpoint(job_id: str) -> TrainJobResponse:
+
+    try:
+        job = cancel_training_job(job_id)
+        return TrainJobResponse(**job.snapshot())
+
+    except JobNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+
+@app.post("/api/train/batches", response_model=TrainBatchResponse)
+def train_batch_submit_endpoint(req: BatchTrainRequest) -> TrainBatchResponse:
+
+    try:
+        batch = submit_training_batch(req)
+        return TrainBatchResponse(**batch.snapshot())
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+
+@app.get("/api/train/batches/{batch_id}", response_model=TrainBatchResponse)
+def train_batch_status_endpoint(batch_id: str) -> TrainBatchResponse:
+
+    try:
+        batch = get_training_batch(batch_id)
+        return TrainBatchResponse(**batch.snapshot())
+
+    except JobNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+
+@app.post("/api/train/batches/{batch_id}/cancel", response_model=TrainBatchResponse)
+def train_batch_cancel_endpoint(batch_id: str) -> TrainBatchResponse:
+
+    try:
+        batch = cancel_training_batch(batch_id)
+        return TrainBatchResponse(**batch.snapshot())
+
+    except JobNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+
+@app.post("/api/train/sweeps", response_model=TrainSweepResponse)
+def train_sweep_submit_endpoint(req: SweepRequest) -> TrainSweepResponse:
+
+    try:
+        sweep = submit_training_sweep(req)
+        return TrainSweepResponse(**sweep.snapshot())
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+
+@app.get("/api/train/sweeps/{sweep_id}", response_model=TrainSweepResponse)
+def train_sweep_status_endpoint(sweep_id: str) -> TrainSweepResponse:
+
+    try:
+        sweep = get_training_sweep(sweep_id)
+        return TrainSweepResponse(**sweep.snapshot())
+
+    except JobNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+
+@app.post("/api/train/sweeps/{sweep_id}/cancel", response_model=TrainSweepResponse)
+def train_sweep_cancel_endpoint(sweep_id: str) -> TrainSweepResponse:
+
+    try:
+        sweep = cancel_training_sweep(sweep_id)
+        return TrainSweepResponse(**sweep.snapshot())
+
+    except JobNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+
+@app.delete("/api/train/sweeps/{sweep_id}", response_model=TrainSweepResponse)
+def train_sweep_discard_endpoint(sweep_id: str) -> TrainSweepResponse:
+
+    try:
+        sweep = discard_training_sweep(sweep_id)
+        return TrainSweepResponse(**sweep.snapshot())
+
+    except JobNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+
+@app.post("/api/train/sweeps/{sweep_id}/trials/{index}/promote", response_model=TrainSweepResponse)
+def train_sweep_promote_endpoint(sweep_id: str, index: int) -> TrainSweepResponse:
+
+    try:
+        sweep = promote_sweep_trial(sweep_id, index)
+        return TrainSweepResponse(**sweep.snapshot())
+
+    except (JobNotFoundError, FileNotFoundError) as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Promotion failed: {exc}")
+
+
+def _sse(event: str, payload: dict) -> str:
+    return f"event: {event}\ndata: {json.dumps(payload)}\n\n"
+
+
+@app.get("/api/train/jobs/{job_id}/events")
+async def train_job_events_endpoint(job_id: str) -> StreamingResponse:
+
+    try:
+        job = get_training_job(job_id)
+    except JobNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    async def stream():
+        sent_epochs = 0
+        last_status = None
+        while True:
+            snapshot = job.snapshot(since_epoch=sent_epochs)
+            for item in snapshot["history"]:
+                yield _sse("epoch", item)
+            sent_epochs += len(snapshot["history"])
+
+            if snapshot["status"] != last_status:
+                last_status = snapshot["status"]
+                yield _sse("status", {**snapshot, "history": []})
+
+            if snapshot["status"] in TERMINAL_STATUSES:
+                return
+            await asyncio.sleep(0.5)
+
+    return StreamingResponse(
+        stream(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+
 @app.post("/api/predict", response_model=PredictResponse)
 def predict_endpoint(req: PredictRequest) -> PredictResponse:
 
@@ -112,7 +608,14 @@ def predict_endpoint(req: PredictRequest) -> PredictResponse:
             history_points=req.history_points,
             data_source=req.data_source,
             local_data_dir=req.local_data_dir,
+            model_version=req.model_version,
         )
+        if req.record:
+            try:
+                record_forecast(result, data_source=req.data_source, local_data_dir=req.local_data_dir)
+            except Exception as exc:
+                # The forecast itself succeeded; a failed log write is reported, not raised.
+                result["log_error"] = f"Forecast log write failed: {exc}"
 
         return PredictResponse(**result)
 
@@ -126,6 +629,117 @@ def predict_endpoint(req: PredictRequest) -> PredictResponse:
         raise HTTPException(status_code=500, detail=f"Prediction failed: {exc}")
 
 
+
+@app.post("/api/predict/scenario", response_model=ScenarioResponse)
+def scenario_endpoint(req: ScenarioRequest) -> ScenarioResponse:
+
+    try:
+
+        result = predict_scenario(
+            raw_ticker=req.ticker,
+            horizon=req.horizon,
+            history_points=req.history_points,
+            edits=[edit.model_dump() for edit in req.edits],
+            append=req.append,
+            data_source=req.data_source,
+            local_data_dir=req.local_data_dir,
+            model_version=req.model_version,
+        )
+
+        return ScenarioResponse(**result)
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Scenario failed: {exc}")
+
+
+
+@app.post("/api/explain", response_model=ExplainResponse)
+def explain_endpoint(req: ExplainRequest) -> ExplainResponse:
+
+    try:
+
+        result = explain_forecast(
+            raw_ticker=req.ticker,
+            data_source=req.data_source,
+            local_data_dir=req.local_data_dir,
+            model_version=req.model_version,
+        )
+
+        return ExplainResponse(**result)
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Explain failed: {exc}")
+
+
+
+@app.get("/api/forecasts/log", response_model=ForecastLogResponse)
+def forecast_log_endpoint(
+    ticker: str | None = Query(default=None),
+    model: str | None = Query(default=None),
+    limit: int = Query(default=200, ge=1, le=1000),
+) -> ForecastLogResponse:
+
+    try:
+
+        return ForecastLogResponse(**score_forecast_log(ticker=ticker, model=model, limit=limit))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Forecast log failed: {exc}")
+
+
+@app.delete("/api/forecasts/log/{entry_id}", response_model=ForecastLogResponse)
+def forecast_log_delete_endpoint(entry_id: str) -> ForecastLogResponse:
+
+    try:
+
+        delete_forecast(entry_id)
+        return ForecastLogResponse(**score_forecast_log())
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Forecast log failed: {exc}")
+
+
+@app.post("/api/backtest", response_model=BacktestResponse)
+def backtest_endpoint(req: BacktestRequest) -> BacktestResponse:
+
+    try:
+
+        result = run_walk_forward_backtest(
+            raw_ticker=req.ticker,
+            horizon=req.horizon,
+            step=req.step,
+            windows=req.windows,
+            data_source=req.data_source,
+            local_data_dir=req.local_data_dir,
+        )
+
+        return BacktestResponse(**result)
+
+    except FileNotFoundError as exc:
+        raise HTTPException(status_code=404, detail=str(exc))
+
+    except ValueError as exc:
+        raise HTTPException(status_code=400, detail=str(exc))
+
+    except Exception as exc:
+        raise HTTPException(status_code=500, detail=f"Backtest failed: {exc}")
+
+
 if __name__ == "__main__":
 
     port = int(os.environ.get("PORT", 8000))
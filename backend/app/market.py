@@ -0,0 +1,91 @@
+from datetime import datetime, timezone
+
+import numpy as np
+
+from .data import list_available_symbols
+from .inference import load_saved_model
+from .schemas import DataSource
+from .symbol_meta import list_symbol_metadata
+
+
+def forecast_move(symbol: str, horizon: int, data_source: DataSource, local_data_dir: str | None) -> dict:
+    try:
+        loaded = load_saved_model(symbol)
+    except FileNotFoundError:
+        return {"status": "no_model", "message": "No trained model."}
+    except Exception as exc:
+        # A corrupt or incompatible checkpoint only costs this symbol its tile.
+        return {"status": "error", "message": f"Model failed to load: {exc}"}
+
+    try:
+        series, _ = loaded.fetch_series(data_source=data_source, local_data_dir=local_data_dir)
+        close_values = series.values.astype(np.float32)
+        forecast_values = loaded.forecast(close_values, horizon)
+    except Exception as exc:
+        return {"status": "error", "message": str(exc), "model_version": loaded.version}
+
+    last_close = float(close_values[-1])
+    forecast_close = float(forecast_values[-1])
+    return {
+        "status": "ok",
+        "model_version": loaded.version,
+        "last_date": series.index[-1].strftime("%Y-%m-%d"),
+        "last_close": last_close,
+        "forecast_close": forecast_close,
+        "change_pct": (forecast_close / last_close - 1.0) * 100,
+    }
+
+
+def _sector_summaries(moves: list[dict]) -> list[dict]:
+    sectors: dict[str, list[dict]] = {}
+    for move in moves:
+        sectors.setdefault(move["sector"], []).append(move)
+
+    summaries = []
+    for sector, members in sectors.items():
+        ok = [move for move in members if move["status"] == "ok"]
+        best = max(ok, key=lambda move: move["change_pct"], default=None)
+        worst = min(ok, key=lambda move: move["change_pct"], default=None)
+        summaries.append(
+            {
+                "sector": sector,
+                "symbols": len(members),
+                "forecasted": len(ok),
+                "avg_change_pct": float(np.mean([move["change_pct"] for move in ok])) if ok else None,
+                "best": best["symbol"] if best else None,
+                "worst": worst["symbol"] if worst else None,
+            }
+        )
+    return sorted(summaries, key=lambda row: row["sector"])
+
+
+def market_overview(horizon: int, data_source: DataSource = "local", local_data_dir: str | None = None) -> dict:
+    """Projected `horizon`-day move for every local symbol, grouped by sector.
+
+    Symbols without a trained model are listed with status "no_model" so the
+    overview shows the whole universe, not just the trained part of it.
+    """
+    symbols = list_available_symbols(local_data_dir=local_data_dir)
+    moves = []
+    for meta in list_symbol_metadata(symbols):
+        move = {
+            "symbol": meta["symbol"],
+            "name": meta["name"],
+            "sector": meta["sector"],
+            "industry": meta["industry"],
+            "model_version": None,
+            "last_date": None,
+            "last_close": None,
+            "forecast_close": None,
+            "change_pct": None,
+            "message": None,
+        }
+        move.update(forecast_move(meta["symbol"], horizon, data_source, local_data_dir))
+        moves.append(move)
+
+    return {
+        "horizon": horizon,
+        "generated_at_utc": datetime.now(timezone.utc).isoformat(timespec="seconds"),
+        "symbols": moves,
+        "sectors": _sector_summaries(moves),
+    }
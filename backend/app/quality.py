@@ -0,0 +1,173 @@
+import numpy as np
+import pandas as pd
+
+from .data import (
+    _clean_index,
+    _extract_dates,
+    _find_column,
+    _load_from_local_csv,
+    _local_csv_path,
+    list_available_symbols,
+)
+from .trading_calendar import holiday_array
+
+MIN_LOCAL_ROWS = 80
+GAP_MIN_MISSING_DAYS = 3
+MAX_REPORTED_GAPS = 20
+STALE_AFTER_BUSINESS_DAYS = 5
+# A one-day close move this large is more often a split or bonus issue than news.
+JUMP_THRESHOLD_PCT = 20.0
+MAX_REPORTED_JUMPS = 10
+
+
+def find_gaps(index: pd.DatetimeIndex) -> tuple[list[dict], int, int]:
+    """Returns the first gaps of GAP_MIN_MISSING_DAYS+ business days, their count and all missing days."""
+    if len(index) < 2:
+        return [], 0, 0
+    days = index.values.astype("datetime64[D]")
+    # Trading days strictly between consecutive rows. Listed NSE holidays are not
+    # counted; 1-2 missing days are usually holidays from years the calendar lacks.
+    missing = np.busday_count(days[:-1] + 1, days[1:], holidays=holiday_array())
+    positions = np.flatnonzero(missing >= GAP_MIN_MISSING_DAYS)
+    gaps = [
+        {
+            "start": index[pos].strftime("%Y-%m-%d"),
+            "end": index[pos + 1].strftime("%Y-%m-%d"),
+            "missing_business_days": int(missing[pos]),
+        }
+        for pos in positions[:MAX_REPORTED_GAPS]
+    ]
+    return gaps, len(positions), int(missing.sum())
+
+
+def find_jumps(close: pd.Series) -> tuple[list[dict], int]:
+    prev = close.shift(1)
+    change = (close / prev - 1) * 100
+    flagged = change[change.abs() >= JUMP_THRESHOLD_PCT]
+    jumps = [
+        {
+            "date": idx.strftime("%Y-%m-%d"),
+            "prev_close": float(prev.loc[idx]),
+            "close": float(close.loc[idx]),
+            "change_pct": float(pct),
+        }
+        for idx, pct in flagged.head(MAX_REPORTED_JUMPS).items()
+    ]
+    return jumps, len(flagged)
+
+
+def required_rows(input_len: int, pred_len: int) -> int:
+    # Mirrors prepare_dataset: one row is lost to log returns, and the
+    # train/validation split needs at least two windows.
+    return max(MIN_LOCAL_ROWS, input_len + pred_len + 2)
+
+
+def _raw_close(df: pd.DataFrame) -> pd.Series:
+    close_col = _find_column(df, "close")
+    if close_col is None:
+        raise ValueError("No Close column found in CSV.")
+    close = pd.to_numeric(df[close_col], errors="coerce")
+    return pd.Series(close.values, index=_extract_dates(df))
+
+
+def inspect_symbol(
+    symbol: str,
+    input_len: int,
+    pred_len: int,
+    local_data_dir: str | None = None,
+    today: pd.Timestamp | None = None,
+) -> dict:
+    needed = required_rows(input_len, pred_len)
+    report = {
+        "symbol": symbol,
+        "status": "error",
+        "rows": 0,
+        "start_date": None,
+        "end_date": None,
+        "unreadable_rows": 0,
+        "duplicate_dates": 0,
+        "non_positive_rows": 0,
+        "missing_business_days": 0,
+        "gap_count": 0,
+        "gaps": [],
+        "stale_business_days": None,
+        "jump_count": 0,
+        "jumps": [],
+        "required_rows": needed,
+        "trainable": False,
+        "issues": [],
+    }
+
+    try:
+        raw = _load_from_local_csv(_local_csv_path(symbol, local_data_dir), _raw_close, "Close prices")
+    except Exception as exc:
+        report["issues"].append(str(exc))
+        return report
+
+    readable = raw[raw.index.notna() & raw.notna()]
+    close = _clean_index(readable.astype(float))
+    gaps, gap_count, missing_days = find_gaps(close.index)
+    jumps, jump_count = find_jumps(close)
+    today = (today or pd.Timestamp.today()).normalize()
+    stale = (
+        int(np.busday_count(close.index[-1].date() + pd.Timedelta(days=1), today.date(), holidays=holiday_array()))
+        if len(close)
+        else None
+    )
+
+    report.update(
+        {
+            "rows": len(close),
+            "start_date": close.index[0].strftime("%Y-%m-%d") if len(close) else None,
+            "end_date": close.index[-1].strftime("%Y-%m-%d") if len(close) else None,
+            "unreadable_rows": int(len(raw) - len(readable)),
+            "duplicate_dates": int(readable.index.duplicated().sum()),
+            "non_positive_rows": int((close <= 0).sum()),
+            "missing_business_days": missing_days,
+            "gap_count": gap_count,
+            "gaps": gaps,
+            "stale_business_days": stale,
+            "jump_count": jump_count,
+            "jumps": jumps,
+            "trainable": len(close) >= needed and not (close <= 0).any(),
+        }
+    )
+
+    issues = report["issues"]
+    if len(close) < needed:
+        issues.append(f"Only {len(close)} rows; input_len={input_len}, pred_len={pred_len} needs {needed}.")
+    if report["non_positive_rows"]:
+        issues.append(f"{report['non_positive_rows']} zero or negative closes break the log-return transform.")
+    if report["unreadable_rows"]:
+        issues.append(f"{report['unreadable_rows']} rows with an unreadable date or Close are skipped.")
+    if report["duplicate_dates"]:
+        issues.append(f"{report['duplicate_dates']} duplicate dates; the last row for each is used.")
+    if gap_count:
+        issues.append(f"{gap_count} gaps of {GAP_MIN_MISSING_DAYS}+ missing business days.")
+    if stale is not None and stale > STALE_AFTER_BUSINESS_DAYS:
+        issues.append(f"Last close is {stale} trading days old.")
+    if jump_count:
+        issues.append(f"{jump_count} one-day moves of {JUMP_THRESHOLD_PCT:.0f}%+; check for an unadjusted split or bonus.")
+
+    if not report["trainable"]:
+        report["status"] = "error"
+    elif issues:
+        report["status"] = "warn"
+    else:
+        report["status"] = "ok"
+    return report
+
+
+def inspect_local_symbols(input_len: int, pred_len: int, local_data_dir: str | None = None) -> dict:
+    today = pd.Timestamp.today()
+    reports = [
+        inspect_symbol(symbol, input_len, pred_len, local_data_dir=local_data_dir, today=today)
+        for symbol in list_available_symbols(local_data_dir=local_data_dir)
+    ]
+    return {
+        "input_len": input_len,
+        "pred_len": pred_len,
+        "required_rows": required_rows(input_len, pred_len),
+        "checked_at": today.strftime("%Y-%m-%d"),
+        "symbols": reports,
+    }
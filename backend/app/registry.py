@@ -0,0 +1,123 @@
+import json
+import re
+import shutil
+import threading
+from pathlib import Path
+
+from .data import normalize_indian_ticker
+
+ARTIFACT_DIR = Path(__file__).resolve().parents[1] / "artifacts"
+ARTIFACT_DIR.mkdir(parents=True, exist_ok=True)
+PINS_PATH = ARTIFACT_DIR / "pins.json"
+# Sweep trials are kept one level down; every listing here globs the top level only,
+# so trial checkpoints are never listed, resolved or rolled back to.
+SWEEP_DIR = ARTIFACT_DIR / "sweeps"
+
+# Artifacts are `{ticker}_in{input_len}_out{pred_len}_v{version}.pt`; files saved
+# before versioning have no suffix and count as version 0.
+_NAME_PATTERN = re.compile(r"^(?P<base>.+_in\d+_out\d+)(?:_v(?P<version>\d+))?$")
+_pins_lock = threading.Lock()
+
+
+def sanitize_ticker_for_filename(ticker: str) -> str:
+    return ticker.replace("^", "INDEX_").replace(".", "_").replace("/", "_").replace(" ", "_")
+
+
+def artifact_version(path: Path) -> int:
+    match = _NAME_PATTERN.match(path.stem)
+    return int(match.group("version")) if match and match.group("version") else 0
+
+
+def artifact_sort_key(path: Path) -> tuple[int, float]:
+    return artifact_version(path), path.stat().st_mtime
+
+
+def ticker_artifacts(raw_ticker: str) -> list[Path]:
+    """All saved versions for a ticker, oldest first."""
+    safe = sanitize_ticker_for_filename(normalize_indian_ticker(raw_ticker))
+    return sorted(ARTIFACT_DIR.glob(f"{safe}_in*_out*.pt"), key=artifact_sort_key)
+
+
+def _next_version(raw_ticker: str) -> int:
+    return max((artifact_version(path) for path in ticker_artifacts(raw_ticker)), default=0) + 1
+
+
+def next_artifact_path(raw_ticker: str, input_len: int, pred_len: int) -> Path:
+    safe = sanitize_ticker_for_filename(normalize_indian_ticker(raw_ticker))
+    return ARTIFACT_DIR / f"{safe}_in{input_len}_out{pred_len}_v{_next_version(raw_ticker)}.pt"
+
+
+def read_pins() -> dict[str, str]:
+    try:
+        pins = json.loads(PINS_PATH.read_text(encoding="utf-8"))
+    except (FileNotFoundError, json.JSONDecodeError):
+        return {}
+    return pins if isinstance(pins, dict) else {}
+
+
+def _write_pins(pins: dict[str, str]) -> None:
+    PINS_PATH.write_text(json.dumps(pins, indent=2, sort_keys=True), encoding="utf-8")
+
+
+def pinned_artifact(raw_ticker: str) -> str | None:
+    name = read_pins().get(normalize_indian_ticker(raw_ticker))
+    # A pin whose file was deleted falls back to the newest version.
+    if name and (ARTIFACT_DIR / name).exists():
+        return name
+    return None
+
+
+def resolve_artifact(raw_ticker: str, artifact: str | None = None) -> Path:
+    normalized = normalize_indian_ticker(raw_ticker)
+    paths = ticker_artifacts(normalized)
+    if not paths:
+        raise FileNotFoundError(f"No trained model found for '{normalized}'. Train first.")
+
+    wanted = artifact or pinned_artifact(normalized)
+    if wanted is None:
+        return paths[-1]
+    for path in paths:
+        if path.name == wanted:
+            return path
+    raise FileNotFoundError(f"Model version '{wanted}' not found for '{normalized}'.")
+
+
+def pin_artifact(raw_ticker: str, artifact: str) -> Path:
+    path = resolve_artifact(raw_ticker, artifact)
+    with _pins_lock:
+        pins = read_pins()
+        pins[normalize_indian_ticker(raw_ticker)] = path.name
+        _write_pins(pins)
+    return path
+
+
+def unpin_ticker(raw_ticker: str) -> None:
+    with _pins_lock:
+        pins = read_pins()
+        if pins.pop(normalize_indian_ticker(raw_ticker), None) is not None:
+            _write_pins(pins)
+
+
+def rollback_ticker(raw_ticker: str) -> Path:
+    paths = ticker_artifacts(raw_ticker)
+    active = resolve_artifact(raw_ticker)
+    index = paths.index(active)
+    if index == 0:
+        raise ValueError(f"'{active.name}' is the oldest saved version; nothing to roll back to.")
+    return pin_artifact(raw_ticker, paths[index - 1].name)
+
+
+def promote_artifact(artifact_path: Path, raw_ticker: str) -> Path:
+    """Copies a checkpoint saved outside the registry (e.g. a sweep trial) in as the newest version."""
+    if not artifact_path.exists():
+        raise FileNotFoundError(f"Artifact '{artifact_path.name}' no longer exists.")
+    match = _NAME_PATTERN.match(artifact_path.stem)
+    if match is None:
+        raise ValueError(f"'{artifact_path.name}' is not a model artifact name.")
+
+    target = ARTIFACT_DIR / f"{match.group('base')}_v{_next_version(raw_ticker)}.pt"
+    shutil.copyfile(artifact_path, target)
+    # Promotion means "serve this"; a pin on an older version would otherwise hide it.
+    if pinned_artifact(raw_ticker) is not None:
+        pin_artifact(raw_ticker, target.name)
+    return target
@@ -0,0 +1,76 @@
+import pandas as pd
+
+from .data import make_future_business_days
+from .inference import forecast_points, load_saved_model
+from .schemas import DataSource
+
+MAX_APPENDED_CLOSES = 20
+
+
+def apply_scenario(series: pd.Series, edits: list[dict], append: list[float]) -> pd.Series:
+    """Returns a copy of `series` with edited closes replaced and hypothetical closes appended.
+
+    Edits must target dates already in the series; appended closes take the next trading days.
+    """
+    scenario = series.copy()
+    for edit in edits:
+        date = pd.Timestamp(edit["date"])
+        if date not in scenario.index:
+            raise ValueError(f"Scenario date {edit['date']} is not a trading day in the series.")
+        if edit["close"] <= 0:
+            raise ValueError(f"Scenario close for {edit['date']} must be positive.")
+        scenario.loc[date] = float(edit["close"])
+
+    if len(append) > MAX_APPENDED_CLOSES:
+        raise ValueError(f"At most {MAX_APPENDED_CLOSES} hypothetical closes can be appended.")
+    if append:
+        if any(close <= 0 for close in append):
+            raise ValueError("Appended closes must be positive.")
+        dates = make_future_business_days(scenario.index[-1], len(append))
+        scenario = pd.concat([scenario, pd.Series(append, index=pd.DatetimeIndex(dates), dtype=scenario.dtype)])
+    return scenario
+
+
+def _points(series: pd.Series) -> list[dict]:
+    return [{"date": idx.strftime("%Y-%m-%d"), "value": float(value)} for idx, value in series.items()]
+
+
+def predict_scenario(
+    raw_ticker: str,
+    horizon: int,
+    history_points: int,
+    edits: list[dict],
+    append: list[float],
+    data_source: DataSource = "auto",
+    local_data_dir: str | None = None,
+    model_version: str | None = None,
+) -> dict:
+    """Forecasts the stored series and an edited copy of it with the same model."""
+    if not edits and not append:
+        raise ValueError("Scenario has no edited or appended closes.")
+
+    loaded = load_saved_model(raw_ticker, model_version)
+    series, used_source = loaded.fetch_series(data_source=data_source, local_data_dir=local_data_dir)
+    scenario = apply_scenario(series, edits, append)
+
+    baseline, interval_method = forecast_points(loaded, series, horizon)
+    scenario_forecast, _ = forecast_points(loaded, scenario, horizon)
+
+    # The scenario tail covers the same dates as the history plus anything appended.
+    return {
+        "ticker": loaded.ticker,
+        "source": used_source,
+        "transform": loaded.transform,
+        "model_artifact": str(loaded.artifact_path),
+        "model_version": loaded.version,
+        "input_len": loaded.input_len,
+        "pred_len": loaded.pred_len,
+        "horizon": horizon,
+        "last_close": float(series.iloc[-1]),
+        "scenario_last_close": float(scenario.iloc[-1]),
+        "interval_method": interval_method,
+        "history": _points(series.tail(history_points)),
+        "scenario_history": _points(scenario.tail(history_points + len(append))),
+        "baseline": baseline,
+        "scenario": scenario_forecast,
+    }
@@ -5,8 +5,7 @@ from pydantic import BaseModel, Field
 DataSource = Literal["auto", "local", "yfinance"]
 
 
-class TrainRequest(BaseModel):
-    ticker: str = Field(..., examples=["RELIANCE", "^NSEI"])
+class TrainHyperparams(BaseModel):
     period: str = Field(default="5y", examples=["1y", "3y", "5y", "10y"])
     input_len: int = Field(default=60, ge=20, le=512)
     pred_len: int = Field(default=5, ge=1, le=120)
@@ -17,12 +16,57 @@ class TrainRequest(BaseModel):
     local_data_dir: str | None = Field(default=None)
 
 
+class TrainRequest(TrainHyperparams):
+    ticker: str = Field(..., examples=["RELIANCE", "^NSEI"])
+
+
+class BatchTrainRequest(TrainHyperparams):
+    tickers: list[str] = Field(..., min_length=1, max_length=500, examples=[["RELIANCE", "TCS"]])
+
+
+class SweepRequest(BaseModel):
+    ticker: str = Field(..., examples=["RELIANCE", "^NSEI"])
+    mode: Literal["grid", "random"] = Field(default="grid")
+    input_len: list[int] = Field(default=[60], min_length=1, max_length=20, examples=[[30, 60, 90]])
+    pred_len: list[int] = Field(default=[5], min_length=1, max_length=20)
+    batch_size: list[int] = Field(default=[32], min_length=1, max_length=20)
+    learning_rate: list[float] = Field(default=[0.001], min_length=1, max_length=20, examples=[[0.0005, 0.001, 0.005]])
+    max_trials: int = Field(default=12, ge=1, le=50)
+    seed: int | None = Field(default=None)
+    period: str = Field(default="5y")
+    epochs: int = Field(default=30, ge=1, le=500)
+    data_source: DataSource = Field(default="auto")
+    local_data_dir: str | None = Field(default=None)
+
+
 class PredictRequest(BaseModel):
     ticker: str = Field(..., examples=["RELIANCE", "^NSEI"])
     horizon: int = Field(default=10, ge=1, le=120)
     history_points: int = Field(default=90, ge=20, le=500)
     data_source: DataSource = Field(default="auto")
     local_data_dir: str | None = Field(default=None)
+    model_version: str | None = Field(default=None, examples=["RELIANCE_NS_in60_out5_v3.pt"])
+    # Only forecasts a user asks for belong in the log; leaderboard and comparison refreshes leave it off.
+    record: bool = Field(default=False)
+
+
+class PinRequest(BaseModel):
+    artifact: str = Field(..., examples=["RELIANCE_NS_in60_out5_v3.pt"])
+
+
+class BacktestRequest(BaseModel):
+    ticker: str = Field(..., examples=["RELIANCE", "^NSEI"])
+    horizon: int = Field(default=10, ge=1, le=60)
+    step: int = Field(default=10, ge=1, le=250)
+    windows: int = Field(default=20, ge=1, le=200)
+    data_source: DataSource = Field(default="auto")
+    local_data_dir: str | None = Field(default=None)
+
+
+class CsvUploadRequest(BaseModel):
+    symbol: str = Field(..., examples=["MYSTOCK"])
+    content: str = Field(..., min_length=1)
+    overwrite: bool = Field(default=False)
 
 
 class PricePoint(BaseModel):
@@ -30,11 +74,19 @@ class PricePoint(BaseModel):
     value: float
 
 
+class ForecastPoint(PricePoint):
+    lower_50: float
+    upper_50: float
+    lower_90: float
+    upper_90: float
+
+
 class TrainResponse(BaseModel):
     ticker: str
     source: DataSource
     transform: str
     artifact_path: str
+    version: int
     train_loss: float
     val_loss: float
     val_rmse: float
@@ -46,25 +98,462 @@ class TrainResponse(BaseModel):
     trained_at_utc: str
 
 
+class EpochLoss(BaseModel):
+    epoch: int
+    train_loss: float
+    val_loss: float
+
+
+class TrainJobResponse(BaseModel):
+    job_id: str
+    ticker: str
+    status: Literal["queued", "running", "completed", "failed", "cancelled"]
+    epoch: int
+    epochs: int
+    history: list[EpochLoss]
+    result: TrainResponse | None = None
+    error: str | None = None
+    created_at_utc: str
+    finished_at_utc: str | None = None
+
+
+class BatchJobStatus(BaseModel):
+    job_id: str
+    ticker: str
+    status: Literal["queued", "running", "completed", "failed", "cancelled"]
+    epoch: int
+    epochs: int
+    result: TrainResponse | None = None
+    error: str | None = None
+
+
+class TrainBatchResponse(BaseModel):
+    batch_id: str
+    status: Literal["running", "completed", "failed", "cancelled"]
+    created_at_utc: str
+    jobs: list[BatchJobStatus]
+
+
+class SweepTrial(BatchJobStatus):
+    index: int
+    input_len: int
+    pred_len: int
+    batch_size: int
+    learning_rate: float
+
+
+class TrainSweepResponse(BaseModel):
+    sweep_id: str
+    ticker: str
+    mode: Literal["grid", "random"]
+    status: Literal["running", "completed", "failed", "cancelled"]
+    combinations: int
+    created_at_utc: str
+    promoted_index: int | None = None
+    promoted_artifact: str | None = None
+    trials: list[SweepTrial]
+
+
 class PredictResponse(BaseModel):
     ticker: str
     source: DataSource
     transform: str
     model_artifact: str
+    model_version: int
     input_len: int
     pred_len: int
     horizon: int
     last_close: float
+    interval_method: str
     history: list[PricePoint]
+    forecast: list[ForecastPoint]
+    log_error: str | None = None
+
+
+class ArtifactInfo(BaseModel):
+    artifact: str
+    ticker: str
+    version: int
+    source: DataSource | None = None
+    period: str | None = None
+    transform: str
+    input_len: int
+    pred_len: int
+    train_loss: float | None = None
+    val_loss: float | None = None
+    val_rmse: float | None = None
+    direction_accuracy: float | None = None
+    train_samples: int | None = None
+    val_samples: int | None = None
+    trained_at_utc: str | None = None
+    is_pinned: bool
+    is_active: bool
+
+
+class ArtifactsResponse(BaseModel):
+    artifacts: list[ArtifactInfo]
+
+
+class ModelWeightsResponse(BaseModel):
+    ticker: str
+    artifact: str
+    version: int
+    transform: str
+    input_len: int
+    pred_len: int
+    kernel_size: int
+    mean: float
+    std: float
+    val_rmse: float | None = None
+    interval_z_scores: dict[str, float]
+    trend_weight: list[list[float]]
+    trend_bias: list[float]
+    seasonal_weight: list[list[float]]
+    seasonal_bias: list[float]
+
+
+class HorizonMetric(BaseModel):
+    step: int
+    mae: float
+    mape: float
+    hit_rate: float
+
+
+class EquityPoint(BaseModel):
+    date: str
+    strategy: float
+    buy_hold: float
+    long: bool
+
+
+class BacktestPath(BaseModel):
+    cutoff_date: str
+    cutoff_close: float
+    in_sample: bool
     forecast: list[PricePoint]
 
 
+class BacktestResponse(BaseModel):
+    ticker: str
+    source: DataSource
+    transform: str
+    model_artifact: str
+    input_len: int
+    horizon: int
+    step: int
+    windows: int
+    in_sample_windows: int
+    train_end_date: str | None
+    warnings: list[str]
+    mae: float
+    mape: float
+    hit_rate: float
+    strategy_return: float
+    buy_hold_return: float
+    horizon_metrics: list[HorizonMetric]
+    equity: list[EquityPoint]
+    paths: list[BacktestPath]
+    actual: list[PricePoint]
+
+
 class SymbolsResponse(BaseModel):
     source: DataSource
     symbols: list[str]
 
 
+class OhlcvBar(BaseModel):
+    date: str
+    open: float
+    high: float
+    low: float
+    close: float
+    volume: float
+
+
 class HistoryResponse(BaseModel):
     ticker: str
     source: DataSource
-    history: list[PricePoint]
\ No newline at end of file
+    history: list[PricePoint]
+    bars: list[OhlcvBar] | None = None
+
+class DataGap(BaseModel):
+    start: str
+    end: str
+    missing_business_days: int
+
+
+class UploadPreviewRow(BaseModel):
+    date: str
+    open: float | None = None
+    high: float | None = None
+    low: float | None = None
+    close: float
+    volume: float | None = None
+
+
+class CsvUploadReport(BaseModel):
+    symbol: str
+    layout: Literal["yfinance", "plain"]
+    rows: int
+    columns: list[str]
+    start_date: str | None
+    end_date: str | None
+    dropped_rows: int
+    duplicate_dates: int
+    non_positive_rows: int
+    gap_count: int
+    gaps: list[DataGap]
+    preview: list[UploadPreviewRow]
+    errors: list[str]
+    warnings: list[str]
+    exists: bool
+    valid: bool
+    saved: bool
+
+
+class PriceJump(BaseModel):
+    date: str
+    prev_close: float
+    close: float
+    change_pct: float
+
+
+class SymbolQuality(BaseModel):
+    symbol: str
+    status: Literal["ok", "warn", "error"]
+    rows: int
+    start_date: str | None
+    end_date: str | None
+    unreadable_rows: int
+    duplicate_dates: int
+    non_positive_rows: int
+    missing_business_days: int
+    gap_count: int
+    gaps: list[DataGap]
+    stale_business_days: int | None
+    jump_count: int
+    jumps: list[PriceJump]
+    required_rows: int
+    trainable: bool
+    issues: list[str]
+
+
+class DataQualityResponse(BaseModel):
+    input_len: int
+    pred_len: int
+    required_rows: int
+    checked_at: str
+    symbols: list[SymbolQuality]
+
+
+class ForecastLogPoint(BaseModel):
+    date: str
+    forecast: float
+    actual: float | None = None
+    abs_pct_error: float | None = None
+    hit: bool | None = None
+
+
+class ForecastLogEntry(BaseModel):
+    id: str
+    created_at_utc: str
+    ticker: str
+    source: DataSource
+    data_source: DataSource
+    model_artifact: str
+    model_version: int
+    transform: str
+    input_len: int
+    horizon: int
+    last_date: str
+    last_close: float
+    status: Literal["pending", "partial", "scored"]
+    scored_points: int
+    mape: float | None = None
+    hit_rate: float | None = None
+    points: list[ForecastLogPoint]
+
+
+class ForecastAccuracy(BaseModel):
+    key: str
+    ticker: str
+    forecasts: int
+    scored_forecasts: int
+    scored_points: int
+    mape: float | None = None
+    hit_rate: float | None = None
+    last_forecast_at: str
+
+
+class ForecastLogResponse(BaseModel):
+    total: int
+    scored_at_utc: str
+    by_ticker: list[ForecastAccuracy]
+    by_model: list[ForecastAccuracy]
+    entries: list[ForecastLogEntry]
+
+
+class Holiday(BaseModel):
+    date: str = Field(..., examples=["2026-11-10"])
+    name: str = Field(..., examples=["Diwali Balipratipada"])
+
+
+class CalendarUpdateRequest(BaseModel):
+    holidays: list[Holiday]
+
+
+class CalendarResponse(BaseModel):
+    exchange: str
+    source: Literal["bundled", "custom"]
+    holidays: list[Holiday]
+
+
+class ExplainRequest(BaseModel):
+    ticker: str = Field(..., examples=["RELIANCE"])
+    data_source: DataSource = Field(default="auto")
+    local_data_dir: str | None = Field(default=None)
+    model_version: str | None = Field(default=None, examples=["RELIANCE_NS_in60_out5_v3.pt"])
+
+
+class ExplainWindowPoint(BaseModel):
+    date: str
+    value: float
+    trend: float
+    seasonal: float
+
+
+class ExplainStep(BaseModel):
+    step: int
+    date: str
+    trend: float
+    seasonal: float
+    bias: float
+    total: float
+
+
+class ExplainLag(BaseModel):
+    lag: int
+    date: str
+    trend: float
+    seasonal: float
+
+
+class ExplainResponse(BaseModel):
+    ticker: str
+    source: DataSource
+    transform: str
+    model_artifact: str
+    model_version: int
+    input_len: int
+    pred_len: int
+    last_close: float
+    kernel_size: int
+    unit: Literal["return_pct", "price"]
+    window: list[ExplainWindowPoint]
+    steps: list[ExplainStep]
+    lags: list[ExplainLag]
+    trend_weights: list[list[float]]
+    seasonal_weights: list[list[float]]
+
+
+class ScenarioEdit(BaseModel):
+    date: str = Field(..., examples=["2026-10-16"])
+    close: float = Field(..., gt=0)
+
+
+class ScenarioRequest(PredictRequest):
+    edits: list[ScenarioEdit] = Field(default_factory=list, max_length=500)
+    append: list[float] = Field(default_factory=list, max_length=20, examples=[[2850.0]])
+
+
+class ScenarioResponse(BaseModel):
+    ticker: str
+    source: DataSource
+    transform: str
+    model_artifact: str
+    model_version: int
+    input_len: int
+    pred_len: int
+    horizon: int
+    last_close: float
+    scenario_last_close: float
+    interval_method: str
+    history: list[PricePoint]
+    scenario_history: list[PricePoint]
+    baseline: list[ForecastPoint]
+    scenario: list[ForecastPoint]
+
+
+class SymbolMetadata(BaseModel):
+    symbol: str
+    name: str
+    sector: str
+    industry: str
+    source: Literal["bundled", "custom", "default"]
+
+
+class SymbolMetadataUpdate(BaseModel):
+    name: str = Field(..., examples=["Reliance Industries"])
+    sector: str = Field(..., examples=["Oil & Gas"])
+    industry: str = Field(..., examples=["Refining & Diversified"])
+
+
+class SymbolMetadataResponse(BaseModel):
+    symbols: list[SymbolMetadata]
+    sectors: list[str]
+
+
+class MarketMove(BaseModel):
+    symbol: str
+    name: str
+    sector: str
+    industry: str
+    status: Literal["ok", "no_model", "error"]
+    message: str | None = None
+    model_version: int | None = None
+    last_date: str | None = None
+    last_close: float | None = None
+    forecast_close: float | None = None
+    change_pct: float | None = None
+
+
+class SectorSummary(BaseModel):
+    sector: str
+    symbols: int
+    forecasted: int
+    avg_change_pct: float | None = None
+    best: str | None = None
+    worst: str | None = None
+
+
+class MarketOverviewResponse(BaseModel):
+    horizon: int
+    generated_at_utc: str
+    symbols: list[MarketMove]
+    sectors: list[SectorSummary]
+
+
+class CorrelationRequest(BaseModel):
+    symbols: list[str] = Field(..., min_length=2, max_length=100, examples=[["HDFCBANK", "ICICIBANK", "TCS"]])
+    window: int = Field(default=60, ge=20, le=500)
+    horizon: int = Field(default=10, ge=1, le=120)
+    data_source: DataSource = Field(default="local")
+    local_data_dir: str | None = Field(default=None)
+
+
+class CorrelationResponse(BaseModel):
+    window: int
+    horizon: int
+    start: str
+    end: str
+    symbols: list[str]
+    clusters: list[int]
+    matrix: list[list[float]]
+    forecast_change_pct: list[float | None]
+
+
+class PairCorrelationResponse(BaseModel):
+    a: str
+    b: str
+    window: int
+    points: list[PricePoint]
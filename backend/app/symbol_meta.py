@@ -0,0 +1,141 @@
+import json
+import threading
+from pathlib import Path
+
+# Per-symbol overrides saved from the settings page. Each entry replaces the
+# bundled record for that symbol only; deleting it reverts to the bundled one.
+CUSTOM_METADATA_PATH = Path(__file__).resolve().parents[1] / "artifacts" / "symbol_meta.json"
+
+UNCLASSIFIED = "Unclassified"
+
+# (display name, sector, industry) for the symbols shipped in backend/data.
+# Sectors follow the NSE macro groups, with banks split out of financial services.
+BUNDLED_METADATA = {
+    "ADANIENT": ("Adani Enterprises", "Metals & Mining", "Trading & Diversified"),
+    "AMBUJACEM": ("Ambuja Cements", "Construction Materials", "Cement"),
+    "APOLLOHOSP": ("Apollo Hospitals Enterprise", "Healthcare", "Hospitals"),
+    "ASIANPAINT": ("Asian Paints", "Consumer Durables", "Paints"),
+    "AUBANK": ("AU Small Finance Bank", "Banking", "Small Finance Bank"),
+    "AXISBANK": ("Axis Bank", "Banking", "Private Bank"),
+    "BAJAJ-AUTO": ("Bajaj Auto", "Automobile", "Two & Three Wheelers"),
+    "BAJAJFINSV": ("Bajaj Finserv", "Financial Services", "Financial Holding Company"),
+    "BAJFINANCE": ("Bajaj Finance", "Financial Services", "NBFC"),
+    "BANKBARODA": ("Bank of Baroda", "Banking", "PSU Bank"),
+    "BIOCON": ("Biocon", "Healthcare", "Biotechnology"),
+    "BPCL": ("Bharat Petroleum Corporation", "Oil & Gas", "Refining & Marketing"),
+    "BRITANNIA": ("Britannia Industries", "FMCG", "Packaged Foods"),
+    "CANBK": ("Canara Bank", "Banking", "PSU Bank"),
+    "CHOLAFIN": ("Cholamandalam Investment and Finance", "Financial Services", "NBFC"),
+    "CIPLA": ("Cipla", "Healthcare", "Pharmaceuticals"),
+    "COALINDIA": ("Coal India", "Metals & Mining", "Coal"),
+    "DABUR": ("Dabur India", "FMCG", "Personal Products"),
+    "DIVISLAB": ("Divi's Laboratories", "Healthcare", "Pharmaceuticals"),
+    "DRREDDY": ("Dr. Reddy's Laboratories", "Healthcare", "Pharmaceuticals"),
+    "EICHERMOT": ("Eicher Motors", "Automobile", "Two Wheelers"),
+    "FEDERALBNK": ("The Federal Bank", "Banking", "Private Bank"),
+    "GODREJCP": ("Godrej Consumer Products", "FMCG", "Personal Products"),
+    "GRASIM": ("Grasim Industries", "Construction Materials", "Cement & Diversified"),
+    "HAVELLS": ("Havells India", "Consumer Durables", "Electrical Equipment"),
+    "HCLTECH": ("HCL Technologies", "Information Technology", "IT Services"),
+    "HDFCBANK": ("HDFC Bank", "Banking", "Private Bank"),
+    "HDFCLIFE": ("HDFC Life Insurance Company", "Financial Services", "Life Insurance"),
+    "HEROMOTOCO": ("Hero MotoCorp", "Automobile", "Two Wheelers"),
+    "HINDUNILVR": ("Hindustan Unilever", "FMCG", "Personal Products"),
+    "ICICIBANK": ("ICICI Bank", "Banking", "Private Bank"),
+    "ICICIPRULI": ("ICICI Prudential Life Insurance", "Financial Services", "Life Insurance"),
+    "IDFCFIRSTB": ("IDFC First Bank", "Banking", "Private Bank"),
+    "INDUSINDBK": ("IndusInd Bank", "Banking", "Private Bank"),
+    "INFY": ("Infosys", "Information Technology", "IT Services"),
+    "IOC": ("Indian Oil Corporation", "Oil & Gas", "Refining & Marketing"),
+    "ITC": ("ITC", "FMCG", "Diversified FMCG"),
+    "JSWSTEEL": ("JSW Steel", "Metals & Mining", "Steel"),
+    "KOTAKBANK": ("Kotak Mahindra Bank", "Banking", "Private Bank"),
+    "LICHSGFIN": ("LIC Housing Finance", "Financial Services", "Housing Finance"),
+    "LT": ("Larsen & Toubro", "Construction", "Engineering & Construction"),
+    "LUPIN": ("Lupin", "Healthcare", "Pharmaceuticals"),
+    "MARUTI": ("Maruti Suzuki India", "Automobile", "Passenger Cars"),
+    "MUTHOOTFIN": ("Muthoot Finance", "Financial Services", "Gold Loans"),
+    "NESTLEIND": ("Nestle India", "FMCG", "Packaged Foods"),
+    "NTPC": ("NTPC", "Power", "Power Generation"),
+    "ONGC": ("Oil and Natural Gas Corporation", "Oil & Gas", "Exploration & Production"),
+    "PFC": ("Power Finance Corporation", "Financial Services", "Power Financing"),
+    "PIDILITIND": ("Pidilite Industries", "Chemicals", "Specialty Chemicals"),
+    "PNB": ("Punjab National Bank", "Banking", "PSU Bank"),
+    "POWERGRID": ("Power Grid Corporation of India", "Power", "Power Transmission"),
+    "RECLTD": ("REC", "Financial Services", "Power Financing"),
+    "RELIANCE": ("Reliance Industries", "Oil & Gas", "Refining & Diversified"),
+    "SBILIFE": ("SBI Life Insurance Company", "Financial Services", "Life Insurance"),
+    "SBIN": ("State Bank of India", "Banking", "PSU Bank"),
+    "SHREECEM": ("Shree Cement", "Construction Materials", "Cement"),
+    "SUNPHARMA": ("Sun Pharmaceutical Industries", "Healthcare", "Pharmaceuticals"),
+    "TATASTEEL": ("Tata Steel", "Metals & Mining", "Steel"),
+    "TCS": ("Tata Consultancy Services", "Information Technology", "IT Services"),
+    "TECHM": ("Tech Mahindra", "Information Technology", "IT Services"),
+    "TITAN": ("Titan Company", "Consumer Durables", "Jewellery & Watches"),
+    "ULTRACEMCO": ("UltraTech Cement", "Construction Materials", "Cement"),
+    "WIPRO": ("Wipro", "Information Technology", "IT Services"),
+}
+
+_metadata_lock = threading.Lock()
+
+
+def _read_custom() -> dict[str, dict]:
+    try:
+        data = json.loads(CUSTOM_METADATA_PATH.read_text(encoding="utf-8"))
+    except (FileNotFoundError, json.JSONDecodeError):
+        return {}
+    return data if isinstance(data, dict) else {}
+
+
+def _write_custom(custom: dict[str, dict]) -> None:
+    CUSTOM_METADATA_PATH.parent.mkdir(parents=True, exist_ok=True)
+    CUSTOM_METADATA_PATH.write_text(json.dumps(custom, indent=2, sort_keys=True), encoding="utf-8")
+
+
+def _symbol_key(symbol: str) -> str:
+    # Metadata is keyed by the local CSV symbol, so "RELIANCE.NS" and "reliance" resolve alike.
+    key = symbol.strip().upper().removesuffix(".NS").removesuffix(".BO")
+    if not key:
+        raise ValueError("Symbol must not be empty.")
+    return key
+
+
+def _resolve(symbol: str, custom: dict[str, dict]) -> dict:
+    if symbol in custom:
+        return {"symbol": symbol, **custom[symbol], "source": "custom"}
+    if symbol in BUNDLED_METADATA:
+        name, sector, industry = BUNDLED_METADATA[symbol]
+        return {"symbol": symbol, "name": name, "sector": sector, "industry": industry, "source": "bundled"}
+    # Uploaded symbols start unclassified until someone tags them.
+    return {"symbol": symbol, "name": symbol, "sector": UNCLASSIFIED, "industry": UNCLASSIFIED, "source": "default"}
+
+
+def symbol_metadata(symbol: str) -> dict:
+    return _resolve(_symbol_key(symbol), _read_custom())
+
+
+def list_symbol_metadata(symbols: list[str]) -> list[dict]:
+    custom = _read_custom()
+    return [_resolve(_symbol_key(symbol), custom) for symbol in symbols]
+
+
+def save_symbol_metadata(symbol: str, name: str, sector: str, industry: str) -> dict:
+    key = _symbol_key(symbol)
+    fields = {"name": name.strip(), "sector": sector.strip(), "industry": industry.strip()}
+    empty = [field for field, value in fields.items() if not value]
+    if empty:
+        raise ValueError(f"Metadata fields must not be empty: {', '.join(empty)}.")
+    with _metadata_lock:
+        custom = _read_custom()
+        custom[key] = fields
+        _write_custom(custom)
+    return _resolve(key, custom)
+
+
+def reset_symbol_metadata(symbol: str) -> dict:
+    key = _symbol_key(symbol)
+    with _metadata_lock:
+        custom = _read_custom()
+        if custom.pop(key, None) is not None:
+            _write_custom(custom)
+    return _resolve(key, custom)
@@ -0,0 +1,235 @@
+import json
+import threading
+from datetime import date
+from pathlib import Path
+
+import numpy as np
+import pandas as pd
+
+# Edits from the settings page replace the bundled list wholesale; deleting the
+# file (or resetting from the UI) goes back to the bundled one.
+CUSTOM_HOLIDAYS_PATH = Path(__file__).resolve().parents[1] / "artifacts" / "holidays.json"
+
+# NSE equity segment trading holidays that fall on weekdays, from the exchange's
+# annual circulars. The list starts in 2016 so it covers the bundled CSVs, which
+# quality checks and forecast-log scoring read back to their first row. Extend
+# this when the next year's list is published.
+BUNDLED_HOLIDAYS = [
+    ("2016-01-26", "Republic Day"),
+    ("2016-03-07", "Mahashivratri"),
+    ("2016-03-24", "Holi"),
+    ("2016-03-25", "Good Friday"),
+    ("2016-04-14", "Dr. Baba Saheb Ambedkar Jayanti"),
+    ("2016-04-15", "Ram Navami"),
+    ("2016-04-19", "Mahavir Jayanti"),
+    ("2016-07-06", "Ramzan Id"),
+    ("2016-08-15", "Independence Day"),
+    ("2016-09-05", "Ganesh Chaturthi"),
+    ("2016-09-13", "Bakri Id"),
+    ("2016-10-11", "Dussehra"),
+    ("2016-10-12", "Moharram"),
+    ("2016-10-31", "Diwali Balipratipada"),
+    ("2016-11-14", "Gurunanak Jayanti"),
+    ("2017-01-26", "Republic Day"),
+    ("2017-02-24", "Mahashivratri"),
+    ("2017-03-13", "Holi"),
+    ("2017-04-04", "Ram Navami"),
+    ("2017-04-14", "Good Friday / Dr. Baba Saheb Ambedkar Jayanti"),
+    ("2017-05-01", "Maharashtra Day"),
+    ("2017-06-26", "Ramzan Id"),
+    ("2017-08-15", "Independence Day"),
+    ("2017-08-25", "Ganesh Chaturthi"),
+    ("2017-10-02", "Mahatma Gandhi Jayanti"),
+    ("2017-10-20", "Diwali Balipratipada"),
+    ("2017-12-25", "Christmas"),
+    ("2018-01-26", "Republic Day"),
+    ("2018-02-13", "Mahashivratri"),
+    ("2018-03-02", "Holi"),
+    ("2018-03-29", "Mahavir Jayanti"),
+    ("2018-03-30", "Good Friday"),
+    ("2018-05-01", "Maharashtra Day"),
+    ("2018-08-15", "Independence Day"),
+    ("2018-08-22", "Bakri Id"),
+    ("2018-09-13", "Ganesh Chaturthi"),
+    ("2018-09-20", "Moharram"),
+    ("2018-10-02", "Mahatma Gandhi Jayanti"),
+    ("2018-10-18", "Dussehra"),
+    ("2018-11-08", "Diwali Balipratipada"),
+    ("2018-11-23", "Gurunanak Jayanti"),
+    ("2018-12-25", "Christmas"),
+    ("2019-03-04", "Mahashivratri"),
+    ("2019-03-21", "Holi"),
+    ("2019-04-17", "Mahavir Jayanti"),
+    ("2019-04-19", "Good Friday"),
+    ("2019-04-29", "General Parliamentary Elections"),
+    ("2019-05-01", "Maharashtra Day"),
+    ("2019-06-05", "Id-Ul-Fitr (Ramzan Id)"),
+    ("2019-08-12", "Bakri Id"),
+    ("2019-08-15", "Independence Day"),
+    ("2019-09-02", "Ganesh Chaturthi"),
+    ("2019-09-10", "Moharram"),
+    ("2019-10-02", "Mahatma Gandhi Jayanti"),
+    ("2019-10-08", "Dussehra"),
+    ("2019-10-21", "Maharashtra Assembly Elections"),
+    ("2019-10-28", "Diwali Balipratipada"),
+    ("2019-11-12", "Gurunanak Jayanti"),
+    ("2019-12-25", "Christmas"),
+    ("2020-02-21", "Mahashivratri"),
+    ("2020-03-10", "Holi"),
+    ("2020-04-02", "Ram Navami"),
+    ("2020-04-06", "Mahavir Jayanti"),
+    ("2020-04-10", "Good Friday"),
+    ("2020-04-14", "Dr. Baba Saheb Ambedkar Jayanti"),
+    ("2020-05-01", "Maharashtra Day"),
+    ("2020-05-25", "Id-Ul-Fitr (Ramzan Id)"),
+    ("2020-10-02", "Mahatma Gandhi Jayanti"),
+    ("2020-11-16", "Diwali Balipratipada"),
+    ("2020-11-30", "Gurunanak Jayanti"),
+    ("2020-12-25", "Christmas"),
+    ("2021-01-26", "Republic Day"),
+    ("2021-03-11", "Mahashivratri"),
+    ("2021-03-29", "Holi"),
+    ("2021-04-02", "Good Friday"),
+    ("2021-04-14", "Dr. Baba Saheb Ambedkar Jayanti"),
+    ("2021-04-21", "Ram Navami"),
+    ("2021-05-13", "Id-Ul-Fitr (Ramzan Id)"),
+    ("2021-07-21", "Bakri Id"),
+    ("2021-08-19", "Moharram"),
+    ("2021-09-10", "Ganesh Chaturthi"),
+    ("2021-10-15", "Dussehra"),
+    ("2021-11-05", "Diwali Balipratipada"),
+    ("2021-11-19", "Gurunanak Jayanti"),
+    ("2022-01-26", "Republic Day"),
+    ("2022-03-01", "Mahashivratri"),
+    ("2022-03-18", "Holi"),
+    ("2022-04-14", "Mahavir Jayanti / Dr. Baba Saheb Ambedkar Jayanti"),
+    ("2022-04-15", "Good Friday"),
+    ("2022-05-03", "Id-Ul-Fitr (Ramzan Id)"),
+    ("2022-08-09", "Moharram"),
+    ("2022-08-15", "Independence Day"),
+    ("2022-08-31", "Ganesh Chaturthi"),
+    ("2022-10-05", "Dussehra"),
+    ("2022-10-26", "Diwali Balipratipada"),
+    ("2022-11-08", "Gurunanak Jayanti"),
+    ("2023-01-26", "Republic Day"),
+    ("2023-03-07", "Holi"),
+    ("2023-03-30", "Ram Navami"),
+    ("2023-04-04", "Mahavir Jayanti"),
+    ("2023-04-07", "Good Friday"),
+    ("2023-04-14", "Dr. Baba Saheb Ambedkar Jayanti"),
+    ("2023-05-01", "Maharashtra Day"),
+    ("2023-06-29", "Bakri Id"),
+    ("2023-08-15", "Independence Day"),
+    ("2023-09-19", "Ganesh Chaturthi"),
+    ("2023-10-02", "Mahatma Gandhi Jayanti"),
+    ("2023-10-24", "Dussehra"),
+    ("2023-11-14", "Diwali Balipratipada"),
+    ("2023-11-27", "Gurunanak Jayanti"),
+    ("2023-12-25", "Christmas"),
+    ("2024-01-22", "Special Holiday"),
+    ("2024-01-26", "Republic Day"),
+    ("2024-03-08", "Mahashivratri"),
+    ("2024-03-25", "Holi"),
+    ("2024-03-29", "Good Friday"),
+    ("2024-04-11", "Id-Ul-Fitr (Ramadan Eid)"),
+    ("2024-04-17", "Shri Ram Navmi"),
+    ("2024-05-01", "Maharashtra Day"),
+    ("2024-05-20", "General Parliamentary Elections"),
+    ("2024-06-17", "Bakri Id"),
+    ("2024-07-17", "Moharram"),
+    ("2024-08-15", "Independence Day"),
+    ("2024-10-02", "Mahatma Gandhi Jayanti"),
+    ("2024-11-01", "Diwali Laxmi Pujan"),
+    ("2024-11-15", "Gurunanak Jayanti"),
+    ("2024-11-20", "Maharashtra Assembly Elections"),
+    ("2024-12-25", "Christmas"),
+    ("2025-02-26", "Mahashivratri"),
+    ("2025-03-14", "Holi"),
+    ("2025-03-31", "Id-Ul-Fitr (Ramadan Eid)"),
+    ("2025-04-10", "Shri Mahavir Jayanti"),
+    ("2025-04-14", "Dr. Baba Saheb Ambedkar Jayanti"),
+    ("2025-04-18", "Good Friday"),
+    ("2025-05-01", "Maharashtra Day"),
+    ("2025-08-15", "Independence Day"),
+    ("2025-08-27", "Ganesh Chaturthi"),
+    ("2025-10-02", "Mahatma Gandhi Jayanti / Dussehra"),
+    ("2025-10-21", "Diwali Laxmi Pujan"),
+    ("2025-10-22", "Balipratipada"),
+    ("2025-11-05", "Prakash Gurpurb Sri Guru Nanak Dev"),
+    ("2025-12-25", "Christmas"),
+    ("2026-01-26", "Republic Day"),
+    ("2026-03-03", "Holi"),
+    ("2026-03-26", "Shri Ram Navami"),
+    ("2026-03-31", "Shri Mahavir Jayanti"),
+    ("2026-04-03", "Good Friday"),
+    ("2026-04-14", "Dr. Baba Saheb Ambedkar Jayanti"),
+    ("2026-05-01", "Maharashtra Day"),
+    ("2026-05-28", "Bakri Id"),
+    ("2026-06-26", "Muharram"),
+    ("2026-09-14", "Ganesh Chaturthi"),
+    ("2026-10-02", "Mahatma Gandhi Jayanti"),
+    ("2026-10-20", "Dussehra"),
+    ("2026-11-10", "Diwali Balipratipada"),
+    ("2026-11-24", "Prakash Gurpurb Sri Guru Nanak Dev"),
+    ("2026-12-25", "Christmas"),
+]
+
+_calendar_lock = threading.Lock()
+
+
+def _bundled() -> list[dict]:
+    return [{"date": day, "name": name} for day, name in BUNDLED_HOLIDAYS]
+
+
+def _normalize(holidays: list[dict]) -> list[dict]:
+    by_date: dict[str, dict] = {}
+    for item in holidays:
+        raw = str(item.get("date", "")).strip()
+        try:
+            day = date.fromisoformat(raw)
+        except ValueError:
+            raise ValueError(f"Invalid holiday date '{raw}': use YYYY-MM-DD.") from None
+        name = str(item.get("name", "")).strip()
+        if not name:
+            raise ValueError(f"Holiday on {raw} needs a name.")
+        by_date[day.isoformat()] = {"date": day.isoformat(), "name": name}
+    return [by_date[key] for key in sorted(by_date)]
+
+
+def load_holidays() -> tuple[list[dict], str]:
+    """Returns the active holiday list and whether it is the "bundled" or a "custom" one."""
+    try:
+        return _normalize(json.loads(CUSTOM_HOLIDAYS_PATH.read_text(encoding="utf-8"))), "custom"
+    except (FileNotFoundError, json.JSONDecodeError, ValueError, AttributeError, TypeError):
+        return _bundled(), "bundled"
+
+
+def save_holidays(holidays: list[dict]) -> tuple[list[dict], str]:
+    cleaned = _normalize(holidays)
+    with _calendar_lock:
+        CUSTOM_HOLIDAYS_PATH.parent.mkdir(parents=True, exist_ok=True)
+        CUSTOM_HOLIDAYS_PATH.write_text(json.dumps(cleaned, indent=2), encoding="utf-8")
+    return cleaned, "custom"
+
+
+def reset_holidays() -> tuple[list[dict], str]:
+    with _calendar_lock:
+        CUSTOM_HOLIDAYS_PATH.unlink(missing_ok=True)
+    return _bundled(), "bundled"
+
+
+def holiday_array() -> np.ndarray:
+    """Holiday dates in the form numpy's busday functions take as `holidays=`."""
+    holidays, _ = load_holidays()
+    return np.array([item["date"] for item in holidays], dtype="datetime64[D]")
+
+
+def next_trading_days(last_date: pd.Timestamp, horizon: int) -> list[pd.Timestamp]:
+    start = np.datetime64(pd.Timestamp(last_date).date(), "D")
+    holidays = holiday_array()
+    # A weekend or holiday start rolls forward onto the first trading day, which
+    # then has to count as step one rather than step zero.
+    first = 1 if np.is_busday(start, holidays=holidays) else 0
+    offsets = np.arange(first, first + horizon)
+    days = np.busday_offset(start, offsets, roll="forward", holidays=holidays)
+    return [pd.Timestamp(day) for day in days]
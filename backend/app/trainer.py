@@ -1,3 +1,4 @@
+from collections.abc import Callable
 from datetime import datetime, timezone
 from pathlib import Path
 from types import SimpleNamespace
@@ -9,14 +10,14 @@ from torch.utils.data import DataLoader, TensorDataset
 
 from .data import prepare_dataset
 from .model import Model
+from .registry import artifact_version, next_artifact_path, sanitize_ticker_for_filename
 from .schemas import TrainRequest
 
-ARTIFACT_DIR = Path(__file__).resolve().parents[1] / "artifacts"
-ARTIFACT_DIR.mkdir(parents=True, exist_ok=True)
+EpochCallback = Callable[[int, float, float], None]
 
 
-def sanitize_ticker_for_filename(ticker: str) -> str:
-    return ticker.replace("^", "INDEX_").replace(".", "_").replace("/", "_").replace(" ", "_")
+class TrainingCancelled(Exception):
+    """Raised when a caller asks a running training loop to stop early."""
 
 
 def compute_validation_metrics(model: Model, val_x: torch.Tensor, val_y: torch.Tensor, device: torch.device) -> tuple[float, float]:
@@ -32,7 +33,12 @@ def compute_validation_metrics(model: Model, val_x: torch.Tensor, val_y: torch.T
     return rmse, direction_accuracy
 
 
-def train_and_save_model(req: TrainRequest) -> dict:
+def train_and_save_model(
+    req: TrainRequest,
+    on_epoch: EpochCallback | None = None,
+    should_stop: Callable[[], bool] | None = None,
+    artifact_dir: Path | None = None,
+) -> dict:
     dataset = prepare_dataset(
         raw_ticker=req.ticker,
         period=req.period,
@@ -74,7 +80,10 @@ def train_and_save_model(req: TrainRequest) -> dict:
     train_loss = 0.0
     val_loss = 0.0
 
-    for _ in range(req.epochs):
+    for epoch in range(1, req.epochs + 1):
+        if should_stop is not None and should_stop():
+            raise TrainingCancelled(f"Training cancelled before epoch {epoch}.")
+
         model.train()
         total_train = 0.0
         seen_train = 0
@@ -110,6 +119,9 @@ def train_and_save_model(req: TrainRequest) -> dict:
         train_loss = total_train / max(1, seen_train)
         val_loss = total_val / max(1, seen_val)
 
+        if on_epoch is not None:
+            on_epoch(epoch, train_loss, val_loss)
+
     val_rmse, direction_accuracy = compute_validation_metrics(
         model=model,
         val_x=val_x,
@@ -118,9 +130,13 @@ def train_and_save_model(req: TrainRequest) -> dict:
     )
 
     trained_at = datetime.now(timezone.utc).replace(microsecond=0).isoformat()
-    safe_ticker = sanitize_ticker_for_filename(dataset.ticker)
-    artifact_name = f"{safe_ticker}_in{req.input_len}_out{req.pred_len}.pt"
-    artifact_path = ARTIFACT_DIR / artifact_name
+    if artifact_dir is None:
+        artifact_path = next_artifact_path(dataset.ticker, req.input_len, req.pred_len)
+    else:
+        # Scratch checkpoints (sweep trials) stay unversioned until promoted.
+        safe_ticker = sanitize_ticker_for_filename(dataset.ticker)
+        artifact_path = artifact_dir / f"{safe_ticker}_in{req.input_len}_out{req.pred_len}.pt"
+        artifact_dir.mkdir(parents=True, exist_ok=True)
 
     checkpoint = {
         "state_dict": model.state_dict(),
@@ -138,6 +154,7 @@ def train_and_save_model(req: TrainRequest) -> dict:
         "direction_accuracy": direction_accuracy,
         "train_samples": int(dataset.x_train.shape[0]),
         "val_samples": int(dataset.x_val.shape[0]),
+        "train_end_date": dataset.train_end_date,
         "trained_at_utc": trained_at,
     }
 
@@ -148,6 +165,7 @@ def train_and_save_model(req: TrainRequest) -> dict:
         "source": dataset.source,
         "transform": dataset.transform,
         "artifact_path": str(artifact_path),
+        "version": artifact_version(artifact_path),
         "train_loss": train_loss,
         "val_loss": val_loss,
         "val_rmse": val_rmse,
@@ -157,4 +175,4 @@ def train_and_save_model(req: TrainRequest) -> dict:
         "train_samples": int(dataset.x_train.shape[0]),
         "val_samples": int(dataset.x_val.shape[0]),
         "trained_at_utc": trained_at,
-    }
\ No newline at end of file
+    }
@@ -0,0 +1,176 @@
+import io
+import re
+
+import pandas as pd
+
+from .data import (
+    DEFAULT_LOCAL_DATA_DIR,
+    OHLCV_COLUMNS,
+    _clean_index,
+    _extract_dates,
+    _find_column,
+    local_symbol_from_ticker,
+    normalize_indian_ticker,
+)
+from .quality import GAP_MIN_MISSING_DAYS, MIN_LOCAL_ROWS, find_gaps
+
+MAX_UPLOAD_CHARS = 20_000_000
+PREVIEW_ROWS = 8
+
+_SYMBOL_PATTERN = re.compile(r"^[A-Z0-9][A-Z0-9&_-]*$")
+# yfinance writes Close first; keep that order so stored files match the bundled ones.
+_STORED_COLUMNS = ["Close", "High", "Low", "Open", "Volume"]
+
+
+def _upload_symbol(raw_symbol: str) -> str:
+    symbol = local_symbol_from_ticker(raw_symbol)
+    if not _SYMBOL_PATTERN.match(symbol):
+        raise ValueError(f"Invalid symbol '{raw_symbol}': use letters, digits, '&', '-' or '_'.")
+    return symbol
+
+
+def _detect_layout(text: str) -> str:
+    lines = text.lstrip("\ufeff").splitlines()[:3]
+    first_cells = [line.split(",", 1)[0].strip().lower() for line in lines]
+    if len(first_cells) == 3 and first_cells[1] == "ticker" and first_cells[2] == "date":
+        return "yfinance"
+    return "plain"
+
+
+def _parse_frame(text: str, layout: str) -> tuple[pd.DataFrame, int, int]:
+    kwargs = {"skiprows": [1, 2]} if layout == "yfinance" else {}
+    df = pd.read_csv(io.StringIO(text.lstrip("\ufeff")), **kwargs)
+
+    columns = {name: _find_column(df, name) for name in OHLCV_COLUMNS}
+    if columns["Close"] is None:
+        raise ValueError("No Close column found. Expected a yfinance export or a Date,Close CSV.")
+
+    frame = pd.DataFrame(
+        {name: pd.to_numeric(df[col], errors="coerce").values for name, col in columns.items() if col is not None},
+        index=_extract_dates(df),
+    )
+    raw_rows = len(frame)
+    frame = frame[frame.index.notna()].dropna(subset=["Close"])
+    dropped = raw_rows - len(frame)
+    duplicates = int(frame.index.duplicated().sum())
+    return _clean_index(frame), dropped, duplicates
+
+
+def _preview_rows(frame: pd.DataFrame) -> list[dict]:
+    sample = frame if len(frame) <= PREVIEW_ROWS * 2 else pd.concat([frame.head(PREVIEW_ROWS), frame.tail(PREVIEW_ROWS)])
+    return [
+        {
+            "date": idx.strftime("%Y-%m-%d"),
+            **{name.lower(): None if pd.isna(row[name]) else float(row[name]) for name in frame.columns},
+        }
+        for idx, row in sample.iterrows()
+    ]
+
+
+def _inspect(raw_symbol: str, content: str) -> tuple[dict, pd.DataFrame | None]:
+    symbol = _upload_symbol(raw_symbol)
+    report = {
+        "symbol": symbol,
+        "layout": _detect_layout(content),
+        "rows": 0,
+        "columns": [],
+        "start_date": None,
+        "end_date": None,
+        "dropped_rows": 0,
+        "duplicate_dates": 0,
+        "non_positive_rows": 0,
+        "gap_count": 0,
+        "gaps": [],
+        "preview": [],
+        "errors": [],
+        "warnings": [],
+        "exists": (DEFAULT_LOCAL_DATA_DIR / f"{symbol}.csv").exists(),
+        "valid": False,
+        "saved": False,
+    }
+
+    if len(content) > MAX_UPLOAD_CHARS:
+        report["errors"].append(f"File is larger than {MAX_UPLOAD_CHARS // 1_000_000} MB.")
+        return report, None
+
+    try:
+        frame, dropped, duplicates = _parse_frame(content, report["layout"])
+    except Exception as exc:
+        report["errors"].append(f"Could not parse CSV: {exc}")
+        return report, None
+
+    non_positive = frame[[name for name in frame.columns if name != "Volume"]].le(0).any(axis=1)
+    gaps, gap_count, _ = find_gaps(frame.index)
+    report.update(
+        {
+            "rows": len(frame),
+            "columns": list(frame.columns),
+            "start_date": frame.index[0].strftime("%Y-%m-%d") if len(frame) else None,
+            "end_date": frame.index[-1].strftime("%Y-%m-%d") if len(frame) else None,
+            "dropped_rows": dropped,
+            "duplicate_dates": duplicates,
+            "non_positive_rows": int(non_positive.sum()),
+            "gap_count": gap_count,
+            "gaps": gaps,
+            "preview": _preview_rows(frame),
+        }
+    )
+
+    if len(frame) < 2:
+        report["errors"].append("Need at least 2 dated rows with a numeric Close.")
+    if report["non_positive_rows"]:
+        report["errors"].append(
+            f"{report['non_positive_rows']} rows have zero or negative prices; log-return training needs positive prices."
+        )
+    if 2 <= len(frame) < MIN_LOCAL_ROWS:
+        report["warnings"].append(f"Only {len(frame)} rows; local training needs at least {MIN_LOCAL_ROWS}.")
+    if dropped:
+        report["warnings"].append(f"{dropped} rows were skipped for an unreadable date or Close.")
+    if duplicates:
+        report["warnings"].append(f"{duplicates} duplicate dates; the last row for each date is kept.")
+    if gap_count:
+        report["warnings"].append(f"{gap_count} gaps of {GAP_MIN_MISSING_DAYS}+ missing business days.")
+    missing_ohlc = [name for name in ["Open", "High", "Low"] if name not in frame.columns]
+    if missing_ohlc:
+        report["warnings"].append(f"No {', '.join(missing_ohlc)} columns; candlestick charts will be unavailable.")
+    if report["exists"]:
+        report["warnings"].append(f"'{symbol}' already exists in the local universe.")
+
+    report["valid"] = not report["errors"]
+    return report, frame
+
+
+def inspect_uploaded_csv(raw_symbol: str, content: str) -> dict:
+    report, _ = _inspect(raw_symbol, content)
+    return report
+
+
+def save_uploaded_csv(raw_symbol: str, content: str, overwrite: bool = False) -> dict:
+    """Validate and store an uploaded CSV in the bundled data directory.
+
+    The target directory is never taken from the request: an API caller must not
+    be able to create files outside DEFAULT_LOCAL_DATA_DIR.
+    """
+    report, frame = _inspect(raw_symbol, content)
+    if not report["valid"]:
+        raise ValueError(" ".join(report["errors"]))
+    if report["exists"] and not overwrite:
+        raise FileExistsError(f"'{report['symbol']}' already exists; enable overwrite to replace it.")
+
+    # Store in the three-row yfinance layout so the local loaders read it unchanged.
+    columns = [name for name in _STORED_COLUMNS if name in frame.columns]
+    ticker = normalize_indian_ticker(report["symbol"])
+    header = "\n".join(
+        [
+            ",".join(["Price", *columns]),
+            ",".join(["Ticker", *([ticker] * len(columns))]),
+            "Date" + "," * len(columns),
+        ]
+    )
+    body = frame[columns].to_csv(header=False, date_format="%Y-%m-%d")
+
+    DEFAULT_LOCAL_DATA_DIR.mkdir(parents=True, exist_ok=True)
+    (DEFAULT_LOCAL_DATA_DIR / f"{report['symbol']}.csv").write_text(f"{header}\n{body}", encoding="utf-8")
+
+    report["saved"] = True
+    return report
@@ -1,25 +1,354 @@
 import axios from "axios";
 
+import { readCached, writeCached } from "./responseCache";
+
 const api = axios.create({
   baseURL: import.meta.env.VITE_API_BASE_URL || "http://127.0.0.1:8000",
 });
 
+const SYMBOLS_TTL_MS = 10 * 60_000;
+const HISTORY_TTL_MS = 5 * 60_000;
+const MARKET_TTL_MS = 5 * 60_000;
+// Versioned artifact files are never rewritten, so their weights stay valid for as long as the file exists.
+const WEIGHTS_TTL_MS = 24 * 60 * 60_000;
+// Gateway errors are what a cold or sleeping Render instance returns.
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+
+const inFlight = new Map();
+const cacheMeta = new WeakMap();
+const latestControllers = new Map();
+const statusListeners = new Set();
+let apiOnline = true;
+
+function setApiOnline(online) {
+  if (online !== apiOnline) {
+    apiOnline = online;
+    statusListeners.forEach((listener) => listener(online));
+  }
+}
+
+api.interceptors.response.use(
+  (response) => {
+    setApiOnline(true);
+    return response;
+  },
+  (error) => {
+    if (!axios.isCancel(error) && !error.response) {
+      setApiOnline(false);
+    }
+    return Promise.reject(error);
+  }
+);
+
+export function subscribeApiStatus(listener) {
+  statusListeners.add(listener);
+  listener(apiOnline);
+  return () => statusListeners.delete(listener);
+}
+
+export function isCancelled(err) {
+  return axios.isCancel(err);
+}
+
+/**
+ * For data served from the local cache, returns `{ cachedAt, offline }`;
+ * null when it came straight from the API.
+ */
+export function cacheInfo(data) {
+  return (data && cacheMeta.get(data)) || null;
+}
+
+/** Aborts the previous request issued for `slot` and returns the signal for the next one. */
+export function latestSignal(slot) {
+  latestControllers.get(slot)?.abort();
+  const controller = new AbortController();
+  latestControllers.set(slot, controller);
+  return controller.signal;
+}
+
+// Keys carry the API host so responses from one backend are never served for another.
+function cacheKey(method, url, params = {}) {
+  const entries = Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== null && params[key] !== "")
+    .sort()
+    .map((key) => [key, params[key]]);
+  return `${method} ${api.defaults.baseURL}${url} ${JSON.stringify(entries)}`;
+}
+
+function servedFromCache(record, offline) {
+  cacheMeta.set(record.data, { cachedAt: record.storedAt, offline });
+  return record.data;
+}
+
+// Rejects as soon as `signal` aborts, even while the cache lookup is still pending.
+function withSignal(promise, signal) {
+  if (signal.aborted) {
+    return Promise.reject(new axios.CanceledError());
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new axios.CanceledError());
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Serves a cached response younger than `ttlMs`, otherwise asks the API and
+ * stores the answer. When the API is unreachable any cached copy is returned,
+ * however old. Identical concurrent calls share one request, except calls with
+ * a `signal`: those get their own request, which the signal really aborts, so
+ * a superseded forecast never reaches the server (or its forecast log).
+ */
+function cachedRequest(key, fetcher, { ttlMs = 0, fresh = false, signal } = {}) {
+  const run = async () => {
+    const cached = await readCached(key);
+    if (cached && !fresh && Date.now() - cached.storedAt < ttlMs) {
+      return servedFromCache(cached, false);
+    }
+    try {
+      const data = await fetcher(signal);
+      await writeCached(key, data);
+      return data;
+    } catch (err) {
+      if (cached && !axios.isCancel(err) && (!err.response || UNAVAILABLE_STATUSES.includes(err.response.status))) {
+        return servedFromCache(cached, true);
+      }
+      throw err;
+    }
+  };
+
+  if (signal) {
+    return withSignal(run(), signal);
+  }
+  const sharedKey = fresh ? `${key} fresh` : key;
+  if (!inFlight.has(sharedKey)) {
+    inFlight.set(sharedKey, run().finally(() => inFlight.delete(sharedKey)));
+  }
+  return inFlight.get(sharedKey);
+}
+
 export async function trainModel(payload) {
   const { data } = await api.post("/api/train", payload);
   return data;
 }
 
-export async function predictStock(payload) {
-  const { data } = await api.post("/api/predict", payload);
+export async function startTrainingJob(payload) {
+  const { data } = await api.post("/api/train/jobs", payload);
   return data;
 }
 
-export async function getSymbols(params = {}) {
-  const { data } = await api.get("/api/symbols", { params });
+export async function getTrainingJob(jobId) {
+  const { data } = await api.get(`/api/train/jobs/${jobId}`);
   return data;
 }
 
-export async function getHistory(params) {
-  const { data } = await api.get("/api/history", { params });
+export async function cancelTrainingJob(jobId) {
+  const { data } = await api.post(`/api/train/jobs/${jobId}/cancel`);
   return data;
-}
\ No newline at end of file
+}
+
+export function subscribeTrainingJob(jobId, { onEpoch, onStatus, onError }) {
+  const source = new EventSource(`${api.defaults.baseURL}/api/train/jobs/${jobId}/events`);
+
+  source.addEventListener("epoch", (event) => onEpoch?.(JSON.parse(event.data)));
+  source.addEventListener("status", (event) => {
+    const job = JSON.parse(event.data);
+    onStatus?.(job);
+    if (["completed", "failed", "cancelled"].includes(job.status)) {
+      source.close();
+    }
+  });
+  source.onerror = () => {
+    source.close();
+    onError?.();
+  };
+
+  return () => source.close();
+}
+
+export async function startTrainingBatch(payload) {
+  const { data } = await api.post("/api/train/batches", payload);
+  return data;
+}
+
+export async function getTrainingBatch(batchId) {
+  const { data } = await api.get(`/api/train/batches/${batchId}`);
+  return data;
+}
+
+export async function cancelTrainingBatch(batchId) {
+  const { data } = await api.post(`/api/train/batches/${batchId}/cancel`);
+  return data;
+}
+
+export async function startTrainingSweep(payload) {
+  const { data } = await api.post("/api/train/sweeps", payload);
+  return data;
+}
+
+export async function getTrainingSweep(sweepId) {
+  const { data } = await api.get(`/api/train/sweeps/${sweepId}`);
+  return data;
+}
+
+export async function cancelTrainingSweep(sweepId) {
+  const { data } = await api.post(`/api/train/sweeps/${sweepId}/cancel`);
+  return data;
+}
+
+export async function discardTrainingSweep(sweepId) {
+  const { data } = await api.delete(`/api/train/sweeps/${sweepId}`);
+  return data;
+}
+
+export async function promoteSweepTrial(sweepId, index) {
+  const { data } = await api.post(`/api/train/sweeps/${sweepId}/trials/${index}/promote`);
+  return data;
+}
+
+// Forecasts always go to the API (a retrain changes the answer); the cached copy is only an offline fallback.
+export function predictStock(payload, { signal } = {}) {
+  return cachedRequest(
+    cacheKey("POST", "/api/predict", payload),
+    async (signal) => (await api.post("/api/predict", payload, { signal })).data,
+    { signal }
+  );
+}
+
+export function getSymbols(params = {}, { fresh = false, signal } = {}) {
+  return cachedRequest(
+    cacheKey("GET", "/api/symbols", params),
+    async (signal) => (await api.get("/api/symbols", { params, signal })).data,
+    { ttlMs: SYMBOLS_TTL_MS, fresh, signal }
+  );
+}
+
+export function getHistory(params, { fresh = false, signal } = {}) {
+  return cachedRequest(
+    cacheKey("GET", "/api/history", params),
+    async (signal) => (await api.get("/api/history", { params, signal })).data,
+    { ttlMs: HISTORY_TTL_MS, fresh, signal }
+  );
+}
+
+export async function getSymbolMetadata(params = {}) {
+  const { data } = await api.get("/api/symbols/metadata", { params });
+  return data;
+}
+
+export async function updateSymbolMetadata(symbol, fields) {
+  const { data } = await api.put(`/api/symbols/${encodeURIComponent(symbol)}/metadata`, fields);
+  return data;
+}
+
+export async function resetSymbolMetadata(symbol) {
+  const { data } = await api.delete(`/api/symbols/${encodeURIComponent(symbol)}/metadata`);
+  return data;
+}
+
+// One overview runs every saved model, so repeat visits within a few minutes reuse it.
+export function getMarketOverview(params, { fresh = false } = {}) {
+  return cachedRequest(
+    cacheKey("GET", "/api/market/overview", params),
+    async () => (await api.get("/api/market/overview", { params })).data,
+    { ttlMs: MARKET_TTL_MS, fresh }
+  );
+}
+
+export function getCorrelation(payload, { fresh = false } = {}) {
+  return cachedRequest(
+    cacheKey("POST", "/api/analytics/correlation", payload),
+    async () => (await api.post("/api/analytics/correlation", payload)).data,
+    { ttlMs: MARKET_TTL_MS, fresh }
+  );
+}
+
+export async function getPairCorrelation(params) {
+  const { data } = await api.get("/api/analytics/correlation/pair", { params });
+  return data;
+}
+
+export async function listArtifacts() {
+  const { data } = await api.get("/api/artifacts");
+  return data;
+}
+
+export function getModelWeights(ticker, artifact) {
+  const params = { artifact };
+  return cachedRequest(
+    cacheKey("GET", `/api/artifacts/${encodeURIComponent(ticker)}/weights`, params),
+    async () => (await api.get(`/api/artifacts/${encodeURIComponent(ticker)}/weights`, { params })).data,
+    { ttlMs: WEIGHTS_TTL_MS }
+  );
+}
+
+export async function pinArtifact(ticker, artifact) {
+  const { data } = await api.post(`/api/artifacts/${encodeURIComponent(ticker)}/pin`, { artifact });
+  return data;
+}
+
+export async function unpinArtifact(ticker) {
+  const { data } = await api.delete(`/api/artifacts/${encodeURIComponent(ticker)}/pin`);
+  return data;
+}
+
+export async function rollbackArtifact(ticker) {
+  const { data } = await api.post(`/api/artifacts/${encodeURIComponent(ticker)}/rollback`);
+  return data;
+}
+
+// Scenarios are one-off what-ifs, so they are never cached.
+export async function predictScenario(payload) {
+  const { data } = await api.post("/api/predict/scenario", payload);
+  return data;
+}
+
+export async function explainForecast(payload) {
+  const { data } = await api.post("/api/explain", payload);
+  return data;
+}
+
+export async function runBacktest(payload) {
+  const { data } = await api.post("/api/backtest", payload);
+  return data;
+}
+
+export async function validateCsvUpload(payload) {
+  const { data } = await api.post("/api/data/uploads/validate", payload);
+  return data;
+}
+
+export async function uploadCsv(payload) {
+  const { data } = await api.post("/api/data/uploads", payload);
+  return data;
+}
+
+export async function getDataQuality(params) {
+  const { data } = await api.get("/api/data/quality", { params });
+  return data;
+}
+
+export async function getForecastLog(params = {}) {
+  const { data } = await api.get("/api/forecasts/log", { params });
+  return data;
+}
+
+export async function deleteForecastLogEntry(entryId) {
+  const { data } = await api.delete(`/api/forecasts/log/${entryId}`);
+  return data;
+}
+
+export async function getCalendar() {
+  const { data } = await api.get("/api/calendar");
+  return data;
+}
+
+export async function updateCalendar(holidays) {
+  const { data } = await api.put("/api/calendar", { holidays });
+  return data;
+}
+
+export async function resetCalendar() {
+  const { data } = await api.delete("/api/calendar");
+  return data;
+}
@@ -0,0 +1,180 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+
+import { cancelTrainingBatch, getTrainingBatch, startTrainingBatch } from "../api";
+import { errorMessage, formatPct } from "../format";
+
+const POLL_INTERVAL_MS = 2000;
+
+export default function BatchTrainingPanel({ symbols, hyperparams }) {
+  const [selected, setSelected] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const pollRef = useRef(null);
+
+  const running = batch?.status === "running";
+
+  useEffect(() => {
+    if (!running) {
+      return undefined;
+    }
+    pollRef.current = setInterval(async () => {
+      try {
+        setBatch(await getTrainingBatch(batch.batch_id));
+      } catch (err) {
+        setError(errorMessage(err, "Batch status failed"));
+        clearInterval(pollRef.current);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(pollRef.current);
+  }, [running, batch?.batch_id]);
+
+  const summaryRows = useMemo(() => {
+    if (!batch || running) {
+      return [];
+    }
+    return batch.jobs
+      .filter((job) => job.status === "completed" && job.result)
+      .map((job) => ({ ticker: job.ticker, ...job.result }))
+      .sort((a, b) => a.val_rmse - b.val_rmse);
+  }, [batch, running]);
+
+  function toggleSymbol(symbol) {
+    setSelected((prev) => (prev.includes(symbol) ? prev.filter((item) => item !== symbol) : [...prev, symbol]));
+  }
+
+  async function submit(tickers) {
+    setError("");
+    setSubmitting(true);
+    try {
+      setBatch(await startTrainingBatch({ ...hyperparams, tickers }));
+    } catch (err) {
+      setError(errorMessage(err, "Batch training failed"));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function cancel() {
+    try {
+      setBatch(await cancelTrainingBatch(batch.batch_id));
+    } catch (err) {
+      setError(errorMessage(err, "Cancel failed"));
+    }
+  }
+
+  const counts = (batch?.jobs || []).reduce((acc, job) => ({ ...acc, [job.status]: (acc[job.status] || 0) + 1 }), {});
+
+  return (
+    <section className="panel reveal delay-3">
+      <div className="panel-head">
+        <h3>Batch Training</h3>
+        <span className="muted">
+          Shared settings: {hyperparams.period}, in {hyperparams.input_len} / out {hyperparams.pred_len}, {hyperparams.epochs}{" "}
+          epochs
+        </span>
+      </div>
+
+      {error && (
+        <div className="alert">
+          <strong>Batch Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="batch-picker">
+        {symbols.map((symbol) => (
+          <label key={symbol} className={`pick-chip ${selected.includes(symbol) ? "active" : ""}`}>
+            <input type="checkbox" checked={selected.includes(symbol)} onChange={() => toggleSymbol(symbol)} />
+            {symbol}
+          </label>
+        ))}
+        {symbols.length === 0 && <p className="muted">No local symbols available.</p>}
+      </div>
+
+      <div className="preset-row">
+        <button type="button" className="preset" onClick={() => setSelected(symbols)}>
+          Select all
+        </button>
+        <button type="button" className="preset" onClick={() => setSelected([])}>
+          Clear
+        </button>
+      </div>
+
+      <div className="action-row three">
+        <button
+          className="btn ghost"
+          type="button"
+          disabled={running || submitting || selected.length === 0}
+          onClick={() => submit(selected)}
+        >
+          Train Selected ({selected.length})
+        </button>
+        <button
+          className="btn primary"
+          type="button"
+          disabled={running || submitting || symbols.length === 0}
+          onClick={() => submit(symbols)}
+        >
+          Train All ({symbols.length})
+        </button>
+        <button className="btn ghost" type="button" disabled={!running} onClick={cancel}>
+          Cancel Batch
+        </button>
+      </div>
+
+      {batch && (
+        <>
+          <p className="muted batch-counts">
+            Batch <span className={`status-tag ${batch.status}`}>{batch.status}</span>{" "}
+            {Object.entries(counts)
+              .map(([status, count]) => `${count} ${status}`)
+              .join(" · ")}
+          </p>
+          <div className="status-grid">
+            {batch.jobs.map((job) => (
+              <div key={job.job_id} className={`status-cell ${job.status}`} title={job.error || job.status}>
+                <strong>{job.ticker}</strong>
+                <span>{job.status === "running" ? `${job.epoch}/${job.epochs}` : job.status}</span>
+                <div className="progress">
+                  <div style={{ width: `${(job.epoch / job.epochs) * 100}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {summaryRows.length > 0 && (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Ticker</th>
+                <th>Val Loss</th>
+                <th>Val RMSE</th>
+                <th>Direction</th>
+                <th>Train N</th>
+                <th>Val N</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summaryRows.map((row) => (
+                <tr key={row.ticker}>
+                  <td>{row.ticker}</td>
+                  <td>{row.val_loss.toFixed(6)}</td>
+                  <td>{row.val_rmse.toFixed(6)}</td>
+                  <td className={row.direction_accuracy >= 0.5 ? "positive" : "negative"}>
+                    {formatPct(row.direction_accuracy * 100)}
+                  </td>
+                  <td>{row.train_samples}</td>
+                  <td>{row.val_samples}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,99 @@
+import {
+  Area,
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ComposedChart,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { formatInr } from "../format";
+
+const UP_COLOR = "#19a974";
+const DOWN_COLOR = "#d34545";
+
+// Recharts has no candlestick series: draw each candle inside a range Bar
+// spanning [low, high], placing the open/close body proportionally.
+function Candle({ x, y, width, height, payload }) {
+  if (!payload?.range) {
+    return null;
+  }
+  const { open, close, high, low } = payload;
+  const color = close >= open ? UP_COLOR : DOWN_COLOR;
+  const span = high - low || 1;
+  const toPixel = (value) => y + ((high - value) / span) * height;
+  const bodyTop = toPixel(Math.max(open, close));
+  const bodyHeight = Math.max(1, toPixel(Math.min(open, close)) - bodyTop);
+  const center = x + width / 2;
+
+  return (
+    <g stroke={color} fill={color}>
+      <line x1={center} x2={center} y1={y} y2={y + height} />
+      <rect x={x + width * 0.15} y={bodyTop} width={width * 0.7} height={bodyHeight} />
+    </g>
+  );
+}
+
+function CandleTooltip({ active, payload, label }) {
+  if (!active || !payload?.length) {
+    return null;
+  }
+  const row = payload[0].payload;
+  return (
+    <div className="chart-tooltip">
+      <strong>{label}</strong>
+      {row.range ? (
+        <>
+          <span>O {formatInr(row.open)}</span>
+          <span>H {formatInr(row.high)}</span>
+          <span>L {formatInr(row.low)}</span>
+          <span>C {formatInr(row.close)}</span>
+          <span>Vol {Math.round(row.volume).toLocaleString("en-IN")}</span>
+        </>
+      ) : (
+        <span>Forecast Rs {formatInr(row.forecast)}</span>
+      )}
+    </div>
+  );
+}
+
+export default function CandlestickChart({ bars, forecast = [] }) {
+  const data = [
+    ...bars.map((bar) => ({ ...bar, range: [bar.low, bar.high] })),
+    ...forecast.map((point) => ({
+      date: point.date,
+      forecast: point.value,
+      band_90: [point.lower_90, point.upper_90],
+    })),
+  ];
+
+  return (
+    <div className="candle-wrap">
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart data={data} syncId="ohlcv" margin={{ top: 10, right: 20, left: 8, bottom: 0 }}>
+          <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+          <XAxis dataKey="date" hide />
+          <YAxis width={84} domain={["auto", "auto"]} tickFormatter={(value) => `Rs ${Math.round(value)}`} />
+          <Tooltip content={<CandleTooltip />} />
+          <Area type="monotone" dataKey="band_90" stroke="none" fill="#ef9b0f" fillOpacity={0.14} activeDot={false} />
+          <Bar dataKey="range" shape={<Candle />} isAnimationActive={false} />
+          <Line type="monotone" dataKey="forecast" stroke="#ef9b0f" dot={false} strokeWidth={3} />
+        </ComposedChart>
+      </ResponsiveContainer>
+      <ResponsiveContainer width="100%" height={90}>
+        <BarChart data={data} syncId="ohlcv" margin={{ top: 0, right: 20, left: 8, bottom: 8 }}>
+          <XAxis dataKey="date" minTickGap={24} />
+          <YAxis
+            width={84}
+            tickFormatter={(value) => (value >= 1e6 ? `${(value / 1e6).toFixed(1)}M` : `${Math.round(value / 1e3)}K`)}
+          />
+          <Bar dataKey="volume" fill="#9fb6cc" isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
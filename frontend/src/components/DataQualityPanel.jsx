@@ -0,0 +1,186 @@
+import { Fragment, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+
+import { getDataQuality } from "../api";
+import { errorMessage, formatInr, formatPct } from "../format";
+import { initialTrain } from "../forecastUrl";
+
+const statusOrder = { error: 0, warn: 1, ok: 2 };
+
+export default function DataQualityPanel({ symbolCount = 0 }) {
+  const [form, setForm] = useState({ input_len: initialTrain.input_len, pred_len: initialTrain.pred_len });
+  const [result, setResult] = useState(null);
+  const [issuesOnly, setIssuesOnly] = useState(false);
+  const [expanded, setExpanded] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function runCheck() {
+    setError("");
+    setLoading(true);
+    try {
+      setResult(
+        await getDataQuality({
+          input_len: Number(form.input_len),
+          pred_len: Number(form.pred_len),
+        })
+      );
+    } catch (err) {
+      setError(errorMessage(err, "Data quality check failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Re-run when the universe changes, e.g. after an upload registers a symbol.
+  useEffect(() => {
+    runCheck();
+  }, [symbolCount]);
+
+  const rows = (result?.symbols || [])
+    .filter((row) => !issuesOnly || row.status !== "ok")
+    .sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || a.symbol.localeCompare(b.symbol));
+  const counts = (result?.symbols || []).reduce(
+    (acc, row) => ({ ...acc, [row.status]: acc[row.status] + 1 }),
+    { ok: 0, warn: 0, error: 0 }
+  );
+
+  return (
+    <section className="panel table-panel reveal delay-4">
+      <div className="panel-head">
+        <h3>Data Quality Inspector</h3>
+        <span className="muted">
+          {result
+            ? `${counts.ok} ok, ${counts.warn} warnings, ${counts.error} not trainable (checked ${result.checked_at})`
+            : "Coverage, gaps, staleness and jumps per local symbol"}
+        </span>
+      </div>
+
+      {error && (
+        <div className="alert">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="form filter-row">
+        <div className="field-grid three-col">
+          <label>
+            <span>Input Length</span>
+            <input
+              type="number"
+              min="20"
+              max="512"
+              value={form.input_len}
+              onChange={(e) => setForm((s) => ({ ...s, input_len: e.target.value }))}
+            />
+          </label>
+
+          <label>
+            <span>Prediction Length</span>
+            <input
+              type="number"
+              min="1"
+              max="120"
+              value={form.pred_len}
+              onChange={(e) => setForm((s) => ({ ...s, pred_len: e.target.value }))}
+            />
+          </label>
+
+          <label>
+            <span>Required Rows</span>
+            <input value={result ? result.required_rows : "--"} readOnly />
+          </label>
+        </div>
+
+        <div className="preset-row">
+          <button className="btn primary" type="button" disabled={loading} onClick={runCheck}>
+            {loading ? "Inspecting..." : "Run Check"}
+          </button>
+          <button
+            type="button"
+            className={`preset ${issuesOnly ? "active" : ""}`}
+            onClick={() => setIssuesOnly((value) => !value)}
+          >
+            Issues only
+          </button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="empty">{result ? "No symbols match." : "Run the check to inspect local CSVs."}</div>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Ticker</th>
+                <th>Status</th>
+                <th>Rows</th>
+                <th>Coverage</th>
+                <th>Missing Days</th>
+                <th>Gaps</th>
+                <th>Duplicates</th>
+                <th>Stale (Days)</th>
+                <th>Jumps</th>
+                <th>Trainable</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <Fragment key={row.symbol}>
+                  <tr
+                    className="clickable-row"
+                    title={row.issues.join("\n")}
+                    onClick={() => setExpanded((prev) => (prev === row.symbol ? "" : row.symbol))}
+                  >
+                    <td>
+                      <Link to={`/forecast/${encodeURIComponent(row.symbol)}`} onClick={(e) => e.stopPropagation()}>
+                        {row.symbol}
+                      </Link>
+                    </td>
+                    <td>
+                      <span className={`status-tag ${row.status}`}>{row.status}</span>
+                    </td>
+                    <td>{row.rows}</td>
+                    <td>{row.start_date ? `${row.start_date} to ${row.end_date}` : "--"}</td>
+                    <td>{row.missing_business_days}</td>
+                    <td>{row.gap_count}</td>
+                    <td>{row.duplicate_dates}</td>
+                    <td>{row.stale_business_days ?? "--"}</td>
+                    <td>{row.jump_count}</td>
+                    <td className={row.trainable ? "positive" : "negative"}>{row.trainable ? "Yes" : "No"}</td>
+                  </tr>
+                  {expanded === row.symbol && (
+                    <tr className="detail-row">
+                      <td colSpan={10}>
+                        <ul className="issue-list">
+                          {row.issues.length === 0 && <li className="positive">No issues found.</li>}
+                          {row.issues.map((issue) => (
+                            <li key={issue}>{issue}</li>
+                          ))}
+                          {row.gaps.map((gap) => (
+                            <li key={`gap-${gap.start}`}>
+                              Gap {gap.start} to {gap.end}: {gap.missing_business_days} business days missing
+                            </li>
+                          ))}
+                          {row.jumps.map((jump) => (
+                            <li key={`jump-${jump.date}`}>
+                              Jump on {jump.date}: Rs {formatInr(jump.prev_close)} to Rs {formatInr(jump.close)} (
+                              {jump.change_pct >= 0 ? "+" : ""}
+                              {formatPct(jump.change_pct)})
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
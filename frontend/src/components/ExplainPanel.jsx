@@ -0,0 +1,268 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { explainForecast } from "../api";
+import { artifactName, errorMessage, formatInr } from "../format";
+
+const labelStyle = { color: "#0f1f2e", fontWeight: 700 };
+
+function formatUnit(value, unit) {
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    return "--";
+  }
+  return unit === "return_pct" ? `${value.toFixed(3)}%` : `Rs ${formatInr(value)}`;
+}
+
+// Diverging scale: blue for positive weights, red for negative, opacity by magnitude.
+function heatColor(value, maxAbs) {
+  const alpha = maxAbs > 0 ? Math.min(Math.abs(value) / maxAbs, 1) : 0;
+  return value >= 0 ? `rgba(15, 122, 237, ${alpha.toFixed(3)})` : `rgba(196, 69, 69, ${alpha.toFixed(3)})`;
+}
+
+function WeightHeatmap({ weights, points }) {
+  const maxAbs = Math.max(0, ...weights.flat().map((value) => Math.abs(value)));
+  const lags = points.length;
+
+  return (
+    <div className="weight-heatmap" style={{ gridTemplateColumns: `40px repeat(${lags}, minmax(3px, 1fr))` }}>
+      {weights.map((row, step) => (
+        <div key={step} className="weight-heatmap-row">
+          <span className="weight-heatmap-label">+{step + 1}</span>
+          {row.map((value, index) => (
+            <span
+              key={index}
+              className="weight-heatmap-cell"
+              style={{ background: heatColor(value, maxAbs) }}
+              title={`Step +${step + 1} · lag ${lags - index} (${points[index].date}): ${value.toFixed(4)}`}
+            />
+          ))}
+        </div>
+      ))}
+      <span className="weight-heatmap-label" />
+      <span className="weight-heatmap-axis" style={{ gridColumn: `2 / span ${lags}` }}>
+        <span>lag {lags} (oldest)</span>
+        <span>lag 1 (latest)</span>
+      </span>
+    </div>
+  );
+}
+
+export default function ExplainPanel({ forecastResult, dataSource, localDataDir }) {
+  const [explanation, setExplanation] = useState(null);
+  const [component, setComponent] = useState("trend");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // An explanation covers one model and close window; horizon-only changes keep it.
+  useEffect(() => {
+    setExplanation(null);
+    setError("");
+  }, [forecastResult?.ticker, forecastResult?.model_artifact, forecastResult?.last_close]);
+
+  async function onExplain() {
+    setError("");
+    setLoading(true);
+    try {
+      setExplanation(
+        await explainForecast({
+          ticker: forecastResult.ticker,
+          data_source: dataSource,
+          local_data_dir: localDataDir || null,
+          model_version: artifactName(forecastResult),
+        })
+      );
+    } catch (err) {
+      setError(errorMessage(err, "Explain failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const unit = explanation?.unit;
+  const lagData = useMemo(
+    () => (explanation?.lags || []).map((row) => ({ ...row, total: row.trend + row.seasonal })),
+    [explanation]
+  );
+  const topDrivers = [...lagData].sort((a, b) => Math.abs(b.total) - Math.abs(a.total)).slice(0, 5);
+  const share = useMemo(() => {
+    const steps = explanation?.steps || [];
+    const trend = steps.reduce((sum, row) => sum + Math.abs(row.trend), 0);
+    const seasonal = steps.reduce((sum, row) => sum + Math.abs(row.seasonal), 0);
+    return trend + seasonal > 0 ? (trend / (trend + seasonal)) * 100 : null;
+  }, [explanation]);
+
+  return (
+    <section className="panel chart-panel explain-panel reveal delay-4">
+      <div className="panel-head">
+        <h3>Explain Forecast</h3>
+        <div className="preset-row">
+          <span className="muted">
+            {explanation
+              ? `Kernel ${explanation.kernel_size} · first ${explanation.pred_len} steps · ${
+                  unit === "return_pct" ? "daily log return %" : "close price"
+                }`
+              : "DLinear trend vs seasonal decomposition"}
+          </span>
+          <button type="button" className="btn ghost" disabled={!forecastResult || loading} onClick={onExplain}>
+            {loading ? "Explaining..." : explanation ? "Refresh" : "Explain"}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      {!explanation ? (
+        <div className="empty">
+          {forecastResult
+            ? "Explain splits the model's first output window into trend, seasonal and bias contributions."
+            : "Run a forecast first, then explain it."}
+        </div>
+      ) : (
+        <>
+          <p className="muted">
+            Trend carries {share === null ? "--" : `${share.toFixed(0)}%`} of the non-bias signal. Strongest past
+            days:{" "}
+            {topDrivers.map((row) => `${row.date} (lag ${row.lag}, ${formatUnit(row.total, unit)})`).join(", ")}.
+          </p>
+
+          <div className="explain-grid">
+            <div>
+              <h4>Input Window Decomposition (z-score)</h4>
+              <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={explanation.window} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+                  <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+                  <XAxis dataKey="date" minTickGap={32} />
+                  <YAxis width={56} tickFormatter={(value) => Number(value).toFixed(1)} />
+                  <Tooltip formatter={(value, name) => [Number(value).toFixed(3), name]} labelStyle={labelStyle} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#60788f" />
+                  <Line
+                    type="monotone"
+                    dataKey="value"
+                    name="Input"
+                    stroke="#9fb6cc"
+                    dot={false}
+                    strokeWidth={1.4}
+                    isAnimationActive={false}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="trend"
+                    name="Trend"
+                    stroke="#0f7aed"
+                    dot={false}
+                    strokeWidth={2.2}
+                    isAnimationActive={false}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="seasonal"
+                    name="Seasonal"
+                    stroke="#ef9b0f"
+                    dot={false}
+                    strokeWidth={1.6}
+                    isAnimationActive={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h4>Contribution per Forecast Step</h4>
+              <ResponsiveContainer width="100%" height={240}>
+                <ComposedChart data={explanation.steps} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+                  <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+                  <XAxis dataKey="date" minTickGap={16} />
+                  <YAxis
+                    width={84}
+                    tickFormatter={(value) => (unit === "return_pct" ? `${Number(value).toFixed(2)}%` : formatInr(value))}
+                  />
+                  <Tooltip formatter={(value, name) => [formatUnit(value, unit), name]} labelStyle={labelStyle} />
+                  <Legend />
+                  <ReferenceLine y={0} stroke="#60788f" />
+                  <Bar dataKey="trend" name="Trend" stackId="parts" fill="#0f7aed" isAnimationActive={false} />
+                  <Bar dataKey="seasonal" name="Seasonal" stackId="parts" fill="#ef9b0f" isAnimationActive={false} />
+                  <Bar dataKey="bias" name="Bias" stackId="parts" fill="#9fb6cc" isAnimationActive={false} />
+                  <Line
+                    type="monotone"
+                    dataKey="total"
+                    name="Forecast"
+                    stroke="#0f1f2e"
+                    strokeWidth={2}
+                    isAnimationActive={false}
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <h4>Past-Day Drivers (average over forecast steps)</h4>
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={lagData} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+              <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+              <XAxis dataKey="date" minTickGap={32} />
+              <YAxis
+                width={84}
+                tickFormatter={(value) => (unit === "return_pct" ? `${Number(value).toFixed(3)}%` : formatInr(value))}
+              />
+              <Tooltip
+                formatter={(value, name) => [formatUnit(value, unit), name]}
+                labelFormatter={(date) => {
+                  const row = lagData.find((item) => item.date === date);
+                  return row ? `${date} · lag ${row.lag}` : date;
+                }}
+                labelStyle={labelStyle}
+              />
+              <Legend />
+              <ReferenceLine y={0} stroke="#60788f" />
+              <Bar dataKey="trend" name="Trend" stackId="lag" fill="#0f7aed" isAnimationActive={false} />
+              <Bar dataKey="seasonal" name="Seasonal" stackId="lag" fill="#ef9b0f" isAnimationActive={false} />
+            </BarChart>
+          </ResponsiveContainer>
+
+          <div className="panel-head">
+            <h4>Learned Weights by Lag</h4>
+            <div className="preset-row">
+              {["trend", "seasonal"].map((option) => (
+                <button
+                  key={option}
+                  type="button"
+                  className={`preset ${component === option ? "active" : ""}`}
+                  onClick={() => setComponent(option)}
+                >
+                  {option === "trend" ? "Trend" : "Seasonal"}
+                </button>
+              ))}
+            </div>
+          </div>
+          <WeightHeatmap
+            weights={component === "trend" ? explanation.trend_weights : explanation.seasonal_weights}
+            points={explanation.window}
+          />
+          <p className="muted">
+            Rows are forecast steps, columns are input days. Blue weights push the forecast up when that day's{" "}
+            {component} value is positive; red weights push it down.
+          </p>
+        </>
+      )}
+    </section>
+  );
+}
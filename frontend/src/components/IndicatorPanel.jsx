@@ -0,0 +1,112 @@
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Line,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { indicatorInput, indicatorMinimums } from "../indicators";
+
+const toggles = [
+  { flag: "smaOn", label: "SMA", fields: [{ key: "smaPeriod", label: "Period" }] },
+  { flag: "emaOn", label: "EMA", fields: [{ key: "emaPeriod", label: "Period" }] },
+  {
+    flag: "bollingerOn",
+    label: "Bollinger",
+    fields: [
+      { key: "bollingerPeriod", label: "Period" },
+      { key: "bollingerWidth", label: "Width", step: 0.5 },
+    ],
+  },
+  { flag: "rsiOn", label: "RSI", fields: [{ key: "rsiPeriod", label: "Period" }] },
+  {
+    flag: "macdOn",
+    label: "MACD",
+    fields: [
+      { key: "macdFast", label: "Fast" },
+      { key: "macdSlow", label: "Slow" },
+      { key: "macdSignal", label: "Signal" },
+    ],
+  },
+];
+
+export function IndicatorControls({ settings, onChange }) {
+  return (
+    <div className="indicator-controls">
+      {toggles.map((toggle) => (
+        <div key={toggle.flag} className={`indicator-toggle ${settings[toggle.flag] ? "active" : ""}`}>
+          <button
+            type="button"
+            className={`preset ${settings[toggle.flag] ? "active" : ""}`}
+            onClick={() => onChange((prev) => ({ ...prev, [toggle.flag]: !prev[toggle.flag] }))}
+          >
+            {toggle.label}
+          </button>
+          {settings[toggle.flag] &&
+            toggle.fields.map((field) => (
+              <input
+                key={field.key}
+                type="number"
+                min={indicatorMinimums[field.key]}
+                step={field.step || 1}
+                className={indicatorInput(settings, field.key) === null ? "invalid" : ""}
+                title={`${toggle.label} ${field.label}`}
+                value={settings[field.key]}
+                onChange={(e) => onChange((prev) => ({ ...prev, [field.key]: e.target.value }))}
+              />
+            ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function IndicatorSubCharts({ data, settings }) {
+  if (!settings.rsiOn && !settings.macdOn) {
+    return null;
+  }
+
+  return (
+    <div className="indicator-subcharts">
+      {settings.rsiOn && (
+        <ResponsiveContainer width="100%" height={120}>
+          <ComposedChart data={data} margin={{ top: 8, right: 20, left: 8, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+            <XAxis dataKey="date" hide />
+            <YAxis width={84} domain={[0, 100]} ticks={[30, 70]} />
+            <Tooltip formatter={(value) => [Number(value).toFixed(2), `RSI ${settings.rsiPeriod}`]} />
+            <ReferenceLine y={70} stroke="#d34545" strokeDasharray="3 3" />
+            <ReferenceLine y={30} stroke="#19a974" strokeDasharray="3 3" />
+            <Line type="monotone" dataKey="rsi" stroke="#7a5af8" dot={false} strokeWidth={1.8} isAnimationActive={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+      {settings.macdOn && (
+        <ResponsiveContainer width="100%" height={130}>
+          <ComposedChart data={data} margin={{ top: 8, right: 20, left: 8, bottom: 8 }}>
+            <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+            <XAxis dataKey="date" minTickGap={24} />
+            <YAxis width={84} tickFormatter={(value) => Number(value).toFixed(1)} />
+            <Tooltip formatter={(value, name) => [Number(value).toFixed(3), name]} />
+            <ReferenceLine y={0} stroke="#60788f" />
+            <Bar dataKey="macd_hist" name="Histogram" fill="#9fb6cc" isAnimationActive={false} />
+            <Line type="monotone" dataKey="macd" name="MACD" stroke="#0f7aed" dot={false} isAnimationActive={false} />
+            <Line
+              type="monotone"
+              dataKey="macd_signal"
+              name="Signal"
+              stroke="#ef9b0f"
+              dot={false}
+              isAnimationActive={false}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+
+export default function LossChart({ data, height = 180 }) {
+  if (data.length === 0) {
+    return <div className="empty compact">Waiting for the first epoch...</div>;
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={data} margin={{ top: 8, right: 12, left: 0, bottom: 4 }}>
+        <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+        <XAxis dataKey="epoch" minTickGap={16} />
+        <YAxis width={64} tickFormatter={(value) => Number(value).toFixed(3)} />
+        <Tooltip formatter={(value, name) => [Number(value).toFixed(6), name]} labelFormatter={(epoch) => `Epoch ${epoch}`} />
+        <Legend />
+        <Line type="monotone" dataKey="train_loss" name="Train Loss" stroke="#0f7aed" dot={false} strokeWidth={2} isAnimationActive={false} />
+        <Line type="monotone" dataKey="val_loss" name="Val Loss" stroke="#ef9b0f" dot={false} strokeWidth={2} isAnimationActive={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,29 @@
+import { useMemo } from "react";
+
+export default function PageHeader({ title, subtitle, children }) {
+  const todayLabel = useMemo(
+    () =>
+      new Intl.DateTimeFormat("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      }).format(new Date()),
+    []
+  );
+
+  return (
+    <header className="topbar reveal delay-2">
+      <div>
+        <h2>{title}</h2>
+        <p>{subtitle}</p>
+      </div>
+      <div className="topbar-meta">
+        <div className="meta-card">
+          <span className="meta-label">Date</span>
+          <span className="meta-value">{todayLabel}</span>
+        </div>
+        {children}
+      </div>
+    </header>
+  );
+}
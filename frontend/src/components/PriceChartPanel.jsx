@@ -0,0 +1,279 @@
+import { useMemo, useRef, useState } from "react";
+import {
+  Area,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ReferenceArea,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { downloadSvg, downloadSvgAsPng } from "../download";
+import { errorMessage, formatCachedAt, formatInr, versionLabel } from "../format";
+import useOhlcvBars from "../hooks/useOhlcvBars";
+import usePersistentState from "../hooks/usePersistentState";
+import { applyIndicators, defaultIndicatorSettings } from "../indicators";
+import { holidayNames } from "../tradingCalendar";
+import CandlestickChart from "./CandlestickChart";
+import { IndicatorControls, IndicatorSubCharts } from "./IndicatorPanel";
+
+const chartModes = [
+  { value: "line", label: "Line" },
+  { value: "candles", label: "Candles" },
+];
+
+/**
+ * Price trajectory for the loaded history or forecast, as a line chart with
+ * indicator overlays or as candles over the OHLCV bars for `chartQuery`.
+ */
+export default function PriceChartPanel({
+  chartData,
+  forecastResult,
+  compareResult,
+  chartQuery,
+  chartCache,
+  holidayMarks,
+  exportFileName,
+  onError,
+}) {
+  const [chartMode, setChartMode] = useState("line");
+  const [indicatorSettings, setIndicatorSettings] = usePersistentState("kavout.indicators", defaultIndicatorSettings);
+  // Candles need the full OHLCV bars, fetched for whatever the chart currently shows.
+  const { bars, status: barsStatus, error: barsError } = useOhlcvBars(chartQuery, chartMode === "candles");
+  const panelRef = useRef(null);
+
+  const indicatorData = useMemo(
+    () => applyIndicators(chartData, indicatorSettings),
+    [chartData, indicatorSettings]
+  );
+
+  const forecastStartDate = forecastResult?.forecast?.[0]?.date || null;
+
+  async function onExportChart(format) {
+    // Every pane in the panel (price, volume, RSI, MACD); legend icons are SVGs too but not panes.
+    const panes = [...(panelRef.current?.querySelectorAll("svg.recharts-surface") || [])].filter(
+      (svg) => !svg.closest(".recharts-legend-wrapper")
+    );
+    if (panes.length === 0) {
+      return;
+    }
+    try {
+      if (format === "svg") {
+        downloadSvg(exportFileName("svg"), panes);
+      } else {
+        await downloadSvgAsPng(exportFileName("png"), panes);
+      }
+    } catch (err) {
+      onError(errorMessage(err, "Chart export failed"));
+    }
+  }
+
+  return (
+    <section className="panel chart-panel reveal delay-3" ref={panelRef}>
+      <div className="panel-head">
+        <h3>Price Trajectory</h3>
+        <div className="preset-row">
+          {chartCache && (
+            <span className={`cache-badge ${chartCache.offline ? "offline" : ""}`}>
+              {chartCache.offline ? "Offline, cached" : "Cached"} as of {formatCachedAt(chartCache.cachedAt)}
+            </span>
+          )}
+          {chartModes.map((mode) => (
+            <button
+              key={mode.value}
+              type="button"
+              className={`preset ${chartMode === mode.value ? "active" : ""}`}
+              onClick={() => setChartMode(mode.value)}
+            >
+              {mode.label}
+            </button>
+          ))}
+          <button type="button" className="preset" disabled={chartData.length === 0} onClick={() => onExportChart("png")}>
+            PNG
+          </button>
+          <button type="button" className="preset" disabled={chartData.length === 0} onClick={() => onExportChart("svg")}>
+            SVG
+          </button>
+        </div>
+      </div>
+
+      <IndicatorControls settings={indicatorSettings} onChange={setIndicatorSettings} />
+
+      {chartData.length === 0 ? (
+        <div className="empty">Load history or run forecast to populate the chart.</div>
+      ) : chartMode === "candles" ? (
+        barsStatus === "loading" ? (
+          <div className="empty">Loading OHLCV bars...</div>
+        ) : barsStatus === "error" ? (
+          <div className="empty">{barsError}</div>
+        ) : bars.length === 0 ? (
+          <div className="empty">No OHLCV bars for this range; switch to the line chart.</div>
+        ) : (
+          <CandlestickChart bars={bars} forecast={forecastResult?.forecast} />
+        )
+      ) : (
+        <div className="chart-wrap">
+          <ResponsiveContainer width="100%" height={390}>
+            <ComposedChart data={indicatorData} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+              <defs>
+                <linearGradient id="histLine" x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="0%" stopColor="#0f7aed" stopOpacity="1" />
+                  <stop offset="100%" stopColor="#0f7aed" stopOpacity="0.4" />
+                </linearGradient>
+                <linearGradient id="fcLine" x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="0%" stopColor="#ef9b0f" stopOpacity="1" />
+                  <stop offset="100%" stopColor="#ef9b0f" stopOpacity="0.5" />
+                </linearGradient>
+              </defs>
+
+              <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+              <XAxis dataKey="date" minTickGap={24} />
+              <YAxis width={84} tickFormatter={(value) => `Rs ${Math.round(value)}`} />
+              <Tooltip
+                formatter={(value, name) =>
+                  Array.isArray(value)
+                    ? [`Rs ${formatInr(value[0])} - Rs ${formatInr(value[1])}`, name]
+                    : [`Rs ${formatInr(Number(value))}`, name === "History" || name === "Forecast" ? "Price" : name]
+                }
+                labelFormatter={(label) =>
+                  holidayMarks.has(label) ? `${label} (after ${holidayNames(holidayMarks.get(label))})` : label
+                }
+                labelStyle={{ color: "#0f1f2e", fontWeight: 700 }}
+              />
+              <Legend />
+
+              {[...holidayMarks].map(([date, skipped]) => (
+                <ReferenceLine
+                  key={date}
+                  x={date}
+                  stroke="#c44545"
+                  strokeOpacity={0.55}
+                  strokeDasharray="2 4"
+                  label={{
+                    value: skipped.length > 1 ? `H×${skipped.length}` : "H",
+                    position: "insideTopLeft",
+                    fill: "#c44545",
+                    fontSize: 10,
+                  }}
+                />
+              ))}
+
+              {forecastStartDate && (
+                <ReferenceArea x1={forecastStartDate} x2={chartData.at(-1)?.date} fill="#0f7aed" fillOpacity={0.07} />
+              )}
+
+              <Area
+                type="monotone"
+                dataKey="band_90"
+                name="90% Interval"
+                stroke="none"
+                fill="#ef9b0f"
+                fillOpacity={0.14}
+                activeDot={false}
+              />
+              <Area
+                type="monotone"
+                dataKey="band_50"
+                name="50% Interval"
+                stroke="none"
+                fill="#ef9b0f"
+                fillOpacity={0.26}
+                activeDot={false}
+              />
+
+              {indicatorSettings.bollingerOn && (
+                <Area
+                  type="monotone"
+                  dataKey="bollinger"
+                  name={`Bollinger ${indicatorSettings.bollingerPeriod}`}
+                  stroke="#7a5af8"
+                  strokeOpacity={0.4}
+                  fill="#7a5af8"
+                  fillOpacity={0.06}
+                  activeDot={false}
+                  isAnimationActive={false}
+                />
+              )}
+              {indicatorSettings.bollingerOn && (
+                <Line
+                  type="monotone"
+                  dataKey="bollinger_mid"
+                  name="Bollinger Mid"
+                  stroke="#7a5af8"
+                  strokeDasharray="4 3"
+                  dot={false}
+                  legendType="none"
+                  isAnimationActive={false}
+                />
+              )}
+              {indicatorSettings.smaOn && (
+                <Line
+                  type="monotone"
+                  dataKey="sma"
+                  name={`SMA ${indicatorSettings.smaPeriod}`}
+                  stroke="#10b39d"
+                  dot={false}
+                  strokeWidth={1.6}
+                  isAnimationActive={false}
+                />
+              )}
+              {indicatorSettings.emaOn && (
+                <Line
+                  type="monotone"
+                  dataKey="ema"
+                  name={`EMA ${indicatorSettings.emaPeriod}`}
+                  stroke="#e05fa8"
+                  dot={false}
+                  strokeWidth={1.6}
+                  isAnimationActive={false}
+                />
+              )}
+
+              <Line
+                type="monotone"
+                dataKey="history"
+                name="History"
+                stroke="url(#histLine)"
+                dot={false}
+                strokeWidth={2.5}
+                activeDot={{ r: 4 }}
+              />
+              <Line
+                type="monotone"
+                dataKey="forecast"
+                name="Forecast"
+                stroke="url(#fcLine)"
+                dot={false}
+                strokeWidth={3}
+                activeDot={{ r: 4 }}
+              />
+              {compareResult && (
+                <Line
+                  type="monotone"
+                  dataKey="compare"
+                  name={`Compare ${versionLabel(compareResult.model_version)}`}
+                  stroke="#10b39d"
+                  strokeDasharray="6 4"
+                  dot={false}
+                  strokeWidth={2.5}
+                  activeDot={{ r: 4 }}
+                />
+              )}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {chartMode === "line" && holidayMarks.size > 0 && (
+        <p className="muted">Dashed red lines (H) mark the first session after an NSE holiday.</p>
+      )}
+
+      {chartData.length > 0 && <IndicatorSubCharts data={indicatorData} settings={indicatorSettings} />}
+    </section>
+  );
+}
@@ -0,0 +1,475 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ReferenceArea,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { predictScenario } from "../api";
+import { artifactName, errorMessage, formatInr, formatPct } from "../format";
+import { nextTradingDays } from "../tradingCalendar";
+
+const windowPresets = [1, 5, 10, 20];
+const CHART_HEIGHT = 320;
+const CHART_MARGIN = { top: 10, right: 20, left: 8, bottom: 8 };
+// Recharts' default XAxis height; the plot area sits between the margins and the axis.
+const X_AXIS_HEIGHT = 30;
+const MAX_APPENDED = 20;
+const labelStyle = { color: "#0f1f2e", fontWeight: 700 };
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default function ScenarioPanel({ forecastResult, dataSource, localDataDir, holidays }) {
+  const [windowSize, setWindowSize] = useState(5);
+  const [shockPct, setShockPct] = useState(-5);
+  const [edits, setEdits] = useState({});
+  const [append, setAppend] = useState([]);
+  const [result, setResult] = useState(null);
+  const [runKey, setRunKey] = useState("");
+  const [dragging, setDragging] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const dragDomainRef = useRef(null);
+
+  // Edits refer to dates of one close series; a new series or model starts a fresh scenario.
+  useEffect(() => {
+    setEdits({});
+    setAppend([]);
+    setResult(null);
+    setError("");
+  }, [forecastResult?.ticker, forecastResult?.model_artifact, forecastResult?.last_close]);
+
+  const history = forecastResult?.history || [];
+  const editable = history.slice(-windowSize);
+  const anchor = history[history.length - windowSize - 1];
+  const appendDates = useMemo(
+    () => (history.length && append.length ? nextTradingDays(history.at(-1).date, append.length, holidays) : []),
+    [history, append.length, holidays]
+  );
+
+  const scenarioPoints = [
+    ...editable.map((point) => ({ date: point.date, original: point.value, value: edits[point.date] ?? point.value })),
+    ...append.map((value, index) => ({ date: appendDates[index], original: null, value })),
+  ];
+  const lastScenarioClose = scenarioPoints.at(-1)?.value ?? forecastResult?.last_close;
+
+  // Only edits inside the current window count; shrinking the window drops the rest.
+  const editList = editable
+    .filter((point) => edits[point.date] !== undefined && edits[point.date] !== point.value)
+    .map((point) => ({ date: point.date, close: edits[point.date] }));
+  const currentKey = JSON.stringify({ editList, append });
+  const hasChanges = editList.length > 0 || append.length > 0;
+  const stale = result !== null && runKey !== currentKey;
+
+  function setScenarioValue(date, value) {
+    if (!Number.isFinite(value) || value <= 0) {
+      return;
+    }
+    const appendIndex = appendDates.indexOf(date);
+    if (appendIndex >= 0) {
+      setAppend((prev) => prev.map((close, index) => (index === appendIndex ? value : close)));
+    } else {
+      setEdits((prev) => ({ ...prev, [date]: value }));
+    }
+  }
+
+  // Gap: every point in the window moves by the shock. Ramp: the shock builds up across the window.
+  function applyShock(mode) {
+    const pct = Number(shockPct) / 100;
+    setEdits((prev) => {
+      const next = { ...prev };
+      editable.forEach((point, index) => {
+        const base = prev[point.date] ?? point.value;
+        const weight = mode === "ramp" ? (index + 1) / editable.length : 1;
+        next[point.date] = round2(base * (1 + pct * weight));
+      });
+      return next;
+    });
+  }
+
+  function flatten() {
+    if (!anchor) {
+      return;
+    }
+    setEdits((prev) => ({ ...prev, ...Object.fromEntries(editable.map((point) => [point.date, anchor.value])) }));
+  }
+
+  function appendClose() {
+    if (append.length >= MAX_APPENDED) {
+      return;
+    }
+    setAppend((prev) => [...prev, round2(lastScenarioClose * (1 + Number(shockPct) / 100))]);
+  }
+
+  function reset() {
+    setEdits({});
+    setAppend([]);
+  }
+
+  async function onRun() {
+    setError("");
+    setLoading(true);
+    try {
+      setResult(
+        await predictScenario({
+          ticker: forecastResult.ticker,
+          horizon: forecastResult.horizon,
+          history_points: Math.max(history.length, 20),
+          data_source: dataSource,
+          local_data_dir: localDataDir || null,
+          model_version: artifactName(forecastResult),
+          edits: editList,
+          append,
+        })
+      );
+      setRunKey(currentKey);
+    } catch (err) {
+      setError(errorMessage(err, "Scenario failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const chartHistory = history.slice(-Math.max(60, windowSize * 3));
+  const chartData = (() => {
+    const rows = new Map();
+    const put = (date, patch) => rows.set(date, { ...(rows.get(date) || { date }), ...patch });
+    chartHistory.forEach((point) => put(point.date, { history: point.value }));
+    if (anchor && chartHistory.some((point) => point.date === anchor.date)) {
+      put(anchor.date, { input: anchor.value });
+    }
+    scenarioPoints.forEach((point) => put(point.date, { input: point.value }));
+
+    if (result) {
+      const lastHistory = result.history.at(-1);
+      const lastScenario = result.scenario_history.at(-1);
+      put(lastHistory.date, { baseline: result.last_close });
+      put(lastScenario.date, { scenario: result.scenario_last_close });
+      const baselineByDate = new Map(result.baseline.map((point) => [point.date, point.value]));
+      result.baseline.forEach((point) => put(point.date, { baseline: point.value }));
+      result.scenario.forEach((point) => {
+        const baseline = baselineByDate.get(point.date);
+        put(point.date, {
+          scenario: point.value,
+          diff: baseline === undefined ? undefined : point.value - baseline,
+        });
+      });
+    }
+    return [...rows.values()].sort((a, b) => a.date.localeCompare(b.date));
+  })();
+
+  const domain = (() => {
+    const values = chartData.flatMap((row) => [row.history, row.input, row.baseline, row.scenario]).filter(
+      (value) => typeof value === "number"
+    );
+    if (values.length === 0) {
+      return [0, 1];
+    }
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const pad = (max - min || max * 0.05) * 0.1;
+    return [round2(min - pad), round2(max + pad)];
+  })();
+  const activeDomain = dragDomainRef.current || domain;
+
+  // Maps a pointer y-coordinate back to a price using the frozen axis domain.
+  function valueAt(chartY) {
+    const [min, max] = activeDomain;
+    const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom - X_AXIS_HEIGHT;
+    const ratio = (chartY - CHART_MARGIN.top) / plotHeight;
+    return round2(max - Math.min(Math.max(ratio, 0), 1) * (max - min));
+  }
+
+  function onMouseDown(state) {
+    const date = state?.activeLabel;
+    if (date && scenarioPoints.some((point) => point.date === date)) {
+      dragDomainRef.current = domain;
+      setDragging(date);
+    }
+  }
+
+  function onMouseMove(state) {
+    if (dragging && typeof state?.chartY === "number") {
+      setScenarioValue(dragging, valueAt(state.chartY));
+    }
+  }
+
+  function stopDragging() {
+    dragDomainRef.current = null;
+    setDragging(null);
+  }
+
+  const diffRows = (result?.scenario || []).map((point) => {
+    const baseline = result.baseline.find((item) => item.date === point.date)?.value;
+    const diff = baseline === undefined ? null : point.value - baseline;
+    return {
+      date: point.date,
+      baseline: baseline ?? null,
+      scenario: point.value,
+      diff,
+      diffPct: diff === null || !baseline ? null : (diff / baseline) * 100,
+    };
+  });
+  const endRow = [...diffRows].reverse().find((row) => row.diff !== null);
+
+  return (
+    <section className="panel chart-panel reveal delay-4">
+      <div className="panel-head">
+        <h3>What-If Scenario</h3>
+        <span className="muted">
+          {result
+            ? stale
+              ? "Edits changed since the last run"
+              : `${editList.length} edited, ${append.length} appended closes`
+            : "Edit or drag the last closes, then compare forecasts"}
+        </span>
+      </div>
+
+      {error && (
+        <div className="alert">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      {!forecastResult ? (
+        <div className="empty">Run a forecast first; scenarios start from its history.</div>
+      ) : (
+        <>
+          <div className="form filter-row">
+            <div className="preset-row">
+              <span className="muted">Edit last</span>
+              {windowPresets.map((preset) => (
+                <button
+                  key={preset}
+                  type="button"
+                  className={`preset ${windowSize === preset ? "active" : ""}`}
+                  onClick={() => setWindowSize(preset)}
+                >
+                  {preset}D
+                </button>
+              ))}
+            </div>
+
+            <div className="field-grid two-col">
+              <label>
+                <span>Shock (%)</span>
+                <input type="number" step="0.5" value={shockPct} onChange={(e) => setShockPct(e.target.value)} />
+              </label>
+            </div>
+
+            <div className="preset-row">
+              <button type="button" className="preset" onClick={() => applyShock("gap")}>
+                Gap last {windowSize}
+              </button>
+              <button type="button" className="preset" onClick={() => applyShock("ramp")}>
+                Ramp last {windowSize}
+              </button>
+              <button type="button" className="preset" disabled={!anchor} onClick={flatten}>
+                Flatten last {windowSize}
+              </button>
+              <button type="button" className="preset" disabled={append.length >= MAX_APPENDED} onClick={appendClose}>
+                Add next close
+              </button>
+              <button type="button" className="preset" disabled={!hasChanges} onClick={reset}>
+                Reset
+              </button>
+            </div>
+          </div>
+
+          <div className="scenario-chart">
+            <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+              <ComposedChart
+                data={chartData}
+                margin={CHART_MARGIN}
+                onMouseDown={onMouseDown}
+                onMouseMove={onMouseMove}
+                onMouseUp={stopDragging}
+                onMouseLeave={stopDragging}
+              >
+                <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+                <XAxis dataKey="date" minTickGap={24} height={X_AXIS_HEIGHT} />
+                <YAxis yAxisId="price" width={84} domain={activeDomain} allowDataOverflow tickFormatter={formatInr} />
+                <YAxis yAxisId="diff" orientation="right" width={64} tickFormatter={(value) => formatInr(value)} />
+                <Tooltip
+                  formatter={(value, name) => [`Rs ${formatInr(value)}`, name]}
+                  labelStyle={labelStyle}
+                  isAnimationActive={false}
+                />
+                <Legend />
+                {scenarioPoints.length > 0 && (
+                  <ReferenceArea
+                    yAxisId="price"
+                    x1={scenarioPoints[0].date}
+                    x2={scenarioPoints.at(-1).date}
+                    fill="#e05fa8"
+                    fillOpacity={0.06}
+                  />
+                )}
+                <Bar yAxisId="diff" dataKey="diff" name="Scenario - Baseline" fill="#9fb6cc" isAnimationActive={false} />
+                <Line
+                  yAxisId="price"
+                  type="monotone"
+                  dataKey="history"
+                  name="History"
+                  stroke="#60788f"
+                  dot={false}
+                  strokeWidth={1.6}
+                  isAnimationActive={false}
+                />
+                <Line
+                  yAxisId="price"
+                  type="monotone"
+                  dataKey="input"
+                  name="Scenario Input"
+                  stroke="#e05fa8"
+                  dot={{ r: 4, cursor: "ns-resize" }}
+                  activeDot={{ r: 6, cursor: "ns-resize" }}
+                  strokeWidth={2}
+                  isAnimationActive={false}
+                />
+                <Line
+                  yAxisId="price"
+                  type="monotone"
+                  dataKey="baseline"
+                  name="Baseline Forecast"
+                  stroke="#ef9b0f"
+                  dot={false}
+                  strokeWidth={2}
+                  isAnimationActive={false}
+                />
+                <Line
+                  yAxisId="price"
+                  type="monotone"
+                  dataKey="scenario"
+                  name="Scenario Forecast"
+                  stroke="#7a5af8"
+                  dot={false}
+                  strokeWidth={2}
+                  strokeDasharray="6 4"
+                  isAnimationActive={false}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="muted">Drag the pink points up or down, or type new closes below.</p>
+
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Actual (Rs)</th>
+                  <th>Scenario (Rs)</th>
+                  <th>Change %</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {scenarioPoints.map((point, index) => {
+                  const change = point.original ? ((point.value - point.original) / point.original) * 100 : null;
+                  const appended = point.original === null;
+                  return (
+                    <tr key={point.date} className={appended ? "inactive-row" : ""}>
+                      <td>
+                        {point.date}
+                        {appended && <span className="holiday-note">hypothetical</span>}
+                      </td>
+                      <td>{appended ? "--" : formatInr(point.original)}</td>
+                      <td>
+                        <input
+                          type="number"
+                          step="0.05"
+                          min="0.01"
+                          value={point.value}
+                          onChange={(e) => setScenarioValue(point.date, Number(e.target.value))}
+                        />
+                      </td>
+                      <td className={change === null || change === 0 ? "" : change > 0 ? "positive" : "negative"}>
+                        {change === null ? "--" : formatPct(change)}
+                      </td>
+                      <td>
+                        {appended ? (
+                          <button
+                            type="button"
+                            className="preset"
+                            onClick={() => setAppend((prev) => prev.filter((_, i) => i !== index - editable.length))}
+                          >
+                            Remove
+                          </button>
+                        ) : (
+                          edits[point.date] !== undefined && (
+                            <button
+                              type="button"
+                              className="preset"
+                              onClick={() => setEdits(({ [point.date]: _removed, ...rest }) => rest)}
+                            >
+                              Undo
+                            </button>
+                          )
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="action-row">
+            <span className="muted">
+              {endRow
+                ? `End of horizon: baseline Rs ${formatInr(endRow.baseline)}, scenario Rs ${formatInr(
+                    endRow.scenario
+                  )} (${endRow.diff >= 0 ? "+" : ""}${formatPct(endRow.diffPct)})`
+                : `Forecasts ${forecastResult.horizon} trading days with ${artifactName(forecastResult)}.`}
+            </span>
+            <button className="btn primary" type="button" disabled={!hasChanges || loading} onClick={onRun}>
+              {loading ? "Running scenario..." : "Run Scenario"}
+            </button>
+          </div>
+
+          {diffRows.length > 0 && (
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Baseline (Rs)</th>
+                    <th>Scenario (Rs)</th>
+                    <th>Diff (Rs)</th>
+                    <th>Diff %</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diffRows.map((row) => (
+                    <tr key={row.date}>
+                      <td>{row.date}</td>
+                      <td>{row.baseline === null ? "--" : formatInr(row.baseline)}</td>
+                      <td>{formatInr(row.scenario)}</td>
+                      <td className={row.diff === null ? "" : row.diff >= 0 ? "positive" : "negative"}>
+                        {row.diff === null ? "--" : `${row.diff >= 0 ? "+" : ""}${formatInr(row.diff)}`}
+                      </td>
+                      <td className={row.diffPct === null ? "" : row.diffPct >= 0 ? "positive" : "negative"}>
+                        {row.diffPct === null ? "--" : `${row.diffPct >= 0 ? "+" : ""}${formatPct(row.diffPct)}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
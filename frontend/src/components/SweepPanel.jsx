@@ -0,0 +1,356 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+
+import {
+  cancelTrainingSweep,
+  discardTrainingSweep,
+  getTrainingSweep,
+  promoteSweepTrial,
+  startTrainingSweep,
+} from "../api";
+import { errorMessage, formatPct } from "../format";
+
+const POLL_INTERVAL_MS = 2000;
+// Mirrors the server's per-list cap so a wide range is rejected before it is expanded.
+const MAX_VALUES_PER_LIST = 20;
+
+const sweepFields = [
+  { key: "input_len", label: "Input Length", integer: true, placeholder: "30, 60, 90 or 30-90:30" },
+  { key: "pred_len", label: "Prediction Length", integer: true, placeholder: "5, 10" },
+  { key: "batch_size", label: "Batch Size", integer: true, placeholder: "32, 64" },
+  { key: "learning_rate", label: "Learning Rate", integer: false, placeholder: "0.0005, 0.001, 0.005" },
+];
+
+const sortColumns = [
+  { key: "val_rmse", label: "Val RMSE" },
+  { key: "direction_accuracy", label: "Direction" },
+  { key: "val_loss", label: "Val Loss" },
+];
+
+// Accepts comma separated values and `start-end:step` ranges, e.g. "30-90:30, 120".
+function parseValueList(raw, integer) {
+  const values = [];
+  const push = (value) => {
+    if (values.includes(value)) {
+      return;
+    }
+    if (values.length === MAX_VALUES_PER_LIST) {
+      throw new Error(`At most ${MAX_VALUES_PER_LIST} values per list.`);
+    }
+    values.push(value);
+  };
+  raw
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const range = part.match(/^([\d.]+)\s*-\s*([\d.]+)\s*:\s*([\d.]+)$/);
+      if (range) {
+        const [start, end, step] = range.slice(1).map(Number);
+        if (!(step > 0) || end < start) {
+          throw new Error(`Invalid range '${part}'.`);
+        }
+        for (let index = 0; start + index * step <= end + 1e-12; index += 1) {
+          push(Number((start + index * step).toPrecision(10)));
+        }
+        return;
+      }
+      const value = Number(part);
+      if (Number.isNaN(value)) {
+        throw new Error(`'${part}' is not a number.`);
+      }
+      push(value);
+    });
+
+  if (integer && values.some((value) => !Number.isInteger(value))) {
+    throw new Error("Lengths and batch sizes must be whole numbers.");
+  }
+  return values;
+}
+
+export default function SweepPanel({ ticker, hyperparams, onPromote }) {
+  const [form, setForm] = useState({
+    mode: "grid",
+    input_len: `${hyperparams.input_len}`,
+    pred_len: `${hyperparams.pred_len}`,
+    batch_size: "32, 64",
+    learning_rate: "0.0005, 0.001, 0.005",
+    max_trials: 12,
+    seed: "",
+  });
+  const [sweep, setSweep] = useState(null);
+  const [sort, setSort] = useState({ key: "val_rmse", direction: "asc" });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const pollRef = useRef(null);
+
+  const running = sweep?.status === "running";
+
+  useEffect(() => {
+    if (!running) {
+      return undefined;
+    }
+    pollRef.current = setInterval(async () => {
+      try {
+        setSweep(await getTrainingSweep(sweep.sweep_id));
+      } catch (err) {
+        setError(errorMessage(err, "Sweep status failed"));
+        clearInterval(pollRef.current);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(pollRef.current);
+  }, [running, sweep?.sweep_id]);
+
+  const gridSize = useMemo(() => {
+    try {
+      return sweepFields.reduce((size, field) => size * parseValueList(form[field.key], field.integer).length, 1);
+    } catch {
+      return null;
+    }
+  }, [form]);
+
+  const trialRows = useMemo(() => {
+    const sign = sort.direction === "asc" ? 1 : -1;
+    // Finished trials sort by the chosen metric within each prediction length, since errors over
+    // 5-step and 20-step windows are not comparable; pending ones stay below in submission order.
+    return [...(sweep?.trials || [])].sort((a, b) => {
+      if (!a.result || !b.result) {
+        return a.result ? -1 : b.result ? 1 : a.index - b.index;
+      }
+      return a.pred_len - b.pred_len || sign * (a.result[sort.key] - b.result[sort.key]);
+    });
+  }, [sweep, sort]);
+
+  const predLens = [...new Set((sweep?.trials || []).map((trial) => trial.pred_len))].sort((a, b) => a - b);
+
+  function toggleSort(key) {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, direction: prev.direction === "asc" ? "desc" : "asc" }
+        : { key, direction: key === "direction_accuracy" ? "desc" : "asc" }
+    );
+  }
+
+  async function submit(event) {
+    event.preventDefault();
+    setError("");
+
+    let lists;
+    try {
+      lists = Object.fromEntries(sweepFields.map((field) => [field.key, parseValueList(form[field.key], field.integer)]));
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      if (sweep) {
+        // The previous sweep's table is replaced, so its trial checkpoints go with it. A sweep the
+        // server no longer knows (e.g. after a restart) has nothing left to delete.
+        await discardTrainingSweep(sweep.sweep_id).catch(() => null);
+      }
+      setSweep(
+        await startTrainingSweep({
+          ...hyperparams,
+          ...lists,
+          ticker,
+          mode: form.mode,
+          max_trials: Number(form.max_trials),
+          seed: form.seed === "" ? null : Number(form.seed),
+        })
+      );
+    } catch (err) {
+      setError(errorMessage(err, "Sweep failed to start"));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  async function cancel() {
+    try {
+      setSweep(await cancelTrainingSweep(sweep.sweep_id));
+    } catch (err) {
+      setError(errorMessage(err, "Cancel failed"));
+    }
+  }
+
+  async function discard() {
+    setError("");
+    try {
+      await discardTrainingSweep(sweep.sweep_id);
+      setSweep(null);
+    } catch (err) {
+      setError(errorMessage(err, "Discard failed"));
+    }
+  }
+
+  async function promote(index) {
+    setError("");
+    try {
+      setSweep(await promoteSweepTrial(sweep.sweep_id, index));
+      onPromote?.();
+    } catch (err) {
+      setError(errorMessage(err, "Promotion failed"));
+    }
+  }
+
+  const finished = (sweep?.trials || []).filter((trial) => trial.status === "completed").length;
+
+  return (
+    <section className="panel reveal delay-3">
+      <div className="panel-head">
+        <h3>Hyperparameter Sweep</h3>
+        <span className="muted">
+          {ticker || "--"}: {hyperparams.period}, {hyperparams.epochs} epochs per trial
+        </span>
+      </div>
+
+      {error && (
+        <div className="alert">
+          <strong>Sweep Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <form className="form" onSubmit={submit}>
+        <div className="field-grid two-col">
+          {sweepFields.map((field) => (
+            <label key={field.key}>
+              <span>{field.label}</span>
+              <input
+                value={form[field.key]}
+                placeholder={field.placeholder}
+                onChange={(e) => setForm((s) => ({ ...s, [field.key]: e.target.value }))}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="field-grid three-col">
+          <label>
+            <span>Search</span>
+            <select value={form.mode} onChange={(e) => setForm((s) => ({ ...s, mode: e.target.value }))}>
+              <option value="grid">grid</option>
+              <option value="random">random</option>
+            </select>
+          </label>
+
+          <label>
+            <span>Max Trials</span>
+            <input
+              type="number"
+              min="1"
+              max="50"
+              value={form.max_trials}
+              onChange={(e) => setForm((s) => ({ ...s, max_trials: e.target.value }))}
+            />
+          </label>
+
+          <label>
+            <span>Seed (Random)</span>
+            <input
+              type="number"
+              value={form.seed}
+              disabled={form.mode !== "random"}
+              onChange={(e) => setForm((s) => ({ ...s, seed: e.target.value }))}
+            />
+          </label>
+        </div>
+
+        <p className="muted">
+          {gridSize === null
+            ? "Fix the value lists to see the grid size."
+            : `${gridSize} combinations; ${
+                form.mode === "grid" ? "every one is trained" : `${Math.min(gridSize, form.max_trials)} sampled at random`
+              }.`}
+        </p>
+
+        <div className="action-row">
+          <button className="btn primary" type="submit" disabled={running || submitting || !ticker}>
+            {running ? `Running ${finished}/${sweep.trials.length}...` : "Run Sweep"}
+          </button>
+          <button className="btn ghost" type="button" disabled={!running} onClick={cancel}>
+            Cancel Sweep
+          </button>
+          <button className="btn ghost" type="button" disabled={!sweep || running} onClick={discard}>
+            Discard Trials
+          </button>
+        </div>
+      </form>
+
+      {sweep?.promoted_artifact && (
+        <p className="muted">
+          Trial {sweep.promoted_index + 1} promoted as {sweep.promoted_artifact}; forecasts for {sweep.ticker} now use it.
+        </p>
+      )}
+
+      {predLens.length > 1 && (
+        <p className="muted">
+          Trials span prediction lengths {predLens.join(", ")}; they are ranked within each length, so compare and
+          promote within a group.
+        </p>
+      )}
+
+      {sweep && (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Input</th>
+                <th>Pred</th>
+                <th>Batch</th>
+                <th>LR</th>
+                <th>Status</th>
+                {sortColumns.map((column) => (
+                  <th key={column.key}>
+                    <button type="button" className="sort-button" onClick={() => toggleSort(column.key)}>
+                      {column.label}
+                      {sort.key === column.key ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}
+                    </button>
+                  </th>
+                ))}
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {trialRows.map((trial) => (
+                <tr key={trial.job_id}>
+                  <td>{trial.index + 1}</td>
+                  <td>{trial.input_len}</td>
+                  <td>{trial.pred_len}</td>
+                  <td>{trial.batch_size}</td>
+                  <td>{trial.learning_rate}</td>
+                  <td title={trial.error || ""}>
+                    <span className={`status-tag ${trial.status}`}>
+                      {trial.status === "running" ? `${trial.epoch}/${trial.epochs}` : trial.status}
+                    </span>
+                  </td>
+                  <td>{trial.result ? trial.result.val_rmse.toFixed(6) : "--"}</td>
+                  <td className={trial.result ? (trial.result.direction_accuracy >= 0.5 ? "positive" : "negative") : ""}>
+                    {trial.result ? formatPct(trial.result.direction_accuracy * 100) : "--"}
+                  </td>
+                  <td>{trial.result ? trial.result.val_loss.toFixed(6) : "--"}</td>
+                  <td>
+                    {sweep.promoted_index === trial.index ? (
+                      <span className="status-tag completed">Active</span>
+                    ) : (
+                      <button
+                        type="button"
+                        className="preset"
+                        disabled={trial.status !== "completed"}
+                        onClick={() => promote(trial.index)}
+                      >
+                        Promote
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
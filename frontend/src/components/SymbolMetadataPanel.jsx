@@ -0,0 +1,180 @@
+import { useEffect, useState } from "react";
+
+import { getSymbolMetadata, resetSymbolMetadata, updateSymbolMetadata } from "../api";
+import { errorMessage } from "../format";
+
+const emptyDraft = { symbol: "", name: "", sector: "", industry: "" };
+
+export default function SymbolMetadataPanel() {
+  const [metadata, setMetadata] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [sector, setSector] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  async function loadMetadata() {
+    try {
+      setMetadata(await getSymbolMetadata());
+    } catch (err) {
+      setError(errorMessage(err, "Symbol metadata load failed"));
+    }
+  }
+
+  useEffect(() => {
+    loadMetadata();
+  }, []);
+
+  const entries = metadata?.symbols || [];
+  const rows = entries.filter((entry) => !sector || entry.sector === sector);
+  const selected = entries.find((entry) => entry.symbol === draft.symbol);
+
+  async function onSave(event) {
+    event.preventDefault();
+    setError("");
+    setSaving(true);
+    try {
+      const saved = await updateSymbolMetadata(draft.symbol, {
+        name: draft.name,
+        sector: draft.sector,
+        industry: draft.industry,
+      });
+      setDraft(saved);
+      await loadMetadata();
+    } catch (err) {
+      setError(errorMessage(err, "Symbol metadata update failed"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function onReset() {
+    setError("");
+    setSaving(true);
+    try {
+      setDraft(await resetSymbolMetadata(draft.symbol));
+      await loadMetadata();
+    } catch (err) {
+      setError(errorMessage(err, "Symbol metadata reset failed"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <section className="panel table-panel reveal delay-3">
+      <div className="panel-head">
+        <h3>Symbol Metadata</h3>
+        <span className="muted">
+          {metadata
+            ? `${entries.length} symbols, ${entries.filter((entry) => entry.source === "custom").length} edited`
+            : "Display names, sectors and industries for the local universe"}
+        </span>
+      </div>
+
+      {error && (
+        <div className="alert">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <form className="form filter-row" onSubmit={onSave}>
+        <div className="field-grid two-col">
+          <label>
+            <span>Symbol</span>
+            <input value={draft.symbol} readOnly placeholder="Pick a row below" />
+          </label>
+
+          <label>
+            <span>Display Name</span>
+            <input value={draft.name} onChange={(e) => setDraft((s) => ({ ...s, name: e.target.value }))} />
+          </label>
+
+          <label>
+            <span>Sector</span>
+            <input
+              value={draft.sector}
+              onChange={(e) => setDraft((s) => ({ ...s, sector: e.target.value }))}
+              list="sector-options"
+            />
+          </label>
+
+          <label>
+            <span>Industry</span>
+            <input value={draft.industry} onChange={(e) => setDraft((s) => ({ ...s, industry: e.target.value }))} />
+          </label>
+        </div>
+
+        <datalist id="sector-options">
+          {(metadata?.sectors || []).map((option) => (
+            <option key={option} value={option} />
+          ))}
+        </datalist>
+
+        <div className="action-row">
+          <button
+            className="btn ghost"
+            type="button"
+            disabled={saving || selected?.source !== "custom"}
+            onClick={onReset}
+          >
+            Reset to Bundled
+          </button>
+          <button className="btn primary" type="submit" disabled={saving || !draft.symbol}>
+            {saving ? "Saving..." : "Save Metadata"}
+          </button>
+        </div>
+
+        <div className="preset-row">
+          {["", ...(metadata?.sectors || [])].map((option) => (
+            <button
+              key={option || "all"}
+              type="button"
+              className={`preset ${sector === option ? "active" : ""}`}
+              onClick={() => setSector(option)}
+            >
+              {option || "All sectors"}
+            </button>
+          ))}
+        </div>
+      </form>
+
+      {rows.length === 0 ? (
+        <div className="empty">{metadata ? "No symbols in this sector." : "Loading symbol metadata..."}</div>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Symbol</th>
+                <th>Name</th>
+                <th>Sector</th>
+                <th>Industry</th>
+                <th>Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((entry) => (
+                <tr
+                  key={entry.symbol}
+                  className={`clickable-row ${draft.symbol === entry.symbol ? "selected" : ""}`}
+                  onClick={() => setDraft(entry)}
+                >
+                  <td>{entry.symbol}</td>
+                  <td>{entry.name}</td>
+                  <td>{entry.sector}</td>
+                  <td>{entry.industry}</td>
+                  <td>
+                    <span className={`status-tag ${entry.source === "default" ? "warn" : entry.source === "custom" ? "ok" : ""}`}>
+                      {entry.source}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
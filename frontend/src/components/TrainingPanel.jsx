@@ -0,0 +1,217 @@
+import { useRef } from "react";
+
+import { errorMessage, formatPct, versionLabel } from "../format";
+import useTrainingJob from "../hooks/useTrainingJob";
+import LossChart from "./LossChart";
+
+const sourceOptions = ["local", "auto", "yfinance"];
+const periodOptions = ["1y", "3y", "5y", "10y"];
+
+export function buildTrainPayload(form) {
+  return {
+    ...form,
+    input_len: Number(form.input_len),
+    pred_len: Number(form.pred_len),
+    epochs: Number(form.epochs),
+    batch_size: Number(form.batch_size),
+    learning_rate: Number(form.learning_rate),
+    local_data_dir: form.local_data_dir || null,
+  };
+}
+
+/**
+ * Training form plus the live job card. `onTrained(result, submitted)` gets the
+ * finished run and the form it was submitted with; failures go to `onError`.
+ */
+export default function TrainingPanel({ form, setForm, result, onTrained, onError }) {
+  const submittedRef = useRef(null);
+  const trainingJob = useTrainingJob(onFinish);
+
+  function onFinish(job) {
+    if (job.status === "failed") {
+      onError(job.error || "Training failed");
+      return;
+    }
+    if (job.status === "completed") {
+      onTrained(job.result, submittedRef.current);
+    }
+  }
+
+  async function onSubmit(event) {
+    event.preventDefault();
+    onError("");
+
+    try {
+      submittedRef.current = { ...form };
+      await trainingJob.start(buildTrainPayload(form));
+    } catch (err) {
+      onError(errorMessage(err, "Training failed"));
+    }
+  }
+
+  async function onCancel() {
+    try {
+      await trainingJob.cancel();
+    } catch (err) {
+      onError(errorMessage(err, "Cancel failed"));
+    }
+  }
+
+  return (
+    <article className="panel reveal delay-2">
+      <div className="panel-head">
+        <h3>Model Training</h3>
+        <span className="pill">Train</span>
+      </div>
+
+      <form className="form" onSubmit={onSubmit}>
+        <div className="field-grid two-col">
+          <label>
+            <span>Ticker</span>
+            <input
+              value={form.ticker}
+              onChange={(e) => setForm((s) => ({ ...s, ticker: e.target.value.toUpperCase() }))}
+              list="symbol-options"
+              placeholder="RELIANCE or ^NSEI"
+              required
+            />
+          </label>
+
+          <label>
+            <span>Data Source</span>
+            <select value={form.data_source} onChange={(e) => setForm((s) => ({ ...s, data_source: e.target.value }))}>
+              {sourceOptions.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="field-grid two-col">
+          <label>
+            <span>Period</span>
+            <select value={form.period} onChange={(e) => setForm((s) => ({ ...s, period: e.target.value }))}>
+              {periodOptions.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            <span>Local Data Directory</span>
+            <input
+              value={form.local_data_dir}
+              onChange={(e) => setForm((s) => ({ ...s, local_data_dir: e.target.value }))}
+              placeholder="backend/data"
+            />
+          </label>
+        </div>
+
+        <div className="field-grid three-col">
+          <label>
+            <span>Input Length</span>
+            <input
+              type="number"
+              min="20"
+              max="512"
+              value={form.input_len}
+              onChange={(e) => setForm((s) => ({ ...s, input_len: e.target.value }))}
+            />
+          </label>
+
+          <label>
+            <span>Prediction Length</span>
+            <input
+              type="number"
+              min="1"
+              max="120"
+              value={form.pred_len}
+              onChange={(e) => setForm((s) => ({ ...s, pred_len: e.target.value }))}
+            />
+          </label>
+
+          <label>
+            <span>Epochs</span>
+            <input
+              type="number"
+              min="1"
+              max="500"
+              value={form.epochs}
+              onChange={(e) => setForm((s) => ({ ...s, epochs: e.target.value }))}
+            />
+          </label>
+        </div>
+
+        <div className="field-grid two-col">
+          <label>
+            <span>Batch Size</span>
+            <input
+              type="number"
+              min="8"
+              max="512"
+              value={form.batch_size}
+              onChange={(e) => setForm((s) => ({ ...s, batch_size: e.target.value }))}
+            />
+          </label>
+
+          <label>
+            <span>Learning Rate</span>
+            <input
+              type="number"
+              step="0.0001"
+              min="0.0001"
+              max="0.1"
+              value={form.learning_rate}
+              onChange={(e) => setForm((s) => ({ ...s, learning_rate: e.target.value }))}
+            />
+          </label>
+        </div>
+
+        <div className="action-row">
+          <button className="btn ghost" type="button" disabled={!trainingJob.running} onClick={onCancel}>
+            Cancel Job
+          </button>
+          <button className="btn primary" type="submit" disabled={trainingJob.running}>
+            {!trainingJob.running
+              ? "Train Model"
+              : trainingJob.job.status === "queued"
+                ? "Queued..."
+                : `Training ${trainingJob.lossHistory.length}/${trainingJob.job.epochs}...`}
+          </button>
+        </div>
+      </form>
+
+      {trainingJob.job && (
+        <div className="result-card">
+          <h4>
+            Training Job <span className={`status-tag ${trainingJob.job.status}`}>{trainingJob.job.status}</span>
+          </h4>
+          <p className="muted">
+            Epoch {trainingJob.lossHistory.length} of {trainingJob.job.epochs} for {trainingJob.job.ticker}
+          </p>
+          <LossChart data={trainingJob.lossHistory} />
+        </div>
+      )}
+
+      <div className="result-card">
+        <h4>Latest Training Snapshot</h4>
+        {!result ? (
+          <p className="muted">No training run yet.</p>
+        ) : (
+          <ul>
+            <li>Ticker: {result.ticker}</li>
+            <li>Source: {result.source}</li>
+            <li>Version: {versionLabel(result.version)}</li>
+            <li>Validation Loss: {result.val_loss.toFixed(6)}</li>
+            <li>Validation RMSE: {result.val_rmse.toFixed(6)}</li>
+            <li>Direction Accuracy: {formatPct(result.direction_accuracy * 100)}</li>
+          </ul>
+        )}
+      </div>
+    </article>
+  );
+}
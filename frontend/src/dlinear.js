@@ -0,0 +1,143 @@
+/**
+ * Browser port of backend/app/inference.py for exported DLinear weights
+ * (GET /api/artifacts/{ticker}/weights). Keep it in step with `iterative_forecast`,
+ * `_predict_from_*_model` and `LoadedModel.intervals` there.
+ */
+
+// Edge-padded moving average, as model.moving_avg does before AvgPool1d.
+function movingAverage(values, kernelSize) {
+  const pad = Math.floor((kernelSize - 1) / 2);
+  const padded = [...Array(pad).fill(values[0]), ...values, ...Array(pad).fill(values[values.length - 1])];
+  const out = [];
+  let sum = padded.slice(0, kernelSize).reduce((acc, value) => acc + value, 0);
+  for (let index = 0; index + kernelSize <= padded.length; index += 1) {
+    if (index > 0) {
+      sum += padded[index + kernelSize - 1] - padded[index - 1];
+    }
+    out.push(sum / kernelSize);
+  }
+  return out;
+}
+
+function linear(weight, bias, input) {
+  return weight.map((row, step) => row.reduce((acc, w, index) => acc + w * input[index], bias[step]));
+}
+
+/** One model pass: `input_len` z-scores in, `pred_len` z-scores out. */
+export function dlinearForward(model, window) {
+  const trend = movingAverage(window, model.kernel_size);
+  const seasonal = window.map((value, index) => value - trend[index]);
+  const trendOut = linear(model.trend_weight, model.trend_bias, trend);
+  const seasonalOut = linear(model.seasonal_weight, model.seasonal_bias, seasonal);
+  return trendOut.map((value, index) => value + seasonalOut[index]);
+}
+
+function iterativeForecast(model, window, horizon) {
+  const preds = [];
+  let rolling = [...window];
+  while (preds.length < horizon) {
+    const out = dlinearForward(model, rolling);
+    const chunk = out.slice(0, horizon - preds.length);
+    preds.push(...chunk);
+    rolling = [...rolling.slice(chunk.length), ...chunk].slice(-model.input_len);
+  }
+  return preds;
+}
+
+function logReturns(closes) {
+  return closes.slice(1).map((close, index) => Math.log(close / closes[index]));
+}
+
+function std(values) {
+  const mean = values.reduce((acc, value) => acc + value, 0) / values.length;
+  return Math.sqrt(values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / values.length);
+}
+
+/** Close points a forecast needs; shorter histories must go to the server. */
+export function requiredCloses(model) {
+  return model.transform === "log_return" ? model.input_len + 1 : model.input_len;
+}
+
+/** Forecast closes for `horizon` steps after the last entry of `closes`. */
+export function forecastCloses(model, closes, horizon) {
+  const needed = requiredCloses(model);
+  if (closes.length < needed) {
+    throw new Error(`Need at least ${needed} close points, got ${closes.length}.`);
+  }
+
+  if (model.transform === "log_return") {
+    if (closes.slice(-needed).some((close) => close <= 0)) {
+      throw new Error("Close prices must be positive for log-return transform.");
+    }
+    const window = logReturns(closes.slice(-needed)).map((value) => (value - model.mean) / model.std);
+    const predicted = iterativeForecast(model, window, horizon).map((value) => value * model.std + model.mean);
+    let level = closes[closes.length - 1];
+    return predicted.map((value) => {
+      level *= Math.exp(value);
+      return level;
+    });
+  }
+
+  const window = closes.slice(-needed).map((value) => (value - model.mean) / model.std);
+  return iterativeForecast(model, window, horizon).map((value) => value * model.std + model.mean);
+}
+
+/** `{ level: { lower, upper } }` bands plus the method name, matching `LoadedModel.intervals`. */
+export function forecastIntervals(model, closes, values) {
+  const window = closes.slice(-(model.input_len + 1));
+  let sigma;
+  let method;
+  if (model.val_rmse !== null && model.val_rmse !== undefined) {
+    sigma = model.val_rmse * model.std;
+    method = "validation_residuals";
+  } else {
+    const diffs =
+      model.transform === "log_return"
+        ? logReturns(window)
+        : window.slice(1).map((close, index) => close - window[index]);
+    sigma = std(diffs);
+    method = "historical_volatility";
+  }
+
+  const bands = {};
+  Object.entries(model.interval_z_scores).forEach(([level, z]) => {
+    const spreads = values.map((_, index) => z * sigma * Math.sqrt(index + 1));
+    bands[level] =
+      model.transform === "log_return"
+        ? {
+            lower: values.map((value, index) => value * Math.exp(-spreads[index])),
+            upper: values.map((value, index) => value * Math.exp(spreads[index])),
+          }
+        : {
+            lower: values.map((value, index) => value - spreads[index]),
+            upper: values.map((value, index) => value + spreads[index]),
+          };
+  });
+  return { bands, method };
+}
+
+/** Forecast points shaped like `/api/predict`'s `forecast` for the given future dates. */
+export function forecastPoints(model, closes, dates) {
+  const values = forecastCloses(model, closes, dates.length);
+  const { bands, method } = forecastIntervals(model, closes, values);
+  const points = dates.map((date, index) => {
+    const point = { date, value: values[index] };
+    Object.entries(bands).forEach(([level, band]) => {
+      point[`lower_${level}`] = band.lower[index];
+      point[`upper_${level}`] = band.upper[index];
+    });
+    return point;
+  });
+  return { points, method };
+}
+
+/** Largest per-step gap between a browser and a server forecast, in percent of the server value. */
+export function parityGapPct(localPoints, serverPoints) {
+  return serverPoints.reduce((worst, point, index) => {
+    const local = localPoints[index]?.value;
+    if (typeof local !== "number" || !point.value) {
+      return Infinity;
+    }
+    return Math.max(worst, (Math.abs(local - point.value) / Math.abs(point.value)) * 100);
+  }, 0);
+}
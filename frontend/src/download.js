@@ -0,0 +1,88 @@
+export function downloadBlob(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  rows.forEach((row) => lines.push(columns.map((column) => csvCell(row[column])).join(",")));
+  return `${lines.join("\n")}\n`;
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Lays the chart panes (e.g. candles over volume) out in one SVG, where they sit on screen.
+function serializeSvg(svgs) {
+  const panes = svgs.map((svg) => ({ svg, rect: svg.getBoundingClientRect() }));
+  const left = Math.min(...panes.map(({ rect }) => rect.left));
+  const top = Math.min(...panes.map(({ rect }) => rect.top));
+  const width = Math.max(...panes.map(({ rect }) => rect.right)) - left;
+  const height = Math.max(...panes.map(({ rect }) => rect.bottom)) - top;
+
+  const root = document.createElementNS(SVG_NS, "svg");
+  root.setAttribute("xmlns", SVG_NS);
+  root.setAttribute("width", width);
+  root.setAttribute("height", height);
+  panes.forEach(({ svg, rect }) => {
+    const clone = svg.cloneNode(true);
+    clone.setAttribute("x", rect.left - left);
+    clone.setAttribute("y", rect.top - top);
+    clone.setAttribute("width", rect.width);
+    clone.setAttribute("height", rect.height);
+    root.appendChild(clone);
+  });
+  return { markup: new XMLSerializer().serializeToString(root), width, height };
+}
+
+export function downloadSvg(filename, svgs) {
+  downloadBlob(filename, serializeSvg(svgs).markup, "image/svg+xml");
+}
+
+// Rasterises the chart panes on a white background at 2x for crisp research notes.
+export function downloadSvgAsPng(filename, svgs, scale = 2) {
+  const { markup, width, height } = serializeSvg(svgs);
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext("2d");
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error("Could not render chart image."));
+          return;
+        }
+        downloadBlob(filename, blob);
+        resolve();
+      }, "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render chart image."));
+    };
+    image.src = url;
+  });
+}
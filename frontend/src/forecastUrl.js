@@ -0,0 +1,84 @@
+export const initialTrain = {
+  ticker: "RELIANCE",
+  period: "5y",
+  input_len: 60,
+  pred_len: 5,
+  epochs: 30,
+  batch_size: 32,
+  learning_rate: 0.001,
+  data_source: "local",
+  local_data_dir: "",
+};
+
+export const initialPredict = {
+  ticker: "RELIANCE",
+  horizon: 10,
+  history_points: 90,
+  data_source: "local",
+  local_data_dir: "",
+  model_version: "",
+  compare_version: "",
+};
+
+// Query keys for each form field. Train fields are prefixed so they can differ
+// from the forecast form (e.g. a different data source) without colliding.
+const predictKeys = {
+  horizon: "horizon",
+  history_points: "history_points",
+  data_source: "data_source",
+  local_data_dir: "local_data_dir",
+  model_version: "model",
+  compare_version: "vs",
+};
+
+const trainKeys = {
+  ticker: "train_ticker",
+  period: "train_period",
+  input_len: "train_input_len",
+  pred_len: "train_pred_len",
+  epochs: "train_epochs",
+  batch_size: "train_batch_size",
+  learning_rate: "train_learning_rate",
+  data_source: "train_data_source",
+  local_data_dir: "train_local_data_dir",
+};
+
+function readFields(defaults, keys, searchParams) {
+  const form = { ...defaults };
+  Object.entries(keys).forEach(([field, key]) => {
+    const raw = searchParams.get(key);
+    if (raw === null) {
+      return;
+    }
+    form[field] = typeof defaults[field] === "number" ? Number(raw) || defaults[field] : raw;
+  });
+  return form;
+}
+
+function writeFields(form, defaults, keys, searchParams) {
+  Object.entries(keys).forEach(([field, key]) => {
+    const value = form[field];
+    if (value === "" || value === null || value === undefined || String(value) === String(defaults[field])) {
+      return;
+    }
+    searchParams.set(key, String(value));
+  });
+}
+
+export function formsFromUrl(ticker, searchParams) {
+  const symbol = (ticker || initialPredict.ticker).toUpperCase();
+  const predictForm = readFields({ ...initialPredict, ticker: symbol }, predictKeys, searchParams);
+  const trainForm = readFields({ ...initialTrain, ticker: symbol }, trainKeys, searchParams);
+  return { trainForm, predictForm };
+}
+
+export function forecastPath(trainForm, predictForm) {
+  const ticker = predictForm.ticker.trim().toUpperCase();
+  const searchParams = new URLSearchParams();
+  writeFields(predictForm, initialPredict, predictKeys, searchParams);
+  writeFields(trainForm, { ...initialTrain, ticker }, trainKeys, searchParams);
+
+  const query = searchParams.toString();
+  const path = ticker ? `/forecast/${encodeURIComponent(ticker)}` : "/forecast";
+  return query ? `${path}?${query}` : path;
+}
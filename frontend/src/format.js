@@ -0,0 +1,41 @@
+export function formatInr(value) {
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    return "--";
+  }
+  return new Intl.NumberFormat("en-IN", {
+    maximumFractionDigits: 2,
+    minimumFractionDigits: 2,
+  }).format(value);
+}
+
+export function formatPct(value) {
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    return "--";
+  }
+  return `${value.toFixed(2)}%`;
+}
+
+export function errorMessage(err, fallback) {
+  return err?.response?.data?.detail || err?.message || fallback;
+}
+
+// Mirrors normalize_indian_ticker on the backend so UI lookups match artifact tickers.
+export function normalizeTicker(raw) {
+  const ticker = raw.trim().toUpperCase();
+  if (!ticker || ticker.startsWith("^") || ticker.includes(".")) {
+    return ticker;
+  }
+  return `${ticker}.NS`;
+}
+
+export function versionLabel(version) {
+  return version ? `v${version}` : "legacy";
+}
+
+export function formatCachedAt(timestamp) {
+  return new Date(timestamp).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" });
+}
+
+export function artifactName(result) {
+  return result.model_artifact.split(/[\\/]/).at(-1);
+}
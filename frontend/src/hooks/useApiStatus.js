@@ -0,0 +1,12 @@
+import { useEffect, useState } from "react";
+
+import { subscribeApiStatus } from "../api";
+
+/** True while the last API call reached the backend; false after a network failure. */
+export default function useApiStatus() {
+  const [online, setOnline] = useState(true);
+
+  useEffect(() => subscribeApiStatus(setOnline), []);
+
+  return online;
+}
@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { getHistory, getModelWeights, isCancelled } from "../api";
+import { forecastPoints, parityGapPct, requiredCloses } from "../dlinear";
+import { artifactName, errorMessage, normalizeTicker } from "../format";
+import { nextTradingDays } from "../tradingCalendar";
+
+// Float32 on the server vs float64 here; anything beyond this means the JS port has drifted.
+const PARITY_TOLERANCE_PCT = 0.05;
+
+/**
+ * Browser copy of the model behind the last server forecast. `load` fetches the
+ * exported weights and checks the JS port against that forecast; once it is in
+ * parity, horizon edits in `predictForm` are answered locally and handed to
+ * `onForecast(forecast, compare)` instead of going back to the server.
+ */
+export default function useBrowserModel(predictForm, holidays, onForecast) {
+  // Exported weights plus the closes behind the last server forecast.
+  const [model, setModel] = useState(null);
+  const [parity, setParity] = useState(null);
+
+  const onForecastRef = useRef(onForecast);
+  onForecastRef.current = onForecast;
+
+  const reset = useCallback(() => {
+    setModel(null);
+    setParity(null);
+  }, []);
+
+  // A compare version is loaded and checked too, so local horizon changes move both lines together.
+  const load = useCallback(async (data, payload, signal, compared) => {
+    setModel(null);
+    setParity(null);
+    try {
+      const [weights, compareWeights] = await Promise.all([
+        getModelWeights(data.ticker, artifactName(data)),
+        compared ? getModelWeights(compared.ticker, artifactName(compared)) : null,
+      ]);
+      const needed = Math.max(requiredCloses(weights), compareWeights ? requiredCloses(compareWeights) : 0);
+      let history = data.history;
+      if (history.length < needed) {
+        history = (
+          await getHistory(
+            {
+              ticker: payload.ticker,
+              history_points: needed,
+              data_source: payload.data_source,
+              local_data_dir: payload.local_data_dir || undefined,
+            },
+            { signal }
+          )
+        ).history;
+      }
+      if (history.at(-1)?.date !== data.history.at(-1)?.date) {
+        throw new Error("History and forecast end on different dates.");
+      }
+      const closes = history.map((point) => point.value);
+      const dates = data.forecast.map((point) => point.date);
+      const { points } = forecastPoints(weights, closes, dates);
+      const comparePoints = compareWeights ? forecastPoints(compareWeights, closes, dates).points : null;
+      if (signal?.aborted) {
+        return;
+      }
+      const gapPct = Math.max(
+        parityGapPct(points, data.forecast),
+        comparePoints ? parityGapPct(comparePoints, compared.forecast) : 0
+      );
+      setParity({ gapPct, ok: gapPct <= PARITY_TOLERANCE_PCT });
+      setModel({
+        base: data,
+        weights,
+        closes,
+        compare: compareWeights ? { base: compared, weights: compareWeights } : null,
+      });
+    } catch (err) {
+      if (!isCancelled(err)) {
+        // Horizon changes simply keep going through the server.
+        setParity({ gapPct: null, ok: false, error: errorMessage(err, "Weight export failed") });
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    const horizon = Number(predictForm.horizon);
+    if (!model || !parity?.ok || !Number.isInteger(horizon) || horizon < 1 || horizon > 120) {
+      return;
+    }
+    const { base, weights, closes, compare } = model;
+    const sameModel =
+      normalizeTicker(predictForm.ticker) === base.ticker &&
+      (!predictForm.model_version || predictForm.model_version === weights.artifact) &&
+      (!compare || predictForm.compare_version === compare.weights.artifact);
+    if (!sameModel) {
+      return;
+    }
+    if (horizon === base.horizon) {
+      onForecastRef.current(base, compare ? compare.base : null);
+      return;
+    }
+    const dates = nextTradingDays(base.history.at(-1).date, horizon, holidays);
+    const { points, method } = forecastPoints(weights, closes, dates);
+    let compareForecast = null;
+    if (compare) {
+      const local = forecastPoints(compare.weights, closes, dates);
+      compareForecast = {
+        ...compare.base,
+        horizon,
+        interval_method: local.method,
+        forecast: local.points,
+        computed_in_browser: true,
+      };
+    }
+    onForecastRef.current(
+      { ...base, horizon, interval_method: method, forecast: points, computed_in_browser: true },
+      compareForecast
+    );
+  }, [
+    predictForm.horizon,
+    predictForm.ticker,
+    predictForm.model_version,
+    predictForm.compare_version,
+    model,
+    parity,
+    holidays,
+  ]);
+
+  return { parity, load, reset };
+}
@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+
+import { getHistory, isCancelled } from "../api";
+import { errorMessage } from "../format";
+
+/**
+ * OHLCV bars for the query the chart currently shows, fetched only while
+ * `enabled` (candles mode). `status` is "loading", "error" or "ready" so a
+ * failed fetch is not mistaken for one still in flight.
+ */
+export default function useOhlcvBars(chartQuery, enabled) {
+  const [bars, setBars] = useState([]);
+  const [status, setStatus] = useState("loading");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!enabled || !chartQuery) {
+      return undefined;
+    }
+    // Drop the previous query's bars so another ticker's candles never show under this one.
+    setBars([]);
+    setStatus("loading");
+    setError("");
+    const controller = new AbortController();
+    getHistory({ ...chartQuery, include_ohlcv: true }, { signal: controller.signal })
+      .then((data) => {
+        setBars(data.bars || []);
+        setStatus("ready");
+      })
+      .catch((err) => {
+        if (!isCancelled(err)) {
+          setError(errorMessage(err, "OHLCV fetch failed"));
+          setStatus("error");
+        }
+      });
+    return () => controller.abort();
+  }, [enabled, chartQuery]);
+
+  return { bars, status, error };
+}
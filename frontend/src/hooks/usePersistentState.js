@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useState backed by localStorage. Stored objects are shallow-merged over
+ * `initial` so newly added keys get their defaults.
+ */
+export default function usePersistentState(key, initial) {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      if (stored === null || stored === undefined) {
+        return initial;
+      }
+      return typeof initial === "object" && !Array.isArray(initial) ? { ...initial, ...stored } : stored;
+    } catch {
+      return initial;
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(key, JSON.stringify(value));
+  }, [key, value]);
+
+  return [value, setValue];
+}
@@ -0,0 +1,92 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { cancelTrainingJob, getTrainingJob, startTrainingJob, subscribeTrainingJob } from "../api";
+
+const POLL_INTERVAL_MS = 2000;
+
+export const terminalStatuses = ["completed", "failed", "cancelled"];
+
+/**
+ * Submits a background training job and follows it over SSE, falling back to
+ * polling when the event stream drops (e.g. behind a buffering proxy).
+ * `onFinish` receives the final job snapshot once it reaches a terminal status.
+ */
+export default function useTrainingJob(onFinish) {
+  const [job, setJob] = useState(null);
+  const [lossHistory, setLossHistory] = useState([]);
+
+  const unsubscribeRef = useRef(null);
+  const pollRef = useRef(null);
+  const onFinishRef = useRef(onFinish);
+  onFinishRef.current = onFinish;
+
+  const stopFollowing = useCallback(() => {
+    unsubscribeRef.current?.();
+    unsubscribeRef.current = null;
+    clearInterval(pollRef.current);
+    pollRef.current = null;
+  }, []);
+
+  useEffect(() => stopFollowing, [stopFollowing]);
+
+  const applySnapshot = useCallback(
+    (snapshot) => {
+      setJob(snapshot);
+      if (terminalStatuses.includes(snapshot.status)) {
+        stopFollowing();
+        onFinishRef.current?.(snapshot);
+      }
+    },
+    [stopFollowing]
+  );
+
+  const poll = useCallback(
+    (jobId) => {
+      pollRef.current = setInterval(async () => {
+        try {
+          const snapshot = await getTrainingJob(jobId);
+          setLossHistory(snapshot.history);
+          applySnapshot(snapshot);
+        } catch {
+          stopFollowing();
+        }
+      }, POLL_INTERVAL_MS);
+    },
+    [applySnapshot, stopFollowing]
+  );
+
+  const start = useCallback(
+    async (payload) => {
+      stopFollowing();
+      setLossHistory([]);
+
+      const snapshot = await startTrainingJob(payload);
+      setJob(snapshot);
+
+      unsubscribeRef.current = subscribeTrainingJob(snapshot.job_id, {
+        // A reconnecting stream can replay epochs already drawn.
+        onEpoch: (point) =>
+          setLossHistory((prev) => (prev.some((item) => item.epoch === point.epoch) ? prev : [...prev, point])),
+        onStatus: applySnapshot,
+        onError: () => {
+          unsubscribeRef.current = null;
+          poll(snapshot.job_id);
+        },
+      });
+      return snapshot;
+    },
+    [applySnapshot, poll, stopFollowing]
+  );
+
+  const cancel = useCallback(async () => {
+    if (!job) {
+      return;
+    }
+    const snapshot = await cancelTrainingJob(job.job_id);
+    setJob((prev) => ({ ...prev, status: snapshot.status }));
+  }, [job]);
+
+  const running = Boolean(job) && !terminalStatuses.includes(job.status);
+
+  return { job, lossHistory, running, start, cancel };
+}
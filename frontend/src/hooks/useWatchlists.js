@@ -0,0 +1,98 @@
+import { useCallback, useEffect, useState } from "react";
+
+const STORAGE_KEY = "kavout.watchlists";
+
+const defaultState = {
+  active: "",
+  lists: [],
+};
+
+function readStored() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (parsed && Array.isArray(parsed.lists)) {
+      return { active: parsed.active || "", lists: parsed.lists };
+    }
+  } catch {
+    // Corrupt storage falls through to an empty set of watchlists.
+  }
+  return defaultState;
+}
+
+function normalizeSymbols(symbols) {
+  return [...new Set(symbols.map((symbol) => String(symbol).trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Parses an exported watchlist file. Accepts `{ watchlists: [{ name, symbols }] }`
+ * or a bare array of the same entries; throws on anything else.
+ */
+export function parseWatchlistFile(text) {
+  const parsed = JSON.parse(text);
+  const entries = Array.isArray(parsed) ? parsed : parsed?.watchlists;
+  if (!Array.isArray(entries)) {
+    throw new Error("Expected a JSON file with a 'watchlists' array.");
+  }
+  return entries.map((entry) => {
+    if (!entry || typeof entry.name !== "string" || !Array.isArray(entry.symbols)) {
+      throw new Error("Each watchlist needs a 'name' and a 'symbols' array.");
+    }
+    return { name: entry.name.trim(), symbols: normalizeSymbols(entry.symbols) };
+  });
+}
+
+export default function useWatchlists() {
+  const [state, setState] = useState(readStored);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  }, [state]);
+
+  const setActive = useCallback((name) => setState((prev) => ({ ...prev, active: name })), []);
+
+  const saveList = useCallback((name, symbols) => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      return;
+    }
+    setState((prev) => {
+      const next = { name: trimmed, symbols: normalizeSymbols(symbols) };
+      const lists = prev.lists.some((list) => list.name === trimmed)
+        ? prev.lists.map((list) => (list.name === trimmed ? next : list))
+        : [...prev.lists, next];
+      return { active: prev.active || trimmed, lists };
+    });
+  }, []);
+
+  const removeList = useCallback((name) => {
+    setState((prev) => {
+      const lists = prev.lists.filter((list) => list.name !== name);
+      return { active: prev.active === name ? lists[0]?.name || "" : prev.active, lists };
+    });
+  }, []);
+
+  const importLists = useCallback((entries) => {
+    setState((prev) => {
+      const imported = new Map(entries.filter((entry) => entry.name).map((entry) => [entry.name, entry]));
+      const lists = [...prev.lists.filter((list) => !imported.has(list.name)), ...imported.values()];
+      return { active: prev.active || lists[0]?.name || "", lists };
+    });
+  }, []);
+
+  const exportJson = useCallback(
+    () => JSON.stringify({ version: 1, watchlists: state.lists }, null, 2),
+    [state.lists]
+  );
+
+  const activeList = state.lists.find((list) => list.name === state.active) || null;
+
+  return {
+    watchlists: state.lists,
+    activeList,
+    setActive,
+    saveList,
+    removeList,
+    importLists,
+    exportJson,
+  };
+}
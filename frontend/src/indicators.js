@@ -0,0 +1,176 @@
+// Classic technical indicators over a plain array of closes. Each function
+// returns an array aligned with the input, using null until enough points exist.
+
+export function sma(values, period) {
+  let sum = 0;
+  return values.map((value, index) => {
+    sum += value;
+    if (index >= period) {
+      sum -= values[index - period];
+    }
+    return index >= period - 1 ? sum / period : null;
+  });
+}
+
+export function ema(values, period) {
+  const alpha = 2 / (period + 1);
+  const seed = sma(values, period);
+  const out = new Array(values.length).fill(null);
+  for (let index = period - 1; index < values.length; index += 1) {
+    out[index] = index === period - 1 ? seed[index] : values[index] * alpha + out[index - 1] * (1 - alpha);
+  }
+  return out;
+}
+
+export function bollinger(values, period, width) {
+  const middle = sma(values, period);
+  return values.map((_, index) => {
+    if (middle[index] === null) {
+      return { middle: null, upper: null, lower: null };
+    }
+    const window = values.slice(index - period + 1, index + 1);
+    const variance = window.reduce((acc, value) => acc + (value - middle[index]) ** 2, 0) / period;
+    const spread = width * Math.sqrt(variance);
+    return { middle: middle[index], upper: middle[index] + spread, lower: middle[index] - spread };
+  });
+}
+
+// Wilder's RSI: smoothed average gains vs losses over `period` changes.
+export function rsi(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) {
+    return out;
+  }
+
+  let gain = 0;
+  let loss = 0;
+  for (let index = 1; index <= period; index += 1) {
+    const change = values[index] - values[index - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+  out[period] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+
+  for (let index = period + 1; index < values.length; index += 1) {
+    const change = values[index] - values[index - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    out[index] = loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+  }
+  return out;
+}
+
+export function macd(values, fast, slow, signal) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, index) =>
+    fastEma[index] === null || slowEma[index] === null ? null : fastEma[index] - slowEma[index]
+  );
+
+  const firstValid = line.findIndex((value) => value !== null);
+  const signalLine = new Array(values.length).fill(null);
+  if (firstValid !== -1) {
+    const tail = ema(line.slice(firstValid), signal);
+    tail.forEach((value, offset) => {
+      signalLine[firstValid + offset] = value;
+    });
+  }
+
+  return values.map((_, index) => ({
+    macd: line[index],
+    signal: signalLine[index],
+    histogram: line[index] === null || signalLine[index] === null ? null : line[index] - signalLine[index],
+  }));
+}
+
+export const defaultIndicatorSettings = {
+  smaOn: false,
+  smaPeriod: 20,
+  emaOn: false,
+  emaPeriod: 50,
+  bollingerOn: false,
+  bollingerPeriod: 20,
+  bollingerWidth: 2,
+  rsiOn: false,
+  rsiPeriod: 14,
+  macdOn: false,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+};
+
+// Smallest accepted value per numeric setting; every key except the Bollinger width is a whole-number period.
+export const indicatorMinimums = {
+  smaPeriod: 2,
+  emaPeriod: 2,
+  bollingerPeriod: 2,
+  bollingerWidth: 0.5,
+  rsiPeriod: 2,
+  macdFast: 2,
+  macdSlow: 3,
+  macdSignal: 2,
+};
+
+// Inputs keep the raw text while it is edited; returns the number, or null while the text is
+// empty, fractional or below the minimum (a period of 0 or 1.5 would chart Infinity/NaN).
+// MACD periods are also null while fast >= slow, which would chart an inverted or all-zero line.
+export function indicatorInput(settings, key) {
+  const raw = settings[key];
+  const value = Number(raw);
+  if (raw === "" || !Number.isFinite(value) || value < indicatorMinimums[key]) {
+    return null;
+  }
+  if (key !== "bollingerWidth" && !Number.isInteger(value)) {
+    return null;
+  }
+  const { macdFast, macdSlow } = settings;
+  const macdPeriod = key === "macdFast" || key === "macdSlow";
+  if (macdPeriod && macdFast !== "" && macdSlow !== "" && Number(macdFast) >= Number(macdSlow)) {
+    return null;
+  }
+  return value;
+}
+
+// Adds indicator fields to chart rows, computed over the rows that carry a
+// `history` value; forecast-only rows are left untouched. An indicator with an
+// invalid input is skipped until the input is fixed.
+export function applyIndicators(rows, settings) {
+  const historyIndexes = rows
+    .map((row, index) => (typeof row.history === "number" ? index : -1))
+    .filter((index) => index >= 0);
+  const closes = historyIndexes.map((index) => rows[index].history);
+  const out = rows.map((row) => ({ ...row }));
+
+  const assign = (key, values) => {
+    values.forEach((value, offset) => {
+      out[historyIndexes[offset]][key] = value;
+    });
+  };
+
+  const input = (key) => indicatorInput(settings, key);
+  const ready = (...keys) => keys.every((key) => input(key) !== null);
+
+  if (settings.smaOn && ready("smaPeriod")) {
+    assign("sma", sma(closes, input("smaPeriod")));
+  }
+  if (settings.emaOn && ready("emaPeriod")) {
+    assign("ema", ema(closes, input("emaPeriod")));
+  }
+  if (settings.bollingerOn && ready("bollingerPeriod", "bollingerWidth")) {
+    const bands = bollinger(closes, input("bollingerPeriod"), input("bollingerWidth"));
+    assign("bollinger", bands.map((band) => (band.middle === null ? null : [band.lower, band.upper])));
+    assign("bollinger_mid", bands.map((band) => band.middle));
+  }
+  if (settings.rsiOn && ready("rsiPeriod")) {
+    assign("rsi", rsi(closes, input("rsiPeriod")));
+  }
+  if (settings.macdOn && ready("macdFast", "macdSlow", "macdSignal")) {
+    const values = macd(closes, input("macdFast"), input("macdSlow"), input("macdSignal"));
+    assign("macd", values.map((value) => value.macd));
+    assign("macd_signal", values.map((value) => value.signal));
+    assign("macd_hist", values.map((value) => value.histogram));
+  }
+  return out;
+}
@@ -0,0 +1,305 @@
+import { useMemo, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { runBacktest } from "../api";
+import PageHeader from "../components/PageHeader";
+import { errorMessage, formatInr, formatPct } from "../format";
+
+const sourceOptions = ["local", "auto", "yfinance"];
+
+export default function BacktestPage() {
+  const { ticker: routeTicker } = useParams();
+  const navigate = useNavigate();
+
+  const [form, setForm] = useState({
+    ticker: (routeTicker || "RELIANCE").toUpperCase(),
+    horizon: 10,
+    step: 10,
+    windows: 20,
+    data_source: "local",
+  });
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function onSubmit(event) {
+    event.preventDefault();
+    setError("");
+    setLoading(true);
+    navigate(`/backtest/${encodeURIComponent(form.ticker)}`, { replace: true });
+
+    try {
+      const data = await runBacktest({
+        ...form,
+        horizon: Number(form.horizon),
+        step: Number(form.step),
+        windows: Number(form.windows),
+      });
+      setResult(data);
+    } catch (err) {
+      setError(errorMessage(err, "Backtest failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const chartData = useMemo(() => {
+    if (!result) {
+      return [];
+    }
+    const rows = new Map(result.actual.map((point) => [point.date, { date: point.date, actual: point.value }]));
+    result.paths.forEach((path, index) => {
+      // Anchor each path on its cut-off close so the fan starts on the actual line.
+      const anchor = rows.get(path.cutoff_date);
+      if (anchor) {
+        anchor[`path_${index}`] = path.cutoff_close;
+      }
+      path.forecast.forEach((point) => {
+        const row = rows.get(point.date) || { date: point.date };
+        row[`path_${index}`] = point.value;
+        rows.set(point.date, row);
+      });
+    });
+    return [...rows.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }, [result]);
+
+  const kpis = result
+    ? [
+        {
+          title: "Windows",
+          value: `${result.windows}`,
+          note: `Every ${result.step} bars, ${result.in_sample_windows} in-sample`,
+          tone: result.in_sample_windows > 0 ? "amber" : "blue",
+        },
+        { title: "MAPE", value: formatPct(result.mape), note: `MAE Rs ${formatInr(result.mae)}`, tone: "slate" },
+        { title: "Hit Rate", value: formatPct(result.hit_rate * 100), note: "Direction vs cut-off close", tone: "teal" },
+        {
+          title: "Long/Flat Return",
+          value: formatPct(result.strategy_return * 100),
+          note: `Buy & hold ${formatPct(result.buy_hold_return * 100)}`,
+          tone: result.strategy_return >= result.buy_hold_return ? "green" : "amber",
+        },
+      ]
+    : [];
+
+  return (
+    <>
+      <PageHeader
+        title="Walk-Forward Backtest"
+        subtitle="Replay the saved model at rolling cut-offs and compare its paths with realised closes."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Ticker</span>
+          <span className="meta-value">{form.ticker}</span>
+        </div>
+      </PageHeader>
+
+      {kpis.length > 0 && (
+        <section className="kpi-grid reveal delay-3">
+          {kpis.map((kpi) => (
+            <article key={kpi.title} className={`kpi-card ${kpi.tone}`}>
+              <p className="kpi-title">{kpi.title}</p>
+              <p className="kpi-value">{kpi.value}</p>
+              <p className="kpi-note">{kpi.note}</p>
+            </article>
+          ))}
+        </section>
+      )}
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      {result?.warnings.map((warning) => (
+        <div key={warning} className="alert reveal delay-2">
+          <strong>In-Sample Windows</strong>
+          <span>{warning}</span>
+        </div>
+      ))}
+
+      <section className="panel reveal delay-2">
+        <div className="panel-head">
+          <h3>Backtest Settings</h3>
+          <span className="pill">Replay</span>
+        </div>
+
+        <form className="form" onSubmit={onSubmit}>
+          <div className="field-grid three-col">
+            <label>
+              <span>Ticker</span>
+              <input
+                value={form.ticker}
+                onChange={(e) => setForm((s) => ({ ...s, ticker: e.target.value.toUpperCase() }))}
+                list="symbol-options"
+                required
+              />
+            </label>
+
+            <label>
+              <span>Data Source</span>
+              <select value={form.data_source} onChange={(e) => setForm((s) => ({ ...s, data_source: e.target.value }))}>
+                {sourceOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              <span>Horizon (Days)</span>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={form.horizon}
+                onChange={(e) => setForm((s) => ({ ...s, horizon: e.target.value }))}
+              />
+            </label>
+          </div>
+
+          <div className="field-grid two-col">
+            <label>
+              <span>Step Between Cut-offs</span>
+              <input
+                type="number"
+                min="1"
+                max="250"
+                value={form.step}
+                onChange={(e) => setForm((s) => ({ ...s, step: e.target.value }))}
+              />
+            </label>
+
+            <label>
+              <span>Windows</span>
+              <input
+                type="number"
+                min="1"
+                max="200"
+                value={form.windows}
+                onChange={(e) => setForm((s) => ({ ...s, windows: e.target.value }))}
+              />
+            </label>
+          </div>
+
+          <button className="btn primary" type="submit" disabled={loading}>
+            {loading ? "Replaying model..." : "Run Backtest"}
+          </button>
+        </form>
+      </section>
+
+      <section className="panel chart-panel reveal delay-3">
+        <div className="panel-head">
+          <h3>Forecast Paths vs Actual</h3>
+          <span className="muted">Each path starts at a cut-off close; grey dashed paths overlap the training data</span>
+        </div>
+
+        {chartData.length === 0 ? (
+          <div className="empty">Run a backtest to replay the saved model.</div>
+        ) : (
+          <div className="chart-wrap">
+            <ResponsiveContainer width="100%" height={390}>
+              <LineChart data={chartData} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+                <XAxis dataKey="date" minTickGap={24} />
+                <YAxis width={84} domain={["auto", "auto"]} tickFormatter={(value) => `Rs ${Math.round(value)}`} />
+                <Tooltip
+                  formatter={(value, name) => [`Rs ${formatInr(Number(value))}`, name]}
+                  labelStyle={{ color: "#0f1f2e", fontWeight: 700 }}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="actual"
+                  name="Actual"
+                  stroke="#0f7aed"
+                  dot={false}
+                  strokeWidth={2.5}
+                  isAnimationActive={false}
+                />
+                {result.paths.map((path, index) => (
+                  <Line
+                    key={path.cutoff_date}
+                    type="monotone"
+                    dataKey={`path_${index}`}
+                    name={`From ${path.cutoff_date}${path.in_sample ? " (in-sample)" : ""}`}
+                    stroke={path.in_sample ? "#60788f" : "#ef9b0f"}
+                    strokeDasharray={path.in_sample ? "4 3" : undefined}
+                    strokeOpacity={0.75}
+                    dot={false}
+                    strokeWidth={1.5}
+                    legendType="none"
+                    isAnimationActive={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </section>
+
+      {result && (
+        <section className="panel-grid">
+          <article className="panel reveal delay-3">
+            <div className="panel-head">
+              <h3>Strategy Equity</h3>
+              <span className="muted">Long when the forecast ends above the cut-off close</span>
+            </div>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={result.equity} margin={{ top: 10, right: 16, left: 0, bottom: 4 }}>
+                <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+                <XAxis dataKey="date" minTickGap={24} />
+                <YAxis width={56} domain={["auto", "auto"]} tickFormatter={(value) => Number(value).toFixed(2)} />
+                <Tooltip formatter={(value, name) => [Number(value).toFixed(4), name]} />
+                <Legend />
+                <Line type="stepAfter" dataKey="strategy" name="Long/Flat" stroke="#10b39d" dot={false} strokeWidth={2} />
+                <Line type="stepAfter" dataKey="buy_hold" name="Buy & Hold" stroke="#60788f" dot={false} strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </article>
+
+          <article className="panel table-panel reveal delay-4">
+            <div className="panel-head">
+              <h3>Per-Horizon Error</h3>
+              <span className="muted">Across {result.windows} cut-offs</span>
+            </div>
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Step</th>
+                    <th>MAE (Rs)</th>
+                    <th>MAPE</th>
+                    <th>Hit Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.horizon_metrics.map((row) => (
+                    <tr key={row.step}>
+                      <td>{row.step}</td>
+                      <td>{formatInr(row.mae)}</td>
+                      <td>{formatPct(row.mape)}</td>
+                      <td className={row.hit_rate >= 0.5 ? "positive" : "negative"}>{formatPct(row.hit_rate * 100)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </article>
+        </section>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,329 @@
+import { useMemo, useState } from "react";
+import { useOutletContext, useSearchParams } from "react-router-dom";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { getHistory, predictStock } from "../api";
+import PageHeader from "../components/PageHeader";
+import { errorMessage, formatInr, formatPct } from "../format";
+
+const sourceOptions = ["local", "auto", "yfinance"];
+const palette = ["#0f7aed", "#ef9b0f", "#10b39d", "#d34545", "#7a5af8", "#60788f", "#e05fa8", "#2f9e44"];
+const defaultTickers = ["AXISBANK", "PNB", "BANKBARODA", "FEDERALBNK"];
+
+function parseTickers(raw) {
+  return [...new Set(raw.split(/[\s,]+/).map((item) => item.trim().toUpperCase()).filter(Boolean))];
+}
+
+async function loadSeries(ticker, form) {
+  const params = {
+    ticker,
+    history_points: Number(form.history_points),
+    data_source: form.data_source,
+  };
+  try {
+    const data = await predictStock({ ...params, horizon: Number(form.horizon) });
+    return { ticker, history: data.history, forecast: data.forecast, lastClose: data.last_close, note: "" };
+  } catch (err) {
+    // No trained model yet: still show the history so the overlay is useful.
+    const data = await getHistory(params);
+    return {
+      ticker,
+      history: data.history,
+      forecast: [],
+      lastClose: data.history.at(-1)?.value,
+      note: errorMessage(err, "No forecast"),
+    };
+  }
+}
+
+function rebase(series) {
+  // A symbol with no history has nothing to rebase and would leave the common start undefined.
+  const charted = series.filter((item) => item.history.length > 0);
+  if (charted.length === 0) {
+    return { rows: [], startDate: null };
+  }
+
+  // Common start: the latest first-date so every symbol has a value to rebase on.
+  const startDate = charted.map((item) => item.history[0].date).sort().at(-1);
+  const rows = new Map();
+
+  charted.forEach((item) => {
+    const base = item.history.find((point) => point.date >= startDate)?.value;
+    if (!base) {
+      return;
+    }
+    const put = (date, key, value) => {
+      const row = rows.get(date) || { date };
+      row[key] = (value / base) * 100;
+      rows.set(date, row);
+    };
+    item.history.filter((point) => point.date >= startDate).forEach((point) => put(point.date, item.ticker, point.value));
+    if (item.forecast.length > 0) {
+      // Repeat the last close so the dashed forecast joins the history line.
+      put(item.history.at(-1).date, `${item.ticker}_fc`, item.lastClose);
+      item.forecast.forEach((point) => put(point.date, `${item.ticker}_fc`, point.value));
+    }
+  });
+
+  return { rows: [...rows.values()].sort((a, b) => a.date.localeCompare(b.date)), startDate };
+}
+
+export default function ComparePage() {
+  const { symbols } = useOutletContext();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [form, setForm] = useState({
+    tickers: searchParams.get("tickers") || defaultTickers.join(", "),
+    horizon: Number(searchParams.get("horizon")) || 10,
+    history_points: Number(searchParams.get("history_points")) || 120,
+    data_source: searchParams.get("data_source") || "local",
+  });
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function onSubmit(event) {
+    event.preventDefault();
+    const tickers = parseTickers(form.tickers);
+    if (tickers.length === 0) {
+      setError("Enter at least one ticker.");
+      return;
+    }
+
+    setError("");
+    setLoading(true);
+    setSearchParams(
+      {
+        tickers: tickers.join(","),
+        horizon: String(form.horizon),
+        history_points: String(form.history_points),
+        data_source: form.data_source,
+      },
+      { replace: true }
+    );
+
+    const settled = await Promise.allSettled(tickers.map((ticker) => loadSeries(ticker, form)));
+    const loaded = settled.filter((item) => item.status === "fulfilled").map((item) => item.value);
+    const failed = settled
+      .map((item, index) => (item.status === "rejected" ? tickers[index] : null))
+      .filter(Boolean);
+
+    setSeries(loaded);
+    if (failed.length > 0) {
+      setError(`No data for ${failed.join(", ")}.`);
+    }
+    setLoading(false);
+  }
+
+  const { rows: chartData, startDate } = useMemo(() => rebase(series), [series]);
+  const forecastStartDate = series.find((item) => item.forecast.length > 0)?.history.at(-1)?.date;
+
+  const ranking = useMemo(
+    () =>
+      series
+        .map((item) => {
+          const end = item.forecast.at(-1)?.value;
+          return {
+            ticker: item.ticker,
+            lastClose: item.lastClose,
+            forecastEnd: end,
+            change: typeof end === "number" && item.lastClose ? ((end - item.lastClose) / item.lastClose) * 100 : null,
+            note: item.note,
+          };
+        })
+        .sort((a, b) => (b.change ?? -Infinity) - (a.change ?? -Infinity)),
+    [series]
+  );
+
+  function addSymbol(symbol) {
+    setForm((prev) => ({ ...prev, tickers: parseTickers(`${prev.tickers},${symbol}`).join(", ") }));
+  }
+
+  return (
+    <>
+      <PageHeader
+        title="Multi-Ticker Comparison"
+        subtitle="Overlay several symbols rebased to 100 and rank their projected moves."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Symbols</span>
+          <span className="meta-value">{series.length}</span>
+        </div>
+      </PageHeader>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel reveal delay-2">
+        <div className="panel-head">
+          <h3>Comparison Set</h3>
+          <span className="pill alt">Compare</span>
+        </div>
+
+        <form className="form" onSubmit={onSubmit}>
+          <label>
+            <span>Tickers (comma separated)</span>
+            <input
+              value={form.tickers}
+              onChange={(e) => setForm((s) => ({ ...s, tickers: e.target.value.toUpperCase() }))}
+              placeholder="AXISBANK, PNB, BANKBARODA"
+              required
+            />
+          </label>
+
+          <div className="field-grid three-col">
+            <label>
+              <span>Horizon (Days)</span>
+              <input
+                type="number"
+                min="1"
+                max="120"
+                value={form.horizon}
+                onChange={(e) => setForm((s) => ({ ...s, horizon: e.target.value }))}
+              />
+            </label>
+
+            <label>
+              <span>History Points</span>
+              <input
+                type="number"
+                min="20"
+                max="500"
+                value={form.history_points}
+                onChange={(e) => setForm((s) => ({ ...s, history_points: e.target.value }))}
+              />
+            </label>
+
+            <label>
+              <span>Data Source</span>
+              <select value={form.data_source} onChange={(e) => setForm((s) => ({ ...s, data_source: e.target.value }))}>
+                {sourceOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="preset-row">
+            {symbols.slice(0, 24).map((symbol) => (
+              <button key={symbol} type="button" className="preset" onClick={() => addSymbol(symbol)}>
+                + {symbol}
+              </button>
+            ))}
+          </div>
+
+          <button className="btn primary" type="submit" disabled={loading}>
+            {loading ? "Loading symbols..." : "Compare"}
+          </button>
+        </form>
+      </section>
+
+      <section className="panel chart-panel reveal delay-3">
+        <div className="panel-head">
+          <h3>Rebased Performance</h3>
+          <span className="muted">{startDate ? `100 = close on ${startDate}` : "Solid history, dashed forecast"}</span>
+        </div>
+
+        {chartData.length === 0 ? (
+          <div className="empty">Choose symbols and run the comparison.</div>
+        ) : (
+          <div className="chart-wrap">
+            <ResponsiveContainer width="100%" height={390}>
+              <LineChart data={chartData} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+                <XAxis dataKey="date" minTickGap={24} />
+                <YAxis width={56} domain={["auto", "auto"]} tickFormatter={(value) => Number(value).toFixed(0)} />
+                <Tooltip formatter={(value, name) => [Number(value).toFixed(2), name]} />
+                <Legend />
+                <ReferenceLine y={100} stroke="#60788f" strokeDasharray="3 3" />
+                {forecastStartDate && <ReferenceLine x={forecastStartDate} stroke="#60788f" strokeDasharray="3 3" />}
+                {series.map((item, index) => (
+                  <Line
+                    key={item.ticker}
+                    type="monotone"
+                    dataKey={item.ticker}
+                    name={item.ticker}
+                    stroke={palette[index % palette.length]}
+                    dot={false}
+                    strokeWidth={2}
+                    isAnimationActive={false}
+                  />
+                ))}
+                {series
+                  .filter((item) => item.forecast.length > 0)
+                  .map((item) => (
+                    <Line
+                      key={`${item.ticker}_fc`}
+                      type="monotone"
+                      dataKey={`${item.ticker}_fc`}
+                      name={`${item.ticker} forecast`}
+                      stroke={palette[series.indexOf(item) % palette.length]}
+                      strokeDasharray="6 4"
+                      dot={false}
+                      strokeWidth={2}
+                      legendType="none"
+                      isAnimationActive={false}
+                    />
+                  ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </section>
+
+      <section className="panel table-panel reveal delay-4">
+        <div className="panel-head">
+          <h3>Projected Change Ranking</h3>
+          <span className="muted">End of horizon vs last close</span>
+        </div>
+
+        {ranking.length === 0 ? (
+          <div className="empty">Run the comparison to rank symbols.</div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Rank</th>
+                  <th>Ticker</th>
+                  <th>Last Close (Rs)</th>
+                  <th>Forecast End (Rs)</th>
+                  <th>Projected Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ranking.map((row, index) => (
+                  <tr key={row.ticker}>
+                    <td>{index + 1}</td>
+                    <td>{row.ticker}</td>
+                    <td>{formatInr(row.lastClose)}</td>
+                    <td title={row.note}>{row.note ? "No model" : formatInr(row.forecastEnd)}</td>
+                    <td className={row.change === null ? "" : row.change >= 0 ? "positive" : "negative"}>
+                      {row.change === null ? "--" : `${row.change >= 0 ? "+" : ""}${formatPct(row.change)}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,515 @@
+import { useEffect, useMemo, useState } from "react";
+import { useOutletContext, useSearchParams } from "react-router-dom";
+import { CartesianGrid, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+
+import { getCorrelation, getPairCorrelation, getSymbolMetadata } from "../api";
+import PageHeader from "../components/PageHeader";
+import { errorMessage, formatPct } from "../format";
+
+const sourceOptions = ["local", "auto"];
+const windowPresets = [20, 60, 120, 250];
+const thresholdPresets = [0.5, 0.7, 0.85];
+const gapPresets = [0.5, 1, 2];
+const defaultTickers = ["AXISBANK", "HDFCBANK", "ICICIBANK", "KOTAKBANK", "SBIN", "PNB", "BANKBARODA", "INFY", "TCS", "WIPRO"];
+const PAIR_LOOKBACK = 500;
+const TOP_PAIRS = 10;
+
+function parseTickers(raw) {
+  return [...new Set(raw.split(/[\s,]+/).map((item) => item.trim().toUpperCase()).filter(Boolean))];
+}
+
+function signed(value) {
+  return value === null || value === undefined ? "--" : `${value >= 0 ? "+" : ""}${formatPct(value)}`;
+}
+
+// Blue for moving together, red for moving apart; the diagonal is always solid blue.
+function corrColor(value) {
+  const alpha = 0.08 + 0.92 * Math.min(Math.abs(value), 1);
+  return value >= 0 ? `rgba(15, 122, 237, ${alpha.toFixed(3)})` : `rgba(196, 69, 69, ${alpha.toFixed(3)})`;
+}
+
+function pairKey(a, b) {
+  return [a, b].sort().join("|");
+}
+
+function rankPairs(result, threshold, minGap) {
+  if (!result) {
+    return { top: [], disagreements: [] };
+  }
+  const pairs = [];
+  result.symbols.forEach((a, i) => {
+    result.symbols.slice(i + 1).forEach((b, offset) => {
+      const j = i + 1 + offset;
+      const moveA = result.forecast_change_pct[i];
+      const moveB = result.forecast_change_pct[j];
+      const forecasted = moveA !== null && moveB !== null;
+      pairs.push({
+        a,
+        b,
+        corr: result.matrix[i][j],
+        moveA,
+        moveB,
+        gap: forecasted ? Math.abs(moveA - moveB) : null,
+        // Opposite directions only; a small gap around zero is noise, not a disagreement.
+        disagree: forecasted && (moveA >= 0) !== (moveB >= 0) && Math.abs(moveA - moveB) >= minGap,
+      });
+    });
+  });
+
+  const correlated = pairs.filter((pair) => pair.corr >= threshold);
+  return {
+    top: [...pairs].sort((x, y) => y.corr - x.corr).slice(0, TOP_PAIRS),
+    disagreements: correlated.filter((pair) => pair.disagree).sort((x, y) => y.corr * y.gap - x.corr * x.gap),
+  };
+}
+
+export default function CorrelationPage() {
+  const { symbols, watchlists } = useOutletContext();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [form, setForm] = useState({
+    tickers: searchParams.get("tickers") || defaultTickers.join(", "),
+    window: Number(searchParams.get("window")) || 60,
+    horizon: Number(searchParams.get("horizon")) || 10,
+    data_source: searchParams.get("data_source") || "local",
+  });
+  const [threshold, setThreshold] = useState(0.7);
+  const [minGap, setMinGap] = useState(1);
+  const [metadata, setMetadata] = useState(null);
+  const [result, setResult] = useState(null);
+  const [pair, setPair] = useState(null);
+  const [pairSeries, setPairSeries] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pairLoading, setPairLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    getSymbolMetadata()
+      .then(setMetadata)
+      .catch(() => setMetadata(null));
+  }, []);
+
+  useEffect(() => {
+    if (!pair || !result) {
+      setPairSeries(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setPairLoading(true);
+    getPairCorrelation({ a: pair.a, b: pair.b, window: result.window, lookback: PAIR_LOOKBACK })
+      .then((data) => !cancelled && setPairSeries(data))
+      .catch((err) => !cancelled && setError(errorMessage(err, "Pair correlation failed")))
+      .finally(() => !cancelled && setPairLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [pair?.a, pair?.b, result?.window]);
+
+  async function runCorrelation({ fresh = false } = {}) {
+    const tickers = parseTickers(form.tickers);
+    if (tickers.length < 2) {
+      setError("Enter at least two tickers.");
+      return;
+    }
+
+    setError("");
+    setLoading(true);
+    setSearchParams(
+      {
+        tickers: tickers.join(","),
+        window: String(form.window),
+        horizon: String(form.horizon),
+        data_source: form.data_source,
+      },
+      { replace: true }
+    );
+    try {
+      const data = await getCorrelation(
+        {
+          symbols: tickers,
+          window: Number(form.window),
+          horizon: Number(form.horizon),
+          data_source: form.data_source,
+        },
+        { fresh }
+      );
+      setResult(data);
+      setPair((current) =>
+        current && data.symbols.includes(current.a) && data.symbols.includes(current.b) ? current : null
+      );
+    } catch (err) {
+      setError(errorMessage(err, "Correlation failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function onSubmit(event) {
+    event.preventDefault();
+    runCorrelation();
+  }
+
+  function selectPair(a, b) {
+    if (a !== b) {
+      setPair({ a, b });
+    }
+  }
+
+  const { top, disagreements } = useMemo(() => rankPairs(result, threshold, minGap), [result, threshold, minGap]);
+  const disagreeing = useMemo(() => new Set(disagreements.map((item) => pairKey(item.a, item.b))), [disagreements]);
+  const clusterCount = result ? new Set(result.clusters).size : 0;
+  const size = result?.symbols.length || 0;
+  const selectedCorr =
+    pair && result ? result.matrix[result.symbols.indexOf(pair.a)]?.[result.symbols.indexOf(pair.b)] : null;
+
+  const groups = [
+    { label: "All symbols", tickers: symbols },
+    ...watchlists.watchlists.map((list) => ({ label: list.name, tickers: list.symbols })),
+    ...(metadata?.sectors || []).map((sector) => ({
+      label: sector,
+      tickers: metadata.symbols.filter((entry) => entry.sector === sector).map((entry) => entry.symbol),
+    })),
+  ].filter((group) => group.tickers.length >= 2);
+
+  const kpis = [
+    {
+      title: "Symbols",
+      value: result ? size : "--",
+      note: result ? `${clusterCount} clusters at correlation ≥ 0.5` : "Clustered by co-movement",
+      tone: "blue",
+    },
+    {
+      title: "Window",
+      value: result ? `${result.window} sessions` : "--",
+      note: result ? `${result.start} to ${result.end}` : "Common trading days",
+      tone: "slate",
+    },
+    {
+      title: "Most Correlated",
+      value: top[0] ? `${top[0].a} / ${top[0].b}` : "--",
+      note: top[0] ? `ρ = ${top[0].corr.toFixed(2)}` : "--",
+      tone: "teal",
+    },
+    {
+      title: "Disagreements",
+      value: result ? disagreements.length : "--",
+      note: `Pairs with ρ ≥ ${threshold} forecast in opposite directions`,
+      tone: disagreements.length > 0 ? "amber" : "green",
+    },
+  ];
+
+  return (
+    <>
+      <PageHeader
+        title="Correlations"
+        subtitle="Which names move together, and where their forecasts part ways."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Horizon</span>
+          <span className="meta-value">{result ? `${result.horizon}D` : "--"}</span>
+        </div>
+      </PageHeader>
+
+      <section className="kpi-grid reveal delay-3">
+        {kpis.map((kpi) => (
+          <article key={kpi.title} className={`kpi-card ${kpi.tone}`}>
+            <p className="kpi-title">{kpi.title}</p>
+            <p className="kpi-value">{kpi.value}</p>
+            <p className="kpi-note">{kpi.note}</p>
+          </article>
+        ))}
+      </section>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel reveal delay-2">
+        <div className="panel-head">
+          <h3>Universe</h3>
+          <span className="pill alt">Daily log returns</span>
+        </div>
+
+        <form className="form" onSubmit={onSubmit}>
+          <label>
+            <span>Tickers (comma separated)</span>
+            <input
+              value={form.tickers}
+              onChange={(e) => setForm((s) => ({ ...s, tickers: e.target.value.toUpperCase() }))}
+              placeholder="AXISBANK, HDFCBANK, INFY, TCS"
+              required
+            />
+          </label>
+
+          <div className="preset-row">
+            {groups.map((group) => (
+              <button
+                key={group.label}
+                type="button"
+                className="preset"
+                onClick={() => setForm((s) => ({ ...s, tickers: group.tickers.join(", ") }))}
+              >
+                {group.label} ({group.tickers.length})
+              </button>
+            ))}
+          </div>
+
+          <div className="field-grid three-col">
+            <label>
+              <span>Window (Sessions)</span>
+              <input
+                type="number"
+                min="20"
+                max="500"
+                value={form.window}
+                onChange={(e) => setForm((s) => ({ ...s, window: e.target.value }))}
+              />
+            </label>
+
+            <label>
+              <span>Horizon (Days)</span>
+              <input
+                type="number"
+                min="1"
+                max="120"
+                value={form.horizon}
+                onChange={(e) => setForm((s) => ({ ...s, horizon: e.target.value }))}
+              />
+            </label>
+
+            <label>
+              <span>Forecast Source</span>
+              <select value={form.data_source} onChange={(e) => setForm((s) => ({ ...s, data_source: e.target.value }))}>
+                {sourceOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="preset-row">
+            {windowPresets.map((preset) => (
+              <button
+                key={preset}
+                type="button"
+                className={`preset ${Number(form.window) === preset ? "active" : ""}`}
+                onClick={() => setForm((s) => ({ ...s, window: preset }))}
+              >
+                {preset} sessions
+              </button>
+            ))}
+          </div>
+
+          <div className="action-row">
+            <button className="btn ghost" type="button" disabled={loading} onClick={() => runCorrelation({ fresh: true })}>
+              Refresh
+            </button>
+            <button className="btn primary" type="submit" disabled={loading}>
+              {loading ? "Computing..." : "Compute Correlations"}
+            </button>
+          </div>
+        </form>
+      </section>
+
+      <section className="panel chart-panel reveal delay-3">
+        <div className="panel-head">
+          <h3>Correlation Matrix</h3>
+          <span className="muted">Clustered order; outlined cells are correlated pairs whose forecasts disagree</span>
+        </div>
+
+        <div className="preset-row">
+          <span className="muted">Correlated at</span>
+          {thresholdPresets.map((preset) => (
+            <button
+              key={preset}
+              type="button"
+              className={`preset ${threshold === preset ? "active" : ""}`}
+              onClick={() => setThreshold(preset)}
+            >
+              ρ ≥ {preset}
+            </button>
+          ))}
+          <span className="muted">Min forecast gap</span>
+          {gapPresets.map((preset) => (
+            <button
+              key={preset}
+              type="button"
+              className={`preset ${minGap === preset ? "active" : ""}`}
+              onClick={() => setMinGap(preset)}
+            >
+              {preset}%
+            </button>
+          ))}
+        </div>
+
+        {!result ? (
+          <div className="empty">{loading ? "Computing correlations..." : "Pick a universe and compute the matrix."}</div>
+        ) : (
+          <div className="corr-matrix" style={{ gridTemplateColumns: `96px repeat(${size}, minmax(0, 1fr))` }}>
+            <span />
+            {result.symbols.map((symbol, j) => (
+              <span
+                key={symbol}
+                className={`corr-label col ${j > 0 && result.clusters[j] !== result.clusters[j - 1] ? "cluster-start" : ""}`}
+              >
+                {symbol}
+              </span>
+            ))}
+            {result.symbols.map((rowSymbol, i) => (
+              <div key={rowSymbol} className="corr-row">
+                <span className="corr-label row">{rowSymbol}</span>
+                {result.symbols.map((colSymbol, j) => {
+                  const value = result.matrix[i][j];
+                  const edges = [
+                    j > 0 && result.clusters[j] !== result.clusters[j - 1] && "inset 2px 0 0 #0f1f2e",
+                    i > 0 && result.clusters[i] !== result.clusters[i - 1] && "inset 0 2px 0 #0f1f2e",
+                  ].filter(Boolean);
+                  const selected = pair && pairKey(pair.a, pair.b) === pairKey(rowSymbol, colSymbol);
+                  const flagged = i !== j && disagreeing.has(pairKey(rowSymbol, colSymbol));
+                  return (
+                    <div
+                      key={colSymbol}
+                      className={`corr-cell ${flagged ? "disagree" : ""} ${selected ? "selected" : ""}`}
+                      style={{ background: corrColor(value), boxShadow: edges.join(", ") || undefined }}
+                      title={`${rowSymbol} / ${colSymbol}: ρ = ${value.toFixed(2)}`}
+                      onClick={() => selectPair(rowSymbol, colSymbol)}
+                    >
+                      {size <= 16 ? value.toFixed(2) : ""}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="panel chart-panel reveal delay-3">
+        <div className="panel-head">
+          <h3>Rolling Correlation</h3>
+          <span className="muted">
+            {pair
+              ? `${pair.a} / ${pair.b}, ${result?.window}-session window${
+                  selectedCorr !== null && selectedCorr !== undefined ? ` · latest ρ = ${selectedCorr.toFixed(2)}` : ""
+                }`
+              : "Click a matrix cell or a pair below"}
+          </span>
+        </div>
+
+        {!pairSeries || pairSeries.points.length === 0 ? (
+          <div className="empty">{pairLoading ? "Loading pair history..." : "No pair selected."}</div>
+        ) : (
+          <div className="chart-wrap">
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={pairSeries.points} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#d5e1ed" />
+                <XAxis dataKey="date" minTickGap={32} />
+                <YAxis domain={[-1, 1]} ticks={[-1, -0.5, 0, 0.5, 1]} />
+                <Tooltip
+                  formatter={(value) => [Number(value).toFixed(3), "Correlation"]}
+                  labelStyle={{ color: "#0f1f2e", fontWeight: 700 }}
+                />
+                <ReferenceLine y={0} stroke="#60788f" />
+                <ReferenceLine y={threshold} stroke="#ef9b0f" strokeDasharray="6 4" />
+                <Line type="monotone" dataKey="value" stroke="#0f7aed" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </section>
+
+      <section className="panel-grid reveal delay-4">
+        <article className="panel table-panel">
+          <div className="panel-head">
+            <h3>Forecast Disagreements</h3>
+            <span className="muted">
+              ρ ≥ {threshold}, opposite {result ? `${result.horizon}-day` : ""} moves at least {minGap}% apart
+            </span>
+          </div>
+
+          {disagreements.length === 0 ? (
+            <div className="empty">
+              {result ? "Correlated names agree on direction." : "Compute the matrix to compare forecasts."}
+            </div>
+          ) : (
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Pair</th>
+                    <th>ρ</th>
+                    <th>Move A</th>
+                    <th>Move B</th>
+                    <th>Gap</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {disagreements.map((item) => (
+                    <tr
+                      key={pairKey(item.a, item.b)}
+                      className={`clickable-row ${pair && pairKey(pair.a, pair.b) === pairKey(item.a, item.b) ? "selected" : ""}`}
+                      onClick={() => selectPair(item.a, item.b)}
+                    >
+                      <td>
+                        {item.a} / {item.b}
+                      </td>
+                      <td>{item.corr.toFixed(2)}</td>
+                      <td className={item.moveA >= 0 ? "positive" : "negative"}>{signed(item.moveA)}</td>
+                      <td className={item.moveB >= 0 ? "positive" : "negative"}>{signed(item.moveB)}</td>
+                      <td>{formatPct(item.gap)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </article>
+
+        <article className="panel table-panel">
+          <div className="panel-head">
+            <h3>Most Correlated Pairs</h3>
+            <span className="muted">Top {TOP_PAIRS} over the window</span>
+          </div>
+
+          {top.length === 0 ? (
+            <div className="empty">No pairs yet.</div>
+          ) : (
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Pair</th>
+                    <th>ρ</th>
+                    <th>Move A</th>
+                    <th>Move B</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {top.map((item) => (
+                    <tr
+                      key={pairKey(item.a, item.b)}
+                      className={`clickable-row ${pair && pairKey(pair.a, pair.b) === pairKey(item.a, item.b) ? "selected" : ""}`}
+                      onClick={() => selectPair(item.a, item.b)}
+                    >
+                      <td>
+                        {item.a} / {item.b}
+                      </td>
+                      <td>{item.corr.toFixed(2)}</td>
+                      <td>{signed(item.moveA)}</td>
+                      <td>{signed(item.moveB)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </article>
+      </section>
+    </>
+  );
+}
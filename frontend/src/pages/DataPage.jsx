@@ -0,0 +1,314 @@
+import { useState } from "react";
+import { Link, useOutletContext } from "react-router-dom";
+
+import { uploadCsv, validateCsvUpload } from "../api";
+import DataQualityPanel from "../components/DataQualityPanel";
+import PageHeader from "../components/PageHeader";
+import { errorMessage, formatInr } from "../format";
+
+const previewColumns = ["open", "high", "low", "close", "volume"];
+
+function symbolFromFileName(name) {
+  return name
+    .replace(/\.csv$/i, "")
+    .replace(/\.(NS|BO)$/i, "")
+    .toUpperCase();
+}
+
+export default function DataPage() {
+  const { symbols, loadingSymbols, symbolScope, refreshSymbols } = useOutletContext();
+  // Uploads always land in the bundled backend/data; a custom directory or live source won't list them.
+  const hiddenUploadsNote =
+    symbolScope.data_source === "yfinance"
+      ? " The console is on the live yfinance source, so they won't be listed until you switch back to local data."
+      : symbolScope.local_data_dir
+        ? ` The console is reading ${symbolScope.local_data_dir}; clear that directory to see them listed.`
+        : "";
+
+  const [upload, setUpload] = useState(null);
+  const [symbol, setSymbol] = useState("");
+  const [overwrite, setOverwrite] = useState(false);
+  const [report, setReport] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function validate(content, nextSymbol) {
+    setError("");
+    setLoading(true);
+    try {
+      setReport(await validateCsvUpload({ symbol: nextSymbol, content }));
+    } catch (err) {
+      setReport(null);
+      setError(errorMessage(err, "Validation failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function onFile(file) {
+    if (!file) {
+      return;
+    }
+    const content = await file.text();
+    const nextSymbol = symbolFromFileName(file.name);
+    setUpload({ name: file.name, size: file.size, content });
+    setSymbol(nextSymbol);
+    setOverwrite(false);
+    await validate(content, nextSymbol);
+  }
+
+  function onDrop(event) {
+    event.preventDefault();
+    setDragging(false);
+    onFile(event.dataTransfer.files?.[0]);
+  }
+
+  function onPick(event) {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    onFile(file);
+  }
+
+  async function onRegister() {
+    setError("");
+    setLoading(true);
+    try {
+      const saved = await uploadCsv({ symbol, content: upload.content, overwrite });
+      setReport(saved);
+      refreshSymbols();
+    } catch (err) {
+      setError(errorMessage(err, "Upload failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const kpis = report
+    ? [
+        { title: "Rows", value: `${report.rows}`, note: `${report.layout} layout`, tone: "blue" },
+        {
+          title: "Coverage",
+          value: report.start_date ? `${report.start_date.slice(0, 4)}-${report.end_date.slice(0, 4)}` : "--",
+          note: report.start_date ? `${report.start_date} to ${report.end_date}` : "No dated rows",
+          tone: "slate",
+        },
+        {
+          title: "Gaps",
+          value: `${report.gap_count}`,
+          note: "3+ missing business days",
+          tone: report.gap_count ? "amber" : "teal",
+        },
+        {
+          title: "Non-positive",
+          value: `${report.non_positive_rows}`,
+          note: "Rows with price <= 0",
+          tone: report.non_positive_rows ? "amber" : "green",
+        },
+      ]
+    : [];
+
+  return (
+    <>
+      <PageHeader
+        title="Data Pipeline"
+        subtitle="Upload custom price CSVs and check the quality of the local symbol universe before training."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Symbols</span>
+          <span className="meta-value">{loadingSymbols ? "--" : symbols.length}</span>
+        </div>
+      </PageHeader>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel-grid">
+        <article className="panel reveal delay-2">
+          <div className="panel-head">
+            <h3>Upload CSV</h3>
+            <span className="pill">Local</span>
+          </div>
+
+          <label
+            className={`dropzone ${dragging ? "active" : ""}`}
+            onDragOver={(event) => {
+              event.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={onDrop}
+          >
+            <input type="file" accept=".csv,text/csv" onChange={onPick} />
+            <strong>{upload ? upload.name : "Drop a CSV here or click to browse"}</strong>
+            <span className="muted">
+              {upload
+                ? `${(upload.size / 1024).toFixed(1)} KB`
+                : "yfinance export (Price/Ticker/Date header rows) or plain Date,Close[,Open,High,Low,Volume]"}
+            </span>
+          </label>
+
+          <p className="muted">
+            Registered symbols are saved to the bundled universe in backend/data.{hiddenUploadsNote}
+          </p>
+
+          <div className="form spaced">
+            <label>
+              <span>Symbol</span>
+              <input
+                value={symbol}
+                onChange={(e) => setSymbol(e.target.value.toUpperCase())}
+                onBlur={() => upload && symbol && validate(upload.content, symbol)}
+                placeholder="MYSTOCK"
+              />
+            </label>
+
+            {report?.exists && (
+              <div className="preset-row">
+                <button
+                  type="button"
+                  className={`preset ${overwrite ? "active" : ""}`}
+                  onClick={() => setOverwrite((value) => !value)}
+                >
+                  Replace existing {report.symbol}.csv
+                </button>
+              </div>
+            )}
+
+            <button
+              className="btn primary"
+              type="button"
+              disabled={!report?.valid || report.saved || loading || (report.exists && !overwrite)}
+              onClick={onRegister}
+            >
+              {loading ? "Working..." : report?.saved ? `${report.symbol} registered` : "Register Symbol"}
+            </button>
+
+            {report?.saved && (
+              <p className="muted">
+                Saved to backend/data. <Link to={`/forecast/${encodeURIComponent(report.symbol)}`}>Open forecast</Link>
+              </p>
+            )}
+          </div>
+        </article>
+
+        <article className="panel reveal delay-3">
+          <div className="panel-head">
+            <h3>Validation</h3>
+            <span className="pill alt">{report ? (report.valid ? "Valid" : "Invalid") : "Pending"}</span>
+          </div>
+
+          {!report ? (
+            <div className="empty">Upload a file to see its validation report.</div>
+          ) : (
+            <>
+              <ul className="issue-list">
+                {report.errors.map((item) => (
+                  <li key={item} className="negative">
+                    {item}
+                  </li>
+                ))}
+                {report.warnings.map((item) => (
+                  <li key={item}>{item}</li>
+                ))}
+                {report.errors.length === 0 && report.warnings.length === 0 && (
+                  <li className="positive">No issues found.</li>
+                )}
+              </ul>
+
+              {report.gaps.length > 0 && (
+                <div className="table-wrap">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Gap From</th>
+                        <th>To</th>
+                        <th>Missing Days</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.gaps.map((gap) => (
+                        <tr key={gap.start}>
+                          <td>{gap.start}</td>
+                          <td>{gap.end}</td>
+                          <td>{gap.missing_business_days}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </article>
+      </section>
+
+      {kpis.length > 0 && (
+        <section className="kpi-grid reveal delay-3">
+          {kpis.map((kpi) => (
+            <article key={kpi.title} className={`kpi-card ${kpi.tone}`}>
+              <p className="kpi-title">{kpi.title}</p>
+              <p className="kpi-value">{kpi.value}</p>
+              <p className="kpi-note">{kpi.note}</p>
+            </article>
+          ))}
+        </section>
+      )}
+
+      {report?.preview.length > 0 && (
+        <section className="panel table-panel reveal delay-4">
+          <div className="panel-head">
+            <h3>Parsed Preview</h3>
+            <span className="muted">First and last rows after cleaning</span>
+          </div>
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  {previewColumns.map((column) => (
+                    <th key={column}>{column}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {report.preview.map((row) => (
+                  <tr key={row.date}>
+                    <td>{row.date}</td>
+                    {previewColumns.map((column) => (
+                      <td key={column} className={column !== "volume" && row[column] !== null && row[column] <= 0 ? "negative" : ""}>
+                        {row[column] === null || row[column] === undefined
+                          ? "--"
+                          : column === "volume"
+                            ? Math.round(row[column]).toLocaleString("en-IN")
+                            : formatInr(row[column])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
+      <DataQualityPanel symbolCount={symbols.length} />
+
+      <section className="panel reveal delay-4">
+        <div className="panel-head">
+          <h3>{symbolScope.local_data_dir ? `Universe in ${symbolScope.local_data_dir}` : "Local Universe"}</h3>
+          <span className="pill alt">Data</span>
+        </div>
+        {symbols.length === 0 ? (
+          <div className="empty">No local symbols available.</div>
+        ) : (
+          <p className="muted">{symbols.join(", ")}</p>
+        )}
+      </section>
+    </>
+  );
+}
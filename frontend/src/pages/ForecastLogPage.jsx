@@ -0,0 +1,391 @@
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { deleteForecastLogEntry, getForecastLog } from "../api";
+import PageHeader from "../components/PageHeader";
+import { errorMessage, formatInr, formatPct, versionLabel } from "../format";
+
+const statusTones = { scored: "ok", partial: "warn", pending: "" };
+
+// Pools the per-point counts behind each summary so overall MAPE weighs every realised day equally.
+function pooledAccuracy(summaries) {
+  const scored = summaries.filter((item) => item.scored_points > 0);
+  const points = scored.reduce((total, item) => total + item.scored_points, 0);
+  if (points === 0) {
+    return { points: 0, mape: null, hitRate: null };
+  }
+  return {
+    points,
+    mape: scored.reduce((total, item) => total + item.mape * item.scored_points, 0) / points,
+    hitRate: scored.reduce((total, item) => total + item.hit_rate * item.scored_points, 0) / points,
+  };
+}
+
+function AccuracyTable({ title, keyLabel, note, rows, selected, onSelect }) {
+  return (
+    <article className="panel table-panel reveal delay-3">
+      <div className="panel-head">
+        <h3>{title}</h3>
+        <span className="muted">{note}</span>
+      </div>
+      {rows.length === 0 ? (
+        <div className="empty">No forecasts logged yet.</div>
+      ) : (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>{keyLabel}</th>
+                <th>Forecasts</th>
+                <th>Scored Days</th>
+                <th>MAPE</th>
+                <th>Hit Rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr
+                  key={row.key}
+                  className={`clickable-row ${selected === row.key ? "selected" : ""}`}
+                  onClick={() => onSelect(selected === row.key ? "" : row.key)}
+                >
+                  <td>{row.key}</td>
+                  <td>
+                    {row.scored_forecasts}/{row.forecasts}
+                  </td>
+                  <td>{row.scored_points}</td>
+                  <td>{formatPct(row.mape)}</td>
+                  <td className={row.hit_rate === null ? "" : row.hit_rate >= 0.5 ? "positive" : "negative"}>
+                    {row.hit_rate === null ? "--" : formatPct(row.hit_rate * 100)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </article>
+  );
+}
+
+export default function ForecastLogPage() {
+  const [log, setLog] = useState(null);
+  const [tickerFilter, setTickerFilter] = useState("");
+  const [modelFilter, setModelFilter] = useState("");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [expanded, setExpanded] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function loadLog() {
+    setError("");
+    setLoading(true);
+    try {
+      setLog(await getForecastLog({ limit: 1000 }));
+    } catch (err) {
+      setError(errorMessage(err, "Forecast log failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadLog();
+  }, []);
+
+  async function onDelete(entryId) {
+    setError("");
+    try {
+      setLog(await deleteForecastLogEntry(entryId));
+    } catch (err) {
+      setError(errorMessage(err, "Delete failed"));
+    }
+  }
+
+  const entries = useMemo(
+    () =>
+      (log?.entries || []).filter(
+        (entry) =>
+          (!tickerFilter || entry.ticker === tickerFilter) &&
+          (!modelFilter || entry.model_artifact === modelFilter) &&
+          (statusFilter === "all" || entry.status === statusFilter)
+      ),
+    [log, tickerFilter, modelFilter, statusFilter]
+  );
+
+  const modelRows = useMemo(
+    () => (log?.by_model || []).filter((row) => !tickerFilter || row.ticker === tickerFilter),
+    [log, tickerFilter]
+  );
+
+  // Oldest first so the chart reads left to right as accuracy evolves.
+  const timeline = useMemo(
+    () =>
+      entries
+        .filter((entry) => entry.scored_points > 0)
+        .map((entry) => ({
+          date: entry.created_at_utc.slice(0, 16).replace("T", " "),
+          mape: entry.mape,
+          hit_rate: entry.hit_rate * 100,
+        }))
+        .reverse(),
+    [entries]
+  );
+
+  const overall = pooledAccuracy((log?.by_ticker || []).filter((row) => !tickerFilter || row.key === tickerFilter));
+  const pendingCount = (log?.entries || []).filter((entry) => entry.status !== "scored").length;
+
+  const kpis = [
+    {
+      title: "Forecasts Logged",
+      value: log ? `${log.total}` : "--",
+      note: `${pendingCount} awaiting actuals`,
+      tone: "blue",
+    },
+    { title: "Scored Days", value: `${overall.points}`, note: "Forecast dates with a close", tone: "slate" },
+    { title: "Realised MAPE", value: formatPct(overall.mape), note: tickerFilter || "All tickers", tone: "teal" },
+    {
+      title: "Hit Rate",
+      value: overall.hitRate === null ? "--" : formatPct(overall.hitRate * 100),
+      note: "Direction vs close at forecast time",
+      tone: overall.hitRate !== null && overall.hitRate >= 0.5 ? "green" : "amber",
+    },
+  ];
+
+  return (
+    <>
+      <PageHeader
+        title="Forecast Log"
+        subtitle="Every forecast run is kept and scored against the closes that arrive afterwards."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Scored</span>
+          <span className="meta-value">{log?.scored_at_utc.slice(0, 10) || "--"}</span>
+        </div>
+      </PageHeader>
+
+      <section className="kpi-grid reveal delay-3">
+        {kpis.map((kpi) => (
+          <article key={kpi.title} className={`kpi-card ${kpi.tone}`}>
+            <p className="kpi-title">{kpi.title}</p>
+            <p className="kpi-value">{kpi.value}</p>
+            <p className="kpi-note">{kpi.note}</p>
+          </article>
+        ))}
+      </section>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel-grid">
+        <AccuracyTable
+          title="Accuracy by Ticker"
+          keyLabel="Ticker"
+          note="Click a row to filter"
+          rows={log?.by_ticker || []}
+          selected={tickerFilter}
+          onSelect={(key) => {
+            setTickerFilter(key);
+            setModelFilter("");
+          }}
+        />
+        <AccuracyTable
+          title="Accuracy by Model"
+          keyLabel="Model"
+          note={tickerFilter ? `Versions of ${tickerFilter}` : "Every artifact that produced a forecast"}
+          rows={modelRows}
+          selected={modelFilter}
+          onSelect={setModelFilter}
+        />
+      </section>
+
+      <section className="panel chart-panel reveal delay-3">
+        <div className="panel-head">
+          <h3>Accuracy Over Time</h3>
+          <span className="muted">Realised MAPE and hit rate of each scored forecast</span>
+        </div>
+
+        {timeline.length === 0 ? (
+          <div className="empty">No forecast has realised closes yet.</div>
+        ) : (
+          <div className="chart-wrap">
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={timeline} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+                <XAxis dataKey="date" minTickGap={24} />
+                <YAxis yAxisId="mape" width={56} tickFormatter={(value) => `${Number(value).toFixed(1)}%`} />
+                <YAxis yAxisId="hit" orientation="right" width={48} domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+                <Tooltip formatter={(value, name) => [formatPct(Number(value)), name]} />
+                <Legend />
+                <Line yAxisId="mape" type="monotone" dataKey="mape" name="MAPE" stroke="#ef9b0f" strokeWidth={2} />
+                <Line
+                  yAxisId="hit"
+                  type="stepAfter"
+                  dataKey="hit_rate"
+                  name="Hit Rate"
+                  stroke="#10b39d"
+                  dot={false}
+                  strokeWidth={2}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </section>
+
+      <section className="panel table-panel reveal delay-4">
+        <div className="panel-head">
+          <h3>Logged Forecasts</h3>
+          <div className="preset-row">
+            {["all", "scored", "partial", "pending"].map((status) => (
+              <button
+                key={status}
+                type="button"
+                className={`preset ${statusFilter === status ? "active" : ""}`}
+                onClick={() => setStatusFilter(status)}
+              >
+                {status}
+              </button>
+            ))}
+            <button type="button" className="preset" disabled={loading} onClick={loadLog}>
+              {loading ? "Scoring..." : "Refresh"}
+            </button>
+          </div>
+        </div>
+
+        {(tickerFilter || modelFilter) && (
+          <div className="preset-row">
+            <span className="muted">
+              Showing {[tickerFilter, modelFilter].filter(Boolean).join(" / ")}
+            </span>
+            <button
+              type="button"
+              className="preset"
+              onClick={() => {
+                setTickerFilter("");
+                setModelFilter("");
+              }}
+            >
+              Clear filter
+            </button>
+          </div>
+        )}
+
+        {entries.length === 0 ? (
+          <div className="empty">{log ? "No forecasts match." : "Loading forecast log..."}</div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Run (UTC)</th>
+                  <th>Ticker</th>
+                  <th>Model</th>
+                  <th>Horizon</th>
+                  <th>From Close</th>
+                  <th>Status</th>
+                  <th>Scored</th>
+                  <th>MAPE</th>
+                  <th>Hit Rate</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <Fragment key={entry.id}>
+                    <tr
+                      className="clickable-row"
+                      onClick={() => setExpanded((prev) => (prev === entry.id ? "" : entry.id))}
+                    >
+                      <td>{entry.created_at_utc.slice(0, 16).replace("T", " ")}</td>
+                      <td>
+                        <Link to={`/forecast/${encodeURIComponent(entry.ticker)}`} onClick={(e) => e.stopPropagation()}>
+                          {entry.ticker}
+                        </Link>
+                      </td>
+                      <td title={entry.model_artifact}>
+                        {versionLabel(entry.model_version)} · {entry.transform} · in {entry.input_len}
+                      </td>
+                      <td>{entry.horizon}D</td>
+                      <td>
+                        Rs {formatInr(entry.last_close)} ({entry.last_date})
+                      </td>
+                      <td>
+                        <span className={`status-tag ${statusTones[entry.status]}`}>{entry.status}</span>
+                      </td>
+                      <td>
+                        {entry.scored_points}/{entry.horizon}
+                      </td>
+                      <td>{formatPct(entry.mape)}</td>
+                      <td className={entry.hit_rate === null ? "" : entry.hit_rate >= 0.5 ? "positive" : "negative"}>
+                        {entry.hit_rate === null ? "--" : formatPct(entry.hit_rate * 100)}
+                      </td>
+                      <td>
+                        <button
+                          type="button"
+                          className="preset"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onDelete(entry.id);
+                          }}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                    {expanded === entry.id && (
+                      <tr className="detail-row">
+                        <td colSpan={10}>
+                          <div className="table-wrap">
+                            <table>
+                              <thead>
+                                <tr>
+                                  <th>Date</th>
+                                  <th>Forecast (Rs)</th>
+                                  <th>Actual (Rs)</th>
+                                  <th>Abs Error</th>
+                                  <th>Direction</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {entry.points.map((point) => (
+                                  <tr key={point.date}>
+                                    <td>{point.date}</td>
+                                    <td>{formatInr(point.forecast)}</td>
+                                    <td>{point.actual === null ? "--" : formatInr(point.actual)}</td>
+                                    <td>{formatPct(point.abs_pct_error)}</td>
+                                    <td className={point.hit === null ? "" : point.hit ? "positive" : "negative"}>
+                                      {point.hit === null ? "--" : point.hit ? "Hit" : "Miss"}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
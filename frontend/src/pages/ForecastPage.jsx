@@ -0,0 +1,783 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  useLocation,
+  useNavigate,
+  useNavigationType,
+  useOutletContext,
+  useParams,
+  useSearchParams,
+} from "react-router-dom";
+
+import {
+  cacheInfo,
+  getCalendar,
+  getHistory,
+  isCancelled,
+  latestSignal,
+  listArtifacts,
+  pinArtifact,
+  predictStock,
+  rollbackArtifact,
+  unpinArtifact,
+} from "../api";
+import BatchTrainingPanel from "../components/BatchTrainingPanel";
+import ExplainPanel from "../components/ExplainPanel";
+import PageHeader from "../components/PageHeader";
+import PriceChartPanel from "../components/PriceChartPanel";
+import ScenarioPanel from "../components/ScenarioPanel";
+import SweepPanel from "../components/SweepPanel";
+import TrainingPanel, { buildTrainPayload } from "../components/TrainingPanel";
+import { downloadBlob, toCsv } from "../download";
+import { forecastPath, formsFromUrl } from "../forecastUrl";
+import { artifactName, errorMessage, formatInr, formatPct, normalizeTicker, versionLabel } from "../format";
+import useBrowserModel from "../hooks/useBrowserModel";
+import { holidayNames, holidaysBeforeDates } from "../tradingCalendar";
+
+const sourceOptions = ["local", "auto", "yfinance"];
+const horizonPresets = [5, 10, 15, 30];
+const exportColumns = [
+  "ticker",
+  "source",
+  "model_artifact",
+  "transform",
+  "input_len",
+  "horizon",
+  "kind",
+  "step",
+  "date",
+  "value",
+  "lower_50",
+  "upper_50",
+  "lower_90",
+  "upper_90",
+  "delta",
+  "pct",
+];
+
+function modelLabel(result) {
+  return `${versionLabel(result.model_version)} · ${result.transform} · in ${result.input_len}`;
+}
+
+export default function ForecastPage() {
+  const { ticker: routeTicker } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const navigationType = useNavigationType();
+  const { symbols, loadingSymbols, setSymbolScope } = useOutletContext();
+
+  const [trainForm, setTrainForm] = useState(() => formsFromUrl(routeTicker, searchParams).trainForm);
+  const [predictForm, setPredictForm] = useState(() => formsFromUrl(routeTicker, searchParams).predictForm);
+
+  const [trainResult, setTrainResult] = useState(null);
+  const [forecastResult, setForecastResult] = useState(null);
+  const [compareResult, setCompareResult] = useState(null);
+  const [compareError, setCompareError] = useState("");
+  const [historyOnly, setHistoryOnly] = useState([]);
+  const [chartQuery, setChartQuery] = useState(null);
+  const [chartCache, setChartCache] = useState(null);
+  const [artifacts, setArtifacts] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+
+  // Once the browser copy of the model has matched the server, horizon edits are answered locally.
+  const {
+    parity,
+    load: loadBrowserModel,
+    reset: resetBrowserModel,
+  } = useBrowserModel(predictForm, holidays, (forecast, compare) => {
+    setForecastResult(forecast);
+    setCompareResult(compare);
+  });
+  const [loadingPredict, setLoadingPredict] = useState(false);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+
+  const [error, setError] = useState("");
+
+  async function loadArtifacts() {
+    try {
+      setArtifacts((await listArtifacts()).artifacts || []);
+    } catch {
+      // The version picker just falls back to "Active" when artifacts can't be listed.
+      setArtifacts([]);
+    }
+  }
+
+  useEffect(() => {
+    loadArtifacts();
+    getCalendar()
+      .then((data) => setHolidays(data.holidays || []))
+      // Without the calendar the chart simply has no holiday marks.
+      .catch(() => setHolidays([]));
+  }, []);
+
+  useEffect(() => {
+    setSymbolScope({
+      data_source: trainForm.data_source,
+      local_data_dir: trainForm.local_data_dir,
+    });
+  }, [trainForm.data_source, trainForm.local_data_dir, setSymbolScope]);
+
+  // Back/forward restores the whole entry; sidebar chips push a bare ticker path, so only the ticker
+  // changes. Replacements come from the URL sync below and already match the forms.
+  useEffect(() => {
+    if (navigationType === "POP") {
+      const forms = formsFromUrl(routeTicker, searchParams);
+      setTrainForm(forms.trainForm);
+      setPredictForm(forms.predictForm);
+      return;
+    }
+    const symbol = routeTicker?.toUpperCase();
+    if (navigationType === "REPLACE" || !symbol || symbol === predictForm.ticker) {
+      return;
+    }
+    setPredictForm((prev) => ({ ...prev, ticker: symbol, model_version: "", compare_version: "" }));
+    setTrainForm((prev) => ({ ...prev, ticker: symbol }));
+  }, [location.key]);
+
+  // Keep the address bar shareable: every form edit is reflected in the URL.
+  useEffect(() => {
+    navigate(forecastPath(trainForm, predictForm), { replace: true });
+  }, [trainForm, predictForm, navigate]);
+
+  const chartData = useMemo(() => {
+    if (forecastResult) {
+      const history = forecastResult.history.map((point) => ({
+        date: point.date,
+        history: point.value,
+        forecast: null,
+      }));
+
+      const compareByDate = new Map((compareResult?.forecast || []).map((point) => [point.date, point.value]));
+      const forecast = forecastResult.forecast.map((point) => ({
+        date: point.date,
+        history: null,
+        forecast: point.value,
+        compare: compareByDate.get(point.date) ?? null,
+        band_50: [point.lower_50, point.upper_50],
+        band_90: [point.lower_90, point.upper_90],
+      }));
+
+      return [...history, ...forecast];
+    }
+
+    if (historyOnly.length > 0) {
+      return historyOnly.map((point) => ({
+        date: point.date,
+        history: point.value,
+        forecast: null,
+      }));
+    }
+
+    return [];
+  }, [forecastResult, compareResult, historyOnly]);
+
+  const holidayMarks = useMemo(
+    () => holidaysBeforeDates(holidays, chartData.map((point) => point.date)),
+    [holidays, chartData]
+  );
+
+  const forecastRows = useMemo(() => {
+    if (!forecastResult) {
+      return [];
+    }
+
+    const base = forecastResult.last_close;
+    const compareByDate = new Map((compareResult?.forecast || []).map((point) => [point.date, point.value]));
+
+    return forecastResult.forecast.map((point, index) => {
+      const delta = point.value - base;
+      const pct = base === 0 ? 0 : (delta / base) * 100;
+      const compare = compareByDate.get(point.date) ?? null;
+      // Diff is comparison minus primary, so a positive value means the comparison model is more bullish.
+      const diff = compare === null ? null : compare - point.value;
+      return {
+        step: index + 1,
+        date: point.date,
+        value: point.value,
+        low: point.lower_90,
+        high: point.upper_90,
+        delta,
+        pct,
+        compare,
+        diff,
+        diffPct: diff === null || point.value === 0 ? null : (diff / point.value) * 100,
+      };
+    });
+  }, [forecastResult, compareResult]);
+
+  const tickerVersions = useMemo(() => {
+    const ticker = normalizeTicker(predictForm.ticker);
+    return artifacts.filter((item) => item.ticker === ticker).sort((a, b) => b.version - a.version);
+  }, [artifacts, predictForm.ticker]);
+  const activeVersion = tickerVersions.find((item) => item.is_active);
+  const selectedVersion = tickerVersions.find((item) => item.artifact === predictForm.model_version);
+  // Comparing a version with itself would only send a second identical request.
+  const primaryArtifact = predictForm.model_version || activeVersion?.artifact;
+  const compareVersions = tickerVersions.filter((item) => item.artifact !== primaryArtifact);
+  const compareVersion = predictForm.compare_version === primaryArtifact ? "" : predictForm.compare_version;
+
+  const forecastEnd = forecastResult?.forecast?.at(-1)?.value;
+  const lastClose = forecastResult?.last_close;
+  const projectedChangePct =
+    typeof forecastEnd === "number" && typeof lastClose === "number" && lastClose !== 0
+      ? ((forecastEnd - lastClose) / lastClose) * 100
+      : null;
+
+  const { ticker: _trainTicker, ...batchHyperparams } = buildTrainPayload(trainForm);
+
+  const kpis = [
+    {
+      title: "Data Universe",
+      value: loadingSymbols ? "Loading" : `${symbols.length}`,
+      note: trainForm.data_source === "yfinance" ? "Live source mode" : "Local symbols found",
+      tone: "blue",
+    },
+    {
+      title: "Direction Accuracy",
+      value:
+        trainResult && typeof trainResult.direction_accuracy === "number"
+          ? formatPct(trainResult.direction_accuracy * 100)
+          : "--",
+      note: "Validation on first-step move",
+      tone: "teal",
+    },
+    {
+      title: "Last Close",
+      value: typeof lastClose === "number" ? `Rs ${formatInr(lastClose)}` : "--",
+      note: "From latest history point",
+      tone: "slate",
+    },
+    {
+      title: "Projected Change",
+      value: projectedChangePct !== null ? formatPct(projectedChangePct) : "--",
+      note: "End of forecast horizon",
+      tone: projectedChangePct !== null && projectedChangePct >= 0 ? "green" : "amber",
+    },
+  ];
+
+  function onTrained(result, submitted) {
+    setTrainResult(result);
+    setPredictForm((prev) => ({
+      ...prev,
+      ticker: submitted.ticker,
+      data_source: submitted.data_source,
+      local_data_dir: submitted.local_data_dir,
+      model_version: "",
+      compare_version: "",
+    }));
+    loadArtifacts();
+  }
+
+  async function onVersionAction(action) {
+    setError("");
+    try {
+      const ticker = normalizeTicker(predictForm.ticker);
+      let data;
+      if (action === "pin") {
+        data = await pinArtifact(ticker, selectedVersion.artifact);
+      } else if (action === "unpin") {
+        data = await unpinArtifact(ticker);
+      } else {
+        data = await rollbackArtifact(ticker);
+      }
+      setArtifacts(data.artifacts || []);
+      setPredictForm((prev) => ({ ...prev, model_version: "" }));
+    } catch (err) {
+      setError(errorMessage(err, "Model version update failed"));
+    }
+  }
+
+  async function onPredictSubmit(event) {
+    event.preventDefault();
+    setError("");
+    setCompareError("");
+    setLoadingPredict(true);
+
+    try {
+      const payload = {
+        ...predictForm,
+        horizon: Number(predictForm.horizon),
+        history_points: Number(predictForm.history_points),
+        local_data_dir: predictForm.local_data_dir || null,
+        model_version: predictForm.model_version || null,
+      };
+      const { compare_version: _compareVersion, ...comparePayload } = payload;
+      // Only the primary forecast goes into the forecast log.
+      const primaryPayload = { ...comparePayload, record: true };
+      // A newer forecast or history load supersedes this one.
+      const signal = latestSignal("chart");
+
+      // A missing or broken compare version must not cost the primary forecast.
+      const [primary, compared] = await Promise.allSettled([
+        predictStock(primaryPayload, { signal }),
+        compareVersion ? predictStock({ ...comparePayload, model_version: compareVersion }, { signal }) : null,
+      ]);
+      if (primary.status === "rejected") {
+        throw primary.reason;
+      }
+      const data = primary.value;
+      setForecastResult(data);
+      setCompareResult(compared.status === "fulfilled" ? compared.value : null);
+      if (compared.status === "rejected" && !isCancelled(compared.reason)) {
+        setCompareError(errorMessage(compared.reason, `Forecast with ${compareVersion} failed`));
+      }
+      loadBrowserModel(data, primaryPayload, signal, compared.status === "fulfilled" ? compared.value : null);
+      setChartCache(cacheInfo(data));
+      setHistoryOnly([]);
+      setChartQuery({
+        ticker: payload.ticker,
+        history_points: payload.history_points,
+        data_source: payload.data_source,
+        local_data_dir: payload.local_data_dir || undefined,
+      });
+    } catch (err) {
+      if (!isCancelled(err)) {
+        setError(errorMessage(err, "Prediction failed"));
+      }
+    } finally {
+      setLoadingPredict(false);
+    }
+  }
+
+  async function onLoadHistory(event) {
+    event.preventDefault();
+    setError("");
+    setLoadingHistory(true);
+
+    try {
+      const query = {
+        ticker: predictForm.ticker,
+        history_points: Number(predictForm.history_points),
+        data_source: predictForm.data_source,
+        local_data_dir: predictForm.local_data_dir || undefined,
+      };
+      const data = await getHistory(query, { signal: latestSignal("chart") });
+      setHistoryOnly(data.history || []);
+      setChartCache(cacheInfo(data));
+      setForecastResult(null);
+      setCompareResult(null);
+      setCompareError("");
+      resetBrowserModel();
+      setChartQuery(query);
+    } catch (err) {
+      if (!isCancelled(err)) {
+        setError(errorMessage(err, "History fetch failed"));
+      }
+    } finally {
+      setLoadingHistory(false);
+    }
+  }
+
+  function exportMetadata() {
+    return {
+      ticker: forecastResult?.ticker || chartQuery?.ticker || predictForm.ticker,
+      source: forecastResult?.source || chartQuery?.data_source || "",
+      model_artifact: forecastResult?.model_artifact || "",
+      transform: forecastResult?.transform || "",
+      input_len: forecastResult?.input_len ?? "",
+      horizon: forecastResult?.horizon ?? "",
+    };
+  }
+
+  function exportFileName(extension) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    return `${exportMetadata().ticker}_${forecastResult ? "forecast" : "history"}_${stamp}.${extension}`;
+  }
+
+  // Full forecast points (both interval bands) with the tape's step and change columns.
+  function exportForecastPoints() {
+    return forecastRows.map((row, index) => ({
+      step: row.step,
+      ...forecastResult.forecast[index],
+      delta: row.delta,
+      pct: row.pct,
+    }));
+  }
+
+  function onExportCsv() {
+    const meta = exportMetadata();
+    const history = (forecastResult?.history || historyOnly).map((point) => ({
+      ...meta,
+      kind: "history",
+      date: point.date,
+      value: point.value,
+    }));
+    const forecast = exportForecastPoints().map((point) => ({ ...meta, kind: "forecast", ...point }));
+    downloadBlob(exportFileName("csv"), toCsv([...history, ...forecast], exportColumns), "text/csv");
+  }
+
+  function onExportJson() {
+    const payload = {
+      ...exportMetadata(),
+      exported_at_utc: new Date().toISOString(),
+      last_close: forecastResult?.last_close ?? null,
+      pred_len: forecastResult?.pred_len ?? null,
+      interval_method: forecastResult?.interval_method ?? null,
+      history: forecastResult?.history || historyOnly,
+      forecast: exportForecastPoints(),
+    };
+    downloadBlob(exportFileName("json"), JSON.stringify(payload, null, 2), "application/json");
+  }
+
+  return (
+    <>
+      <PageHeader
+        title="Forecast Operations Console"
+        subtitle="Run training jobs, validate model quality, and generate market forecasts."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Ticker</span>
+          <span className="meta-value">{predictForm.ticker.toUpperCase()}</span>
+        </div>
+      </PageHeader>
+
+      <section className="kpi-grid reveal delay-3">
+        {kpis.map((kpi) => (
+          <article key={kpi.title} className={`kpi-card ${kpi.tone}`}>
+            <p className="kpi-title">{kpi.title}</p>
+            <p className="kpi-value">{kpi.value}</p>
+            <p className="kpi-note">{kpi.note}</p>
+          </article>
+        ))}
+      </section>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      {compareError && (
+        <div className="alert reveal delay-2">
+          <strong>Compare Version</strong>
+          <span>{compareError}</span>
+        </div>
+      )}
+
+      {forecastResult?.log_error && (
+        <div className="alert reveal delay-2">
+          <strong>Forecast Log</strong>
+          <span>{forecastResult.log_error}</span>
+        </div>
+      )}
+
+      <section className="panel-grid">
+        <TrainingPanel
+          form={trainForm}
+          setForm={setTrainForm}
+          result={trainResult}
+          onTrained={onTrained}
+          onError={setError}
+        />
+
+        <article className="panel reveal delay-3">
+          <div className="panel-head">
+            <h3>Forecast Execution</h3>
+            <span className="pill alt">Predict</span>
+          </div>
+
+          <form className="form" onSubmit={onPredictSubmit}>
+            <div className="field-grid two-col">
+              <label>
+                <span>Ticker</span>
+                <input
+                  value={predictForm.ticker}
+                  onChange={(e) =>
+                    setPredictForm((s) => ({
+                      ...s,
+                      ticker: e.target.value.toUpperCase(),
+                      model_version: "",
+                      compare_version: "",
+                    }))
+                  }
+                  list="symbol-options"
+                  required
+                />
+              </label>
+
+              <label>
+                <span>Data Source</span>
+                <select
+                  value={predictForm.data_source}
+                  onChange={(e) => setPredictForm((s) => ({ ...s, data_source: e.target.value }))}
+                >
+                  {sourceOptions.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div className="field-grid two-col">
+              <label>
+                <span>Horizon (Days)</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="120"
+                  value={predictForm.horizon}
+                  onChange={(e) => setPredictForm((s) => ({ ...s, horizon: e.target.value }))}
+                />
+              </label>
+
+              <label>
+                <span>History Points</span>
+                <input
+                  type="number"
+                  min="20"
+                  max="500"
+                  value={predictForm.history_points}
+                  onChange={(e) => setPredictForm((s) => ({ ...s, history_points: e.target.value }))}
+                />
+              </label>
+            </div>
+
+            <label>
+              <span>Local Data Directory</span>
+              <input
+                value={predictForm.local_data_dir}
+                onChange={(e) => setPredictForm((s) => ({ ...s, local_data_dir: e.target.value }))}
+                placeholder="backend/data"
+              />
+            </label>
+
+            <label>
+              <span>Model Version</span>
+              <select
+                value={predictForm.model_version}
+                onChange={(e) => setPredictForm((s) => ({ ...s, model_version: e.target.value }))}
+              >
+                <option value="">
+                  {activeVersion
+                    ? `Active: ${versionLabel(activeVersion.version)}${activeVersion.is_pinned ? " (pinned)" : " (latest)"}`
+                    : "Active model"}
+                </option>
+                {tickerVersions.map((item) => (
+                  <option key={item.artifact} value={item.artifact}>
+                    {versionLabel(item.version)} · in {item.input_len} / out {item.pred_len} ·{" "}
+                    {item.trained_at_utc?.slice(0, 10) || "--"}
+                    {item.val_rmse !== null && item.val_rmse !== undefined ? ` · RMSE ${item.val_rmse.toFixed(4)}` : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              <span>Compare With</span>
+              <select
+                value={compareVersion}
+                disabled={compareVersions.length === 0}
+                onChange={(e) => setPredictForm((s) => ({ ...s, compare_version: e.target.value }))}
+              >
+                <option value="">Off</option>
+                {compareVersions.map((item) => (
+                  <option key={item.artifact} value={item.artifact}>
+                    {versionLabel(item.version)} · {item.transform} · in {item.input_len} / out {item.pred_len}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {tickerVersions.length > 0 && (
+              <div className="preset-row">
+                <button
+                  type="button"
+                  className="preset"
+                  disabled={!selectedVersion || selectedVersion.is_pinned}
+                  onClick={() => onVersionAction("pin")}
+                >
+                  Pin Selected
+                </button>
+                <button
+                  type="button"
+                  className="preset"
+                  disabled={!activeVersion?.is_pinned}
+                  onClick={() => onVersionAction("unpin")}
+                >
+                  Unpin
+                </button>
+                <button
+                  type="button"
+                  className="preset"
+                  disabled={tickerVersions.length < 2 || activeVersion === tickerVersions.at(-1)}
+                  onClick={() => onVersionAction("rollback")}
+                >
+                  Roll Back
+                </button>
+              </div>
+            )}
+
+            <div className="preset-row">
+              {horizonPresets.map((preset) => (
+                <button
+                  key={preset}
+                  type="button"
+                  className={`preset ${Number(predictForm.horizon) === preset ? "active" : ""}`}
+                  onClick={() => setPredictForm((s) => ({ ...s, horizon: preset }))}
+                >
+                  {preset}D
+                </button>
+              ))}
+            </div>
+
+            <div className="action-row">
+              <button className="btn ghost" type="button" disabled={loadingHistory} onClick={onLoadHistory}>
+                {loadingHistory ? "Loading history..." : "Load History"}
+              </button>
+              <button className="btn primary" type="submit" disabled={loadingPredict}>
+                {loadingPredict ? "Running forecast..." : "Run Forecast"}
+              </button>
+            </div>
+          </form>
+
+          <div className="result-card">
+            <h4>Latest Forecast Snapshot</h4>
+            {!forecastResult ? (
+              <p className="muted">No forecast generated yet.</p>
+            ) : (
+              <ul>
+                <li>Ticker: {forecastResult.ticker}</li>
+                <li>Source: {forecastResult.source}</li>
+                <li>
+                  Model: {modelLabel(forecastResult)} ({artifactName(forecastResult)})
+                </li>
+                {compareResult && (
+                  <li>
+                    Compared With: {modelLabel(compareResult)} ({artifactName(compareResult)})
+                  </li>
+                )}
+                <li>Last Close: Rs {formatInr(forecastResult.last_close)}</li>
+                <li>
+                  Horizon: {forecastResult.horizon} days
+                  {forecastResult.computed_in_browser ? " (computed in browser)" : ""}
+                </li>
+                <li>
+                  Browser Engine:{" "}
+                  {!parity
+                    ? "checking..."
+                    : parity.error
+                      ? `unavailable (${parity.error})`
+                      : `${parity.ok ? "in parity" : "disabled, drifted"} (max gap ${parity.gapPct.toFixed(4)}%)`}
+                </li>
+                <li>Intervals: {forecastResult.interval_method.replace("_", " ")}</li>
+                <li>Projected Change: {projectedChangePct !== null ? formatPct(projectedChangePct) : "--"}</li>
+              </ul>
+            )}
+          </div>
+        </article>
+      </section>
+
+      <BatchTrainingPanel symbols={symbols} hyperparams={batchHyperparams} />
+
+      <SweepPanel ticker={trainForm.ticker} hyperparams={batchHyperparams} onPromote={loadArtifacts} />
+
+      <PriceChartPanel
+        chartData={chartData}
+        forecastResult={forecastResult}
+        compareResult={compareResult}
+        chartQuery={chartQuery}
+        chartCache={chartCache}
+        holidayMarks={holidayMarks}
+        exportFileName={exportFileName}
+        onError={setError}
+      />
+
+      <section className="panel table-panel reveal delay-4">
+        <div className="panel-head">
+          <h3>Forecast Tape</h3>
+          <div className="preset-row">
+            <span className="muted">
+              {compareResult
+                ? `${modelLabel(forecastResult)} vs ${modelLabel(compareResult)}`
+                : "Stepwise projected values vs last close"}
+            </span>
+            <button type="button" className="preset" disabled={chartData.length === 0} onClick={onExportCsv}>
+              CSV
+            </button>
+            <button type="button" className="preset" disabled={chartData.length === 0} onClick={onExportJson}>
+              JSON
+            </button>
+          </div>
+        </div>
+
+        {forecastRows.length === 0 ? (
+          <div className="empty">Run forecast to view stepwise projections.</div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Step</th>
+                  <th>Date</th>
+                  <th>Forecast (Rs)</th>
+                  <th>Low 90% (Rs)</th>
+                  <th>High 90% (Rs)</th>
+                  <th>Delta (Rs)</th>
+                  <th>Delta %</th>
+                  {compareResult && (
+                    <>
+                      <th>Compare (Rs)</th>
+                      <th>Diff (Rs)</th>
+                      <th>Diff %</th>
+                    </>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {forecastRows.map((row) => (
+                  <tr key={row.date}>
+                    <td>{row.step}</td>
+                    <td>
+                      {row.date}
+                      {holidayMarks.has(row.date) && (
+                        <span className="holiday-note">after {holidayNames(holidayMarks.get(row.date))}</span>
+                      )}
+                    </td>
+                    <td>{formatInr(row.value)}</td>
+                    <td>{formatInr(row.low)}</td>
+                    <td>{formatInr(row.high)}</td>
+                    <td className={row.delta >= 0 ? "positive" : "negative"}>
+                      {row.delta >= 0 ? "+" : ""}
+                      {formatInr(row.delta)}
+                    </td>
+                    <td className={row.pct >= 0 ? "positive" : "negative"}>
+                      {row.pct >= 0 ? "+" : ""}
+                      {formatPct(row.pct)}
+                    </td>
+                    {compareResult && (
+                      <>
+                        <td>{row.compare === null ? "--" : formatInr(row.compare)}</td>
+                        <td className={row.diff === null ? "" : row.diff >= 0 ? "positive" : "negative"}>
+                          {row.diff === null ? "--" : `${row.diff >= 0 ? "+" : ""}${formatInr(row.diff)}`}
+                        </td>
+                        <td className={row.diffPct === null ? "" : row.diffPct >= 0 ? "positive" : "negative"}>
+                          {row.diffPct === null ? "--" : `${row.diffPct >= 0 ? "+" : ""}${formatPct(row.diffPct)}`}
+                        </td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      <ScenarioPanel
+        forecastResult={forecastResult}
+        dataSource={chartQuery?.data_source || predictForm.data_source}
+        localDataDir={chartQuery?.local_data_dir || predictForm.local_data_dir}
+        holidays={holidays}
+      />
+
+      <ExplainPanel
+        forecastResult={forecastResult}
+        dataSource={chartQuery?.data_source || predictForm.data_source}
+        localDataDir={chartQuery?.local_data_dir || predictForm.local_data_dir}
+      />
+    </>
+  );
+}
@@ -0,0 +1,307 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+
+import { getMarketOverview } from "../api";
+import PageHeader from "../components/PageHeader";
+import { errorMessage, formatInr, formatPct } from "../format";
+import { forecastPath, initialPredict, initialTrain } from "../forecastUrl";
+
+const sourceOptions = ["local", "auto"];
+const horizonPresets = [5, 10, 15, 30];
+const scaleOptions = [2, 5, 10];
+
+function signed(value) {
+  return value === null || value === undefined ? "--" : `${value >= 0 ? "+" : ""}${formatPct(value)}`;
+}
+
+// Diverging scale clipped at +/- `cap` percent; symbols without a forecast stay grey.
+function tileColor(change, cap) {
+  if (change === null || change === undefined) {
+    return "#e6edf4";
+  }
+  const alpha = 0.15 + 0.85 * Math.min(Math.abs(change) / cap, 1);
+  return change >= 0 ? `rgba(22, 137, 95, ${alpha.toFixed(3)})` : `rgba(196, 69, 69, ${alpha.toFixed(3)})`;
+}
+
+function tileLink(symbol, settings) {
+  return forecastPath(initialTrain, {
+    ...initialPredict,
+    ticker: symbol,
+    horizon: Number(settings.horizon),
+    data_source: settings.data_source,
+  });
+}
+
+export default function MarketPage() {
+  const [settings, setSettings] = useState({ horizon: 10, data_source: "local" });
+  const [scale, setScale] = useState(5);
+  const [sectorFilter, setSectorFilter] = useState("");
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function loadOverview({ fresh = false } = {}) {
+    setError("");
+    setLoading(true);
+    try {
+      setOverview(
+        await getMarketOverview({ horizon: Number(settings.horizon), data_source: settings.data_source }, { fresh })
+      );
+    } catch (err) {
+      setError(errorMessage(err, "Market overview failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadOverview();
+  }, []);
+
+  const moves = overview?.symbols || [];
+  const forecasted = moves.filter((move) => move.status === "ok");
+  const advancers = forecasted.filter((move) => move.change_pct > 0).length;
+  const avgChange = forecasted.length
+    ? forecasted.reduce((sum, move) => sum + move.change_pct, 0) / forecasted.length
+    : null;
+  const rankedSectors = [...(overview?.sectors || [])].sort(
+    (a, b) => (b.avg_change_pct ?? -Infinity) - (a.avg_change_pct ?? -Infinity)
+  );
+  const strongest = rankedSectors.find((sector) => sector.avg_change_pct !== null);
+
+  const sectorBlocks = useMemo(
+    () =>
+      rankedSectors
+        .filter((sector) => !sectorFilter || sector.sector === sectorFilter)
+        .map((sector) => ({
+          ...sector,
+          moves: moves
+            .filter((move) => move.sector === sector.sector)
+            .sort((a, b) => (b.change_pct ?? -Infinity) - (a.change_pct ?? -Infinity)),
+        })),
+    [overview, sectorFilter]
+  );
+
+  const kpis = [
+    {
+      title: "Forecasted",
+      value: overview ? `${forecasted.length} / ${moves.length}` : "--",
+      note: overview ? `${moves.length - forecasted.length} without a usable model` : "Symbols in the local universe",
+      tone: "blue",
+    },
+    {
+      title: "Average Move",
+      value: signed(avgChange),
+      note: overview ? `Equal-weighted, ${overview.horizon}-day horizon` : "--",
+      tone: avgChange !== null && avgChange < 0 ? "amber" : "green",
+    },
+    {
+      title: "Breadth",
+      value: overview ? `${advancers} up / ${forecasted.length - advancers} down` : "--",
+      note: "Projected direction count",
+      tone: "slate",
+    },
+    {
+      title: "Strongest Sector",
+      value: strongest ? strongest.sector : "--",
+      note: strongest ? `${signed(strongest.avg_change_pct)} average` : "--",
+      tone: "teal",
+    },
+  ];
+
+  return (
+    <>
+      <PageHeader title="Market Overview" subtitle="Projected moves across the local NSE universe, grouped by sector.">
+        <div className="meta-card">
+          <span className="meta-label">Sectors</span>
+          <span className="meta-value">{overview ? overview.sectors.length : "--"}</span>
+        </div>
+      </PageHeader>
+
+      <section className="kpi-grid reveal delay-3">
+        {kpis.map((kpi) => (
+          <article key={kpi.title} className={`kpi-card ${kpi.tone}`}>
+            <p className="kpi-title">{kpi.title}</p>
+            <p className="kpi-value">{kpi.value}</p>
+            <p className="kpi-note">{kpi.note}</p>
+          </article>
+        ))}
+      </section>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel chart-panel reveal delay-3">
+        <div className="panel-head">
+          <h3>Sector Heatmap</h3>
+          <span className="muted">
+            {overview
+              ? `Generated ${new Date(overview.generated_at_utc).toLocaleString("en-IN")}`
+              : "Runs every saved model over its latest closes"}
+          </span>
+        </div>
+
+        <div className="form filter-row">
+          <div className="field-grid three-col">
+            <label>
+              <span>Horizon (Days)</span>
+              <input
+                type="number"
+                min="1"
+                max="120"
+                value={settings.horizon}
+                onChange={(e) => setSettings((s) => ({ ...s, horizon: e.target.value }))}
+              />
+            </label>
+
+            <label>
+              <span>Data Source</span>
+              <select
+                value={settings.data_source}
+                onChange={(e) => setSettings((s) => ({ ...s, data_source: e.target.value }))}
+              >
+                {sourceOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              <span>Sector</span>
+              <select value={sectorFilter} onChange={(e) => setSectorFilter(e.target.value)}>
+                <option value="">All sectors</option>
+                {(overview?.sectors || []).map((sector) => (
+                  <option key={sector.sector} value={sector.sector}>
+                    {sector.sector}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="preset-row">
+            {horizonPresets.map((preset) => (
+              <button
+                key={preset}
+                type="button"
+                className={`preset ${Number(settings.horizon) === preset ? "active" : ""}`}
+                onClick={() => setSettings((s) => ({ ...s, horizon: preset }))}
+              >
+                {preset}D
+              </button>
+            ))}
+            <span className="muted">Colour scale</span>
+            {scaleOptions.map((option) => (
+              <button
+                key={option}
+                type="button"
+                className={`preset ${scale === option ? "active" : ""}`}
+                onClick={() => setScale(option)}
+              >
+                ±{option}%
+              </button>
+            ))}
+          </div>
+
+          <div className="action-row">
+            <button className="btn ghost" type="button" disabled={loading} onClick={() => loadOverview({ fresh: true })}>
+              Refresh
+            </button>
+            <button className="btn primary" type="button" disabled={loading} onClick={() => loadOverview()}>
+              {loading ? "Running forecasts..." : "Run Overview"}
+            </button>
+          </div>
+        </div>
+
+        {sectorBlocks.length === 0 ? (
+          <div className="empty">{loading ? "Forecasting the universe..." : "Run the overview to build the heatmap."}</div>
+        ) : (
+          <div className="sector-map">
+            {sectorBlocks.map((sector) => (
+              <div
+                key={sector.sector}
+                className="sector-block"
+                style={{ gridColumn: `span ${Math.min(3, Math.ceil(sector.symbols / 4))}` }}
+              >
+                <div className="sector-block-head">
+                  <strong>{sector.sector}</strong>
+                  <span className={sector.avg_change_pct === null ? "muted" : sector.avg_change_pct >= 0 ? "positive" : "negative"}>
+                    {signed(sector.avg_change_pct)}
+                  </span>
+                </div>
+                <div className="sector-tiles">
+                  {sector.moves.map((move) => (
+                    <Link
+                      key={move.symbol}
+                      to={tileLink(move.symbol, settings)}
+                      className="move-tile"
+                      style={{ background: tileColor(move.change_pct, scale) }}
+                      title={`${move.name} · ${move.industry}${
+                        move.status === "ok"
+                          ? ` · Rs ${formatInr(move.last_close)} → Rs ${formatInr(move.forecast_close)}`
+                          : ` · ${move.message}`
+                      }`}
+                    >
+                      <span className="move-symbol">{move.symbol}</span>
+                      <span className="move-change">{move.status === "ok" ? signed(move.change_pct) : "no model"}</span>
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="panel table-panel reveal delay-4">
+        <div className="panel-head">
+          <h3>Sector Summary</h3>
+          <span className="muted">Average projected move, highest first</span>
+        </div>
+
+        {rankedSectors.length === 0 ? (
+          <div className="empty">No sectors yet.</div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Sector</th>
+                  <th>Symbols</th>
+                  <th>Forecasted</th>
+                  <th>Average Move</th>
+                  <th>Best</th>
+                  <th>Worst</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rankedSectors.map((sector) => (
+                  <tr
+                    key={sector.sector}
+                    className={`clickable-row ${sectorFilter === sector.sector ? "selected" : ""}`}
+                    onClick={() => setSectorFilter((current) => (current === sector.sector ? "" : sector.sector))}
+                  >
+                    <td>{sector.sector}</td>
+                    <td>{sector.symbols}</td>
+                    <td>{sector.forecasted}</td>
+                    <td className={sector.avg_change_pct === null ? "" : sector.avg_change_pct >= 0 ? "positive" : "negative"}>
+                      {signed(sector.avg_change_pct)}
+                    </td>
+                    <td>{sector.best || "--"}</td>
+                    <td>{sector.worst || "--"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,282 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+
+import { listArtifacts, pinArtifact, rollbackArtifact, unpinArtifact } from "../api";
+import PageHeader from "../components/PageHeader";
+import { errorMessage, formatPct, versionLabel } from "../format";
+
+const STALE_AFTER_DAYS = 30;
+const WEAK_DIRECTION_ACCURACY = 0.5;
+
+const columns = [
+  { key: "ticker", label: "Ticker" },
+  { key: "version", label: "Version" },
+  { key: "transform", label: "Transform" },
+  { key: "input_len", label: "Input" },
+  { key: "pred_len", label: "Pred" },
+  { key: "val_loss", label: "Val Loss" },
+  { key: "val_rmse", label: "Val RMSE" },
+  { key: "direction_accuracy", label: "Direction" },
+  { key: "train_samples", label: "Train N" },
+  { key: "val_samples", label: "Val N" },
+  { key: "trained_at_utc", label: "Trained (UTC)" },
+];
+
+function ageInDays(isoDate) {
+  if (!isoDate) {
+    return null;
+  }
+  const trainedAt = Date.parse(isoDate);
+  if (Number.isNaN(trainedAt)) {
+    return null;
+  }
+  return (Date.now() - trainedAt) / 86_400_000;
+}
+
+function formatMetric(value) {
+  return typeof value === "number" ? value.toFixed(6) : "--";
+}
+
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return 1;
+  }
+  if (b === null || b === undefined) {
+    return -1;
+  }
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+export default function ModelsPage() {
+  const [artifacts, setArtifacts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const [query, setQuery] = useState("");
+  const [transformFilter, setTransformFilter] = useState("all");
+  const [activeOnly, setActiveOnly] = useState(true);
+  const [sort, setSort] = useState({ key: "trained_at_utc", direction: "desc" });
+
+  async function loadArtifacts() {
+    setError("");
+    setLoading(true);
+    try {
+      const data = await listArtifacts();
+      setArtifacts(data.artifacts || []);
+    } catch (err) {
+      setError(errorMessage(err, "Artifact listing failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadArtifacts();
+  }, []);
+
+  async function onVersionAction(row, action) {
+    setError("");
+    try {
+      const actions = {
+        pin: () => pinArtifact(row.ticker, row.artifact),
+        unpin: () => unpinArtifact(row.ticker),
+        rollback: () => rollbackArtifact(row.ticker),
+      };
+      const data = await actions[action]();
+      setArtifacts(data.artifacts || []);
+    } catch (err) {
+      setError(errorMessage(err, "Model version update failed"));
+    }
+  }
+
+  const transforms = useMemo(
+    () => [...new Set(artifacts.map((item) => item.transform))].sort(),
+    [artifacts]
+  );
+
+  const rows = useMemo(() => {
+    const needle = query.trim().toUpperCase();
+    const filtered = artifacts.filter(
+      (item) =>
+        (!needle || item.ticker.toUpperCase().includes(needle)) &&
+        (transformFilter === "all" || item.transform === transformFilter) &&
+        (!activeOnly || item.is_active)
+    );
+
+    const sign = sort.direction === "asc" ? 1 : -1;
+    return filtered
+      .map((item) => {
+        const age = ageInDays(item.trained_at_utc);
+        return {
+          ...item,
+          stale: age === null || age > STALE_AFTER_DAYS,
+          weak:
+            typeof item.direction_accuracy === "number" &&
+            item.direction_accuracy < WEAK_DIRECTION_ACCURACY,
+        };
+      })
+      .sort((a, b) => sign * compareValues(a[sort.key], b[sort.key]));
+  }, [artifacts, query, transformFilter, activeOnly, sort]);
+
+  const activeCount = artifacts.filter((item) => item.is_active).length;
+  const staleCount = rows.filter((row) => row.stale).length;
+  const weakCount = rows.filter((row) => row.weak).length;
+
+  function toggleSort(key) {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, direction: prev.direction === "asc" ? "desc" : "asc" }
+        : { key, direction: "asc" }
+    );
+  }
+
+  return (
+    <>
+      <PageHeader
+        title="Model Monitoring"
+        subtitle="Review trained DLinear artifacts and their validation quality."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Artifacts</span>
+          <span className="meta-value">{artifacts.length}</span>
+        </div>
+      </PageHeader>
+
+      <section className="kpi-grid reveal delay-3">
+        <article className="kpi-card blue">
+          <p className="kpi-title">Tickers Covered</p>
+          <p className="kpi-value">{activeCount}</p>
+          <p className="kpi-note">Pinned or newest version serves predictions</p>
+        </article>
+        <article className="kpi-card slate">
+          <p className="kpi-title">Shown</p>
+          <p className="kpi-value">{rows.length}</p>
+          <p className="kpi-note">After filters</p>
+        </article>
+        <article className="kpi-card amber">
+          <p className="kpi-title">Stale Models</p>
+          <p className="kpi-value">{staleCount}</p>
+          <p className="kpi-note">Trained over {STALE_AFTER_DAYS} days ago</p>
+        </article>
+        <article className="kpi-card teal">
+          <p className="kpi-title">Weak Models</p>
+          <p className="kpi-value">{weakCount}</p>
+          <p className="kpi-note">Direction accuracy below {formatPct(WEAK_DIRECTION_ACCURACY * 100)}</p>
+        </article>
+      </section>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel table-panel reveal delay-3">
+        <div className="panel-head">
+          <h3>Saved Models</h3>
+          <button className="btn ghost" type="button" disabled={loading} onClick={loadArtifacts}>
+            {loading ? "Refreshing..." : "Refresh"}
+          </button>
+        </div>
+
+        <div className="field-grid three-col filter-row">
+          <label>
+            <span>Ticker Filter</span>
+            <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="e.g. BANK" />
+          </label>
+
+          <label>
+            <span>Transform</span>
+            <select value={transformFilter} onChange={(e) => setTransformFilter(e.target.value)}>
+              <option value="all">all</option>
+              {transforms.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            <span>Versions</span>
+            <select value={activeOnly ? "active" : "all"} onChange={(e) => setActiveOnly(e.target.value === "active")}>
+              <option value="active">active per ticker</option>
+              <option value="all">all artifacts</option>
+            </select>
+          </label>
+        </div>
+
+        {rows.length === 0 ? (
+          <div className="empty">{loading ? "Loading artifacts..." : "No saved models match the current filters."}</div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  {columns.map((column) => (
+                    <th key={column.key}>
+                      <button type="button" className="sort-button" onClick={() => toggleSort(column.key)}>
+                        {column.label}
+                        {sort.key === column.key ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}
+                      </button>
+                    </th>
+                  ))}
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.artifact} className={row.is_active ? "" : "inactive-row"}>
+                    <td>
+                      <Link to={`/forecast/${encodeURIComponent(row.ticker)}`}>{row.ticker}</Link>
+                    </td>
+                    <td>
+                      {versionLabel(row.version)}
+                      {row.is_pinned && <span className="status-tag completed">pinned</span>}
+                    </td>
+                    <td>{row.transform}</td>
+                    <td>{row.input_len}</td>
+                    <td>{row.pred_len}</td>
+                    <td>{formatMetric(row.val_loss)}</td>
+                    <td>{formatMetric(row.val_rmse)}</td>
+                    <td className={row.weak ? "negative" : ""}>
+                      {typeof row.direction_accuracy === "number" ? formatPct(row.direction_accuracy * 100) : "--"}
+                    </td>
+                    <td>{row.train_samples ?? "--"}</td>
+                    <td>{row.val_samples ?? "--"}</td>
+                    <td className={row.stale ? "negative" : ""}>{row.trained_at_utc || "--"}</td>
+                    <td>
+                      <div className="preset-row">
+                        {row.is_pinned ? (
+                          <button type="button" className="preset" onClick={() => onVersionAction(row, "unpin")}>
+                            Unpin
+                          </button>
+                        ) : (
+                          <button type="button" className="preset" onClick={() => onVersionAction(row, "pin")}>
+                            Pin
+                          </button>
+                        )}
+                        {row.is_active && (
+                          <button type="button" className="preset" onClick={() => onVersionAction(row, "rollback")}>
+                            Roll Back
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,465 @@
+import { useMemo, useState } from "react";
+import { Link, useOutletContext } from "react-router-dom";
+import {
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ReferenceArea,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+import { getHistory, predictStock } from "../api";
+import PageHeader from "../components/PageHeader";
+import { errorMessage, formatInr, formatPct } from "../format";
+import usePersistentState from "../hooks/usePersistentState";
+
+const sourceOptions = ["local", "auto", "yfinance"];
+const emptyHolding = { symbol: "", quantity: "", cost: "" };
+
+async function loadPosition(holding, form) {
+  const params = {
+    ticker: holding.symbol,
+    history_points: Number(form.history_points),
+    data_source: form.data_source,
+  };
+  try {
+    const data = await predictStock({ ...params, horizon: Number(form.horizon) });
+    return { ...holding, history: data.history, forecast: data.forecast, lastClose: data.last_close, note: "" };
+  } catch (err) {
+    // Without a trained model the position is held flat at its last close.
+    const data = await getHistory(params);
+    return {
+      ...holding,
+      history: data.history,
+      forecast: [],
+      lastClose: data.history.at(-1)?.value,
+      note: errorMessage(err, "No forecast"),
+    };
+  }
+}
+
+function aggregateCurve(positions) {
+  if (positions.length === 0) {
+    return [];
+  }
+
+  // History only where every position has a close, so the sum never drops a holding.
+  const closesBySymbol = positions.map((position) => new Map(position.history.map((point) => [point.date, point.value])));
+  const history = positions[0].history
+    .map((point) => point.date)
+    .filter((date) => closesBySymbol.every((closes) => closes.has(date)))
+    .map((date) => ({
+      date,
+      history: positions.reduce((total, position, index) => total + position.quantity * closesBySymbol[index].get(date), 0),
+      forecast: null,
+    }));
+
+  const horizon = Math.max(...positions.map((position) => position.forecast.length));
+  if (horizon === 0) {
+    return history;
+  }
+
+  const forecast = Array.from({ length: horizon }, (_, step) => ({
+    date: positions.map((position) => position.forecast[step]?.date).filter(Boolean).sort().at(-1),
+    history: null,
+    forecast: positions.reduce(
+      (total, position) => total + position.quantity * (position.forecast[step]?.value ?? position.lastClose),
+      0
+    ),
+  }));
+
+  // Repeat today's value so the forecast line starts where history ends.
+  if (history.length > 0) {
+    history[history.length - 1].forecast = history.at(-1).history;
+  }
+  return [...history, ...forecast];
+}
+
+export default function PortfolioPage() {
+  const { symbols } = useOutletContext();
+
+  const [holdings, setHoldings] = usePersistentState("kavout.portfolio", []);
+  const [draft, setDraft] = useState(emptyHolding);
+  const [form, setForm] = useState({ horizon: 10, history_points: 120, data_source: "local" });
+  const [positions, setPositions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  function onAddHolding(event) {
+    event.preventDefault();
+    const symbol = draft.symbol.trim().toUpperCase();
+    const quantity = Number(draft.quantity);
+    const cost = Number(draft.cost);
+    if (!symbol || !(quantity > 0) || !(cost > 0)) {
+      setError("Enter a symbol, a positive quantity and a positive cost per share.");
+      return;
+    }
+    setError("");
+    // Adding a symbol already held averages the cost over the combined quantity.
+    setHoldings((prev) => {
+      const existing = prev.find((item) => item.symbol === symbol);
+      if (!existing) {
+        return [...prev, { symbol, quantity, cost }];
+      }
+      const total = existing.quantity + quantity;
+      const averageCost = (existing.cost * existing.quantity + cost * quantity) / total;
+      return prev.map((item) => (item.symbol === symbol ? { symbol, quantity: total, cost: averageCost } : item));
+    });
+    setDraft(emptyHolding);
+  }
+
+  function onRemoveHolding(symbol) {
+    setHoldings((prev) => prev.filter((item) => item.symbol !== symbol));
+    setPositions((prev) => prev.filter((item) => item.symbol !== symbol));
+  }
+
+  async function onRunForecasts() {
+    if (holdings.length === 0) {
+      setError("Add at least one holding.");
+      return;
+    }
+    setError("");
+    setLoading(true);
+
+    const settled = await Promise.allSettled(holdings.map((holding) => loadPosition(holding, form)));
+    const loaded = settled.filter((item) => item.status === "fulfilled").map((item) => item.value);
+    const failed = settled
+      .map((item, index) => (item.status === "rejected" ? holdings[index].symbol : null))
+      .filter(Boolean);
+
+    setPositions(loaded);
+    if (failed.length > 0) {
+      setError(`No data for ${failed.join(", ")}; left out of the totals.`);
+    }
+    setLoading(false);
+  }
+
+  const rows = useMemo(() => {
+    const currentTotal = positions.reduce((total, position) => total + position.quantity * position.lastClose, 0);
+    return positions.map((position) => {
+      const end = position.forecast.at(-1)?.value ?? position.lastClose;
+      const value = position.quantity * position.lastClose;
+      const projectedValue = position.quantity * end;
+      return {
+        symbol: position.symbol,
+        quantity: position.quantity,
+        cost: position.cost,
+        lastClose: position.lastClose,
+        forecastEnd: position.forecast.length > 0 ? end : null,
+        costValue: position.quantity * position.cost,
+        value,
+        unrealised: value - position.quantity * position.cost,
+        projectedValue,
+        projectedChange: projectedValue - value,
+        weight: currentTotal ? (value / currentTotal) * 100 : 0,
+        // Share of the whole portfolio's move that this position accounts for, in portfolio %.
+        contribution: currentTotal ? ((projectedValue - value) / currentTotal) * 100 : 0,
+        note: position.note,
+      };
+    });
+  }, [positions]);
+
+  const totals = rows.reduce(
+    (acc, row) => ({
+      cost: acc.cost + row.costValue,
+      value: acc.value + row.value,
+      projected: acc.projected + row.projectedValue,
+    }),
+    { cost: 0, value: 0, projected: 0 }
+  );
+  const projectedPnl = totals.projected - totals.value;
+  const projectedPct = totals.value ? (projectedPnl / totals.value) * 100 : null;
+
+  const chartData = useMemo(() => aggregateCurve(positions), [positions]);
+  const forecastStartDate = chartData.find((point) => point.history === null)?.date;
+
+  const kpis = [
+    {
+      title: "Cost Basis",
+      value: rows.length ? `Rs ${formatInr(totals.cost)}` : "--",
+      note: `${holdings.length} holdings`,
+      tone: "blue",
+    },
+    {
+      title: "Current Value",
+      value: rows.length ? `Rs ${formatInr(totals.value)}` : "--",
+      note: rows.length ? `Unrealised Rs ${formatInr(totals.value - totals.cost)}` : "Run forecasts to price holdings",
+      tone: "slate",
+    },
+    {
+      title: "Projected Value",
+      value: rows.length ? `Rs ${formatInr(totals.projected)}` : "--",
+      note: `At ${form.horizon}-day horizon`,
+      tone: "teal",
+    },
+    {
+      title: "Projected P&L",
+      value: projectedPct !== null ? `Rs ${formatInr(projectedPnl)}` : "--",
+      note:
+        projectedPct !== null
+          ? `${projectedPct >= 0 ? "+" : ""}${formatPct(projectedPct)} vs today, Rs ${formatInr(totals.projected - totals.cost)} vs cost`
+          : "--",
+      tone: projectedPnl >= 0 ? "green" : "amber",
+    },
+  ];
+
+  return (
+    <>
+      <PageHeader
+        title="Portfolio"
+        subtitle="Forecast every holding and roll the projections up into portfolio value and P&L."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Holdings</span>
+          <span className="meta-value">{holdings.length}</span>
+        </div>
+      </PageHeader>
+
+      <section className="kpi-grid reveal delay-3">
+        {kpis.map((kpi) => (
+          <article key={kpi.title} className={`kpi-card ${kpi.tone}`}>
+            <p className="kpi-title">{kpi.title}</p>
+            <p className="kpi-value">{kpi.value}</p>
+            <p className="kpi-note">{kpi.note}</p>
+          </article>
+        ))}
+      </section>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel-grid">
+        <article className="panel reveal delay-2">
+          <div className="panel-head">
+            <h3>Holdings</h3>
+            <span className="pill">Saved locally</span>
+          </div>
+
+          <form className="form" onSubmit={onAddHolding}>
+            <div className="field-grid three-col">
+              <label>
+                <span>Symbol</span>
+                <input
+                  value={draft.symbol}
+                  onChange={(e) => setDraft((s) => ({ ...s, symbol: e.target.value.toUpperCase() }))}
+                  list="symbol-options"
+                  placeholder="RELIANCE"
+                />
+              </label>
+
+              <label>
+                <span>Quantity</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={draft.quantity}
+                  onChange={(e) => setDraft((s) => ({ ...s, quantity: e.target.value }))}
+                />
+              </label>
+
+              <label>
+                <span>Cost / Share (Rs)</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={draft.cost}
+                  onChange={(e) => setDraft((s) => ({ ...s, cost: e.target.value }))}
+                />
+              </label>
+            </div>
+
+            <button className="btn ghost" type="submit">
+              Add Holding
+            </button>
+          </form>
+
+          {holdings.length === 0 ? (
+            <div className="empty">No holdings yet. {symbols.length > 0 && `${symbols.length} local symbols available.`}</div>
+          ) : (
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Symbol</th>
+                    <th>Quantity</th>
+                    <th>Cost / Share (Rs)</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {holdings.map((holding) => (
+                    <tr key={holding.symbol}>
+                      <td>{holding.symbol}</td>
+                      <td>{holding.quantity}</td>
+                      <td>{formatInr(holding.cost)}</td>
+                      <td>
+                        <button type="button" className="preset" onClick={() => onRemoveHolding(holding.symbol)}>
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </article>
+
+        <article className="panel reveal delay-3">
+          <div className="panel-head">
+            <h3>Forecast Settings</h3>
+            <span className="pill alt">Predict</span>
+          </div>
+
+          <div className="form">
+            <div className="field-grid three-col">
+              <label>
+                <span>Horizon (Days)</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="120"
+                  value={form.horizon}
+                  onChange={(e) => setForm((s) => ({ ...s, horizon: e.target.value }))}
+                />
+              </label>
+
+              <label>
+                <span>History Points</span>
+                <input
+                  type="number"
+                  min="20"
+                  max="500"
+                  value={form.history_points}
+                  onChange={(e) => setForm((s) => ({ ...s, history_points: e.target.value }))}
+                />
+              </label>
+
+              <label>
+                <span>Data Source</span>
+                <select value={form.data_source} onChange={(e) => setForm((s) => ({ ...s, data_source: e.target.value }))}>
+                  {sourceOptions.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <p className="muted">
+              Each holding uses its active saved model. Holdings without one are held flat at their last close.
+            </p>
+
+            <button className="btn primary" type="button" disabled={loading || holdings.length === 0} onClick={onRunForecasts}>
+              {loading ? `Forecasting ${holdings.length} holdings...` : "Run Portfolio Forecast"}
+            </button>
+          </div>
+        </article>
+      </section>
+
+      <section className="panel chart-panel reveal delay-3">
+        <div className="panel-head">
+          <h3>Portfolio Value</h3>
+          <span className="muted">Sum of quantity x close, then x forecast</span>
+        </div>
+
+        {chartData.length === 0 ? (
+          <div className="empty">Run the portfolio forecast to build the aggregated curve.</div>
+        ) : (
+          <div className="chart-wrap">
+            <ResponsiveContainer width="100%" height={360}>
+              <ComposedChart data={chartData} margin={{ top: 10, right: 20, left: 8, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="4 4" stroke="#d5e1ed" />
+                <XAxis dataKey="date" minTickGap={24} />
+                <YAxis width={96} domain={["auto", "auto"]} tickFormatter={(value) => `Rs ${Math.round(value)}`} />
+                <Tooltip
+                  formatter={(value, name) => [`Rs ${formatInr(Number(value))}`, name]}
+                  labelStyle={{ color: "#0f1f2e", fontWeight: 700 }}
+                />
+                <Legend />
+                {forecastStartDate && (
+                  <ReferenceArea x1={forecastStartDate} x2={chartData.at(-1)?.date} fill="#0f7aed" fillOpacity={0.07} />
+                )}
+                <Line type="monotone" dataKey="history" name="Portfolio" stroke="#0f7aed" dot={false} strokeWidth={2.5} />
+                <Line
+                  type="monotone"
+                  dataKey="forecast"
+                  name="Projected"
+                  stroke="#ef9b0f"
+                  strokeDasharray="6 4"
+                  dot={false}
+                  strokeWidth={2.5}
+                />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </section>
+
+      <section className="panel table-panel reveal delay-4">
+        <div className="panel-head">
+          <h3>Positions</h3>
+          <span className="muted">Contribution is each position's projected move as a share of portfolio value</span>
+        </div>
+
+        {rows.length === 0 ? (
+          <div className="empty">Run the portfolio forecast to price positions.</div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Symbol</th>
+                  <th>Qty</th>
+                  <th>Last Close (Rs)</th>
+                  <th>Value (Rs)</th>
+                  <th>Weight</th>
+                  <th>Unrealised (Rs)</th>
+                  <th>Forecast End (Rs)</th>
+                  <th>Projected Value (Rs)</th>
+                  <th>Projected P&amp;L (Rs)</th>
+                  <th>Contribution</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.symbol}>
+                    <td>
+                      <Link to={`/forecast/${encodeURIComponent(row.symbol)}`}>{row.symbol}</Link>
+                    </td>
+                    <td>{row.quantity}</td>
+                    <td>{formatInr(row.lastClose)}</td>
+                    <td>{formatInr(row.value)}</td>
+                    <td>{formatPct(row.weight)}</td>
+                    <td className={row.unrealised >= 0 ? "positive" : "negative"}>{formatInr(row.unrealised)}</td>
+                    <td title={row.note}>{row.forecastEnd === null ? "Held flat" : formatInr(row.forecastEnd)}</td>
+                    <td>{formatInr(row.projectedValue)}</td>
+                    <td className={row.projectedChange >= 0 ? "positive" : "negative"}>
+                      {row.projectedChange >= 0 ? "+" : ""}
+                      {formatInr(row.projectedChange)}
+                    </td>
+                    <td className={row.contribution >= 0 ? "positive" : "negative"}>
+                      {row.contribution >= 0 ? "+" : ""}
+                      {formatPct(row.contribution)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,199 @@
+import { useEffect, useMemo, useState } from "react";
+
+import { getCalendar, resetCalendar, updateCalendar } from "../api";
+import PageHeader from "../components/PageHeader";
+import SymbolMetadataPanel from "../components/SymbolMetadataPanel";
+import { errorMessage } from "../format";
+
+const emptyHoliday = { date: "", name: "" };
+
+function weekdayName(isoDate) {
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString("en-IN", { weekday: "short" });
+}
+
+export default function SettingsPage() {
+  const [calendar, setCalendar] = useState(null);
+  const [draft, setDraft] = useState([]);
+  const [newHoliday, setNewHoliday] = useState(emptyHoliday);
+  const [year, setYear] = useState("all");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  function applyCalendar(data) {
+    setCalendar(data);
+    setDraft(data.holidays);
+  }
+
+  useEffect(() => {
+    getCalendar()
+      .then(applyCalendar)
+      .catch((err) => setError(errorMessage(err, "Calendar load failed")));
+  }, []);
+
+  const years = useMemo(() => [...new Set(draft.map((holiday) => holiday.date.slice(0, 4)))].sort(), [draft]);
+  const rows = draft.filter((holiday) => year === "all" || holiday.date.startsWith(year));
+  const dirty = calendar !== null && JSON.stringify(draft) !== JSON.stringify(calendar.holidays);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const nextHoliday = draft.find((holiday) => holiday.date >= today);
+
+  function onAdd(event) {
+    event.preventDefault();
+    setError("");
+    const name = newHoliday.name.trim();
+    if (!newHoliday.date || !name) {
+      setError("Pick a date and enter a name for the holiday.");
+      return;
+    }
+    const day = new Date(`${newHoliday.date}T00:00:00`).getDay();
+    if (day === 0 || day === 6) {
+      setError(`${newHoliday.date} is a weekend; the market is already closed.`);
+      return;
+    }
+    setDraft((prev) =>
+      [...prev.filter((holiday) => holiday.date !== newHoliday.date), { date: newHoliday.date, name }].sort((a, b) =>
+        a.date.localeCompare(b.date)
+      )
+    );
+    setNewHoliday(emptyHoliday);
+  }
+
+  async function onSave() {
+    setError("");
+    setSaving(true);
+    try {
+      applyCalendar(await updateCalendar(draft));
+    } catch (err) {
+      setError(errorMessage(err, "Calendar update failed"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function onReset() {
+    setError("");
+    setSaving(true);
+    try {
+      applyCalendar(await resetCalendar());
+    } catch (err) {
+      setError(errorMessage(err, "Calendar reset failed"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <>
+      <PageHeader
+        title="Settings"
+        subtitle="Exchange calendar for forecast dates and gap checks, and symbol metadata for sector views."
+      >
+        <div className="meta-card">
+          <span className="meta-label">Next Holiday</span>
+          <span className="meta-value">{nextHoliday ? nextHoliday.date : "--"}</span>
+        </div>
+      </PageHeader>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel table-panel reveal delay-2">
+        <div className="panel-head">
+          <h3>{calendar?.exchange || "NSE"} Trading Calendar</h3>
+          <span className={`pill ${calendar?.source === "custom" ? "" : "alt"}`}>
+            {calendar ? (calendar.source === "custom" ? "Custom" : "Bundled") : "Loading"}
+          </span>
+        </div>
+
+        <form className="form filter-row" onSubmit={onAdd}>
+          <div className="field-grid two-col">
+            <label>
+              <span>Date</span>
+              <input
+                type="date"
+                value={newHoliday.date}
+                onChange={(e) => setNewHoliday((s) => ({ ...s, date: e.target.value }))}
+              />
+            </label>
+
+            <label>
+              <span>Name</span>
+              <input
+                value={newHoliday.name}
+                onChange={(e) => setNewHoliday((s) => ({ ...s, name: e.target.value }))}
+                placeholder="Diwali Laxmi Pujan"
+              />
+            </label>
+          </div>
+
+          <button className="btn ghost" type="submit">
+            Add Holiday
+          </button>
+
+          <div className="preset-row">
+            {["all", ...years].map((option) => (
+              <button
+                key={option}
+                type="button"
+                className={`preset ${year === option ? "active" : ""}`}
+                onClick={() => setYear(option)}
+              >
+                {option === "all" ? "All years" : option}
+              </button>
+            ))}
+          </div>
+        </form>
+
+        {rows.length === 0 ? (
+          <div className="empty">{calendar ? "No holidays listed." : "Loading calendar..."}</div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Day</th>
+                  <th>Holiday</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((holiday) => (
+                  <tr key={holiday.date} className={holiday.date < today ? "inactive-row" : ""}>
+                    <td>{holiday.date}</td>
+                    <td>{weekdayName(holiday.date)}</td>
+                    <td>{holiday.name}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="preset"
+                        onClick={() => setDraft((prev) => prev.filter((item) => item.date !== holiday.date))}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="action-row">
+          <button className="btn ghost" type="button" disabled={saving || calendar?.source !== "custom"} onClick={onReset}>
+            Reset to Bundled
+          </button>
+          <button className="btn primary" type="button" disabled={saving || !dirty} onClick={onSave}>
+            {saving ? "Saving..." : dirty ? "Save Calendar" : "Saved"}
+          </button>
+        </div>
+      </section>
+
+      <SymbolMetadataPanel />
+    </>
+  );
+}
@@ -0,0 +1,331 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useOutletContext } from "react-router-dom";
+
+import { listArtifacts, predictStock } from "../api";
+import PageHeader from "../components/PageHeader";
+import { downloadBlob } from "../download";
+import { errorMessage, formatInr, formatPct } from "../format";
+import { parseWatchlistFile } from "../hooks/useWatchlists";
+
+const sourceOptions = ["local", "auto", "yfinance"];
+
+const sortOptions = {
+  change: { label: "Projected change", pick: (row) => row.change },
+  lastClose: { label: "Last close", pick: (row) => row.lastClose },
+  accuracy: { label: "Model accuracy", pick: (row) => row.accuracy },
+};
+
+function parseSymbols(raw) {
+  return raw.split(/[\s,]+/).map((item) => item.trim().toUpperCase()).filter(Boolean);
+}
+
+export default function WatchlistsPage() {
+  const { watchlists } = useOutletContext();
+  const { activeList } = watchlists;
+
+  const [draftName, setDraftName] = useState("");
+  const [draftSymbols, setDraftSymbols] = useState("");
+  const [settings, setSettings] = useState({ horizon: 10, data_source: "local" });
+  const [sortKey, setSortKey] = useState("change");
+
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [refreshedAt, setRefreshedAt] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setDraftName(activeList?.name || "");
+    setDraftSymbols(activeList?.symbols.join(", ") || "");
+    setLeaderboard([]);
+    setRefreshedAt(null);
+  }, [activeList?.name]);
+
+  function onSave(event) {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (!name) {
+      setError("Watchlist name is required.");
+      return;
+    }
+    setError("");
+    watchlists.saveList(name, parseSymbols(draftSymbols));
+    watchlists.setActive(name);
+  }
+
+  function onNew() {
+    watchlists.setActive("");
+    setDraftName("");
+    setDraftSymbols("");
+  }
+
+  function onExport() {
+    downloadBlob("kavout-watchlists.json", watchlists.exportJson(), "application/json");
+  }
+
+  async function onImport(event) {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      watchlists.importLists(parseWatchlistFile(await file.text()));
+      setError("");
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  }
+
+  async function onRefresh() {
+    if (!activeList || activeList.symbols.length === 0) {
+      return;
+    }
+    setError("");
+    setLoading(true);
+
+    try {
+      const [artifactData, ...settled] = await Promise.allSettled([
+        listArtifacts(),
+        ...activeList.symbols.map((ticker) =>
+          predictStock({
+            ticker,
+            horizon: Number(settings.horizon),
+            history_points: 20,
+            data_source: settings.data_source,
+          })
+        ),
+      ]);
+
+      const activeArtifacts = new Map(
+        (artifactData.status === "fulfilled" ? artifactData.value.artifacts : [])
+          .filter((item) => item.is_active)
+          .map((item) => [item.ticker, item])
+      );
+
+      setLeaderboard(
+        settled.map((item, index) => {
+          const symbol = activeList.symbols[index];
+          if (item.status === "rejected") {
+            return { symbol, error: errorMessage(item.reason, "Forecast failed") };
+          }
+          const data = item.value;
+          const end = data.forecast.at(-1)?.value;
+          const artifact = activeArtifacts.get(data.ticker);
+          return {
+            symbol,
+            lastClose: data.last_close,
+            forecastEnd: end,
+            change: data.last_close ? ((end - data.last_close) / data.last_close) * 100 : null,
+            accuracy: artifact?.direction_accuracy ?? null,
+            valRmse: artifact?.val_rmse ?? null,
+          };
+        })
+      );
+      setRefreshedAt(new Date());
+    } catch (err) {
+      setError(errorMessage(err, "Leaderboard refresh failed"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const rankedRows = useMemo(() => {
+    const pick = sortOptions[sortKey].pick;
+    return [...leaderboard].sort((a, b) => (pick(b) ?? -Infinity) - (pick(a) ?? -Infinity));
+  }, [leaderboard, sortKey]);
+
+  return (
+    <>
+      <PageHeader title="Watchlists" subtitle="Curate symbol baskets and rank them by projected move.">
+        <div className="meta-card">
+          <span className="meta-label">Lists</span>
+          <span className="meta-value">{watchlists.watchlists.length}</span>
+        </div>
+      </PageHeader>
+
+      {error && (
+        <div className="alert reveal delay-2">
+          <strong>Request Error</strong>
+          <span>{error}</span>
+        </div>
+      )}
+
+      <section className="panel-grid">
+        <article className="panel reveal delay-2">
+          <div className="panel-head">
+            <h3>Manage Watchlists</h3>
+            <span className="pill">Local</span>
+          </div>
+
+          <div className="preset-row">
+            {watchlists.watchlists.map((list) => (
+              <button
+                key={list.name}
+                type="button"
+                className={`preset ${activeList?.name === list.name ? "active" : ""}`}
+                onClick={() => watchlists.setActive(list.name)}
+              >
+                {list.name} ({list.symbols.length})
+              </button>
+            ))}
+            {watchlists.watchlists.length === 0 && <p className="muted">No watchlists yet. Create one below.</p>}
+          </div>
+
+          <form className="form spaced" onSubmit={onSave}>
+            <label>
+              <span>Name</span>
+              <input value={draftName} onChange={(e) => setDraftName(e.target.value)} placeholder="Banks" required />
+            </label>
+
+            <label>
+              <span>Symbols (comma separated)</span>
+              <input
+                value={draftSymbols}
+                onChange={(e) => setDraftSymbols(e.target.value.toUpperCase())}
+                placeholder="AXISBANK, PNB, BANKBARODA, FEDERALBNK"
+                list="symbol-options"
+              />
+            </label>
+
+            <div className="action-row three">
+              <button className="btn primary" type="submit">
+                Save
+              </button>
+              <button className="btn ghost" type="button" onClick={onNew}>
+                New
+              </button>
+              <button
+                className="btn ghost"
+                type="button"
+                disabled={!activeList}
+                onClick={() => watchlists.removeList(activeList.name)}
+              >
+                Delete
+              </button>
+            </div>
+          </form>
+
+          <div className="action-row spaced">
+            <button className="btn ghost" type="button" disabled={watchlists.watchlists.length === 0} onClick={onExport}>
+              Export JSON
+            </button>
+            <label className="btn ghost file-button">
+              Import JSON
+              <input type="file" accept="application/json,.json" onChange={onImport} />
+            </label>
+          </div>
+        </article>
+
+        <article className="panel reveal delay-3">
+          <div className="panel-head">
+            <h3>Leaderboard Settings</h3>
+            <span className="pill alt">Rank</span>
+          </div>
+
+          <div className="form">
+            <div className="field-grid three-col">
+              <label>
+                <span>Horizon (Days)</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="120"
+                  value={settings.horizon}
+                  onChange={(e) => setSettings((s) => ({ ...s, horizon: e.target.value }))}
+                />
+              </label>
+
+              <label>
+                <span>Data Source</span>
+                <select
+                  value={settings.data_source}
+                  onChange={(e) => setSettings((s) => ({ ...s, data_source: e.target.value }))}
+                >
+                  {sourceOptions.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <label>
+                <span>Rank By</span>
+                <select value={sortKey} onChange={(e) => setSortKey(e.target.value)}>
+                  {Object.entries(sortOptions).map(([key, option]) => (
+                    <option key={key} value={key}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <button className="btn primary" type="button" disabled={!activeList || loading} onClick={onRefresh}>
+              {loading ? "Running forecasts..." : `Refresh ${activeList ? activeList.name : "Leaderboard"}`}
+            </button>
+
+            <p className="muted">
+              {refreshedAt
+                ? `Last refreshed ${refreshedAt.toLocaleTimeString("en-IN")}`
+                : "Forecasts run for every symbol in the active watchlist."}
+            </p>
+          </div>
+        </article>
+      </section>
+
+      <section className="panel table-panel reveal delay-4">
+        <div className="panel-head">
+          <h3>Forecast Leaderboard</h3>
+          <span className="muted">{sortOptions[sortKey].label}, highest first</span>
+        </div>
+
+        {rankedRows.length === 0 ? (
+          <div className="empty">Select a watchlist and refresh to rank its symbols.</div>
+        ) : (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Rank</th>
+                  <th>Ticker</th>
+                  <th>Last Close (Rs)</th>
+                  <th>Forecast End (Rs)</th>
+                  <th>Projected Change</th>
+                  <th>Direction Accuracy</th>
+                  <th>Val RMSE</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rankedRows.map((row, index) => (
+                  <tr key={row.symbol}>
+                    <td>{index + 1}</td>
+                    <td>
+                      <Link to={`/forecast/${encodeURIComponent(row.symbol)}`}>{row.symbol}</Link>
+                    </td>
+                    {row.error ? (
+                      <td colSpan={5} className="muted">
+                        {row.error}
+                      </td>
+                    ) : (
+                      <>
+                        <td>{formatInr(row.lastClose)}</td>
+                        <td>{formatInr(row.forecastEnd)}</td>
+                        <td className={row.change >= 0 ? "positive" : "negative"}>
+                          {row.change >= 0 ? "+" : ""}
+                          {formatPct(row.change)}
+                        </td>
+                        <td>{row.accuracy === null ? "--" : formatPct(row.accuracy * 100)}</td>
+                        <td>{row.valRmse === null ? "--" : row.valRmse.toFixed(6)}</td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,80 @@
+const DB_NAME = "kavout-cache";
+const DB_VERSION = 1;
+const STORE = "responses";
+// Entries older than this are dropped on startup; they are too old to be useful offline.
+const MAX_AGE_MS = 14 * 86_400_000;
+
+let dbPromise = null;
+// Used when IndexedDB is unavailable (private browsing, old browsers).
+const memoryStore = new Map();
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "key" });
+      };
+      request.onsuccess = () => {
+        resolve(request.result);
+        pruneExpired(request.result);
+      };
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function pruneExpired(db) {
+  const cutoff = Date.now() - MAX_AGE_MS;
+  const cursorRequest = db.transaction(STORE, "readwrite").objectStore(STORE).openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) {
+      return;
+    }
+    if (cursor.value.storedAt < cutoff) {
+      cursor.delete();
+    }
+    cursor.continue();
+  };
+}
+
+/** Returns `{ key, data, storedAt }` or null. Storage errors read as a miss. */
+export async function readCached(key) {
+  const db = await openDb();
+  if (!db) {
+    return memoryStore.get(key) || null;
+  }
+  try {
+    return (await requestToPromise(db.transaction(STORE).objectStore(STORE).get(key))) || null;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeCached(key, data) {
+  const record = { key, data, storedAt: Date.now() };
+  const db = await openDb();
+  if (!db) {
+    memoryStore.set(key, record);
+    return record;
+  }
+  try {
+    await requestToPromise(db.transaction(STORE, "readwrite").objectStore(STORE).put(record));
+  } catch {
+    // Quota errors only cost us the offline copy.
+  }
+  return record;
+}
@@ -0,0 +1,50 @@
+/**
+ * Maps each chart date to the exchange holidays that fall between it and the
+ * previous date. Holidays never appear on the category x-axis, so they are
+ * marked on the first session after them.
+ */
+export function holidaysBeforeDates(holidays, dates) {
+  const marks = new Map();
+  if (!holidays.length || dates.length < 2) {
+    return marks;
+  }
+
+  const sorted = [...holidays].sort((a, b) => a.date.localeCompare(b.date));
+  let cursor = 0;
+  for (let index = 1; index < dates.length; index += 1) {
+    const previous = dates[index - 1];
+    const current = dates[index];
+    while (cursor < sorted.length && sorted[cursor].date <= previous) {
+      cursor += 1;
+    }
+    const skipped = [];
+    while (cursor < sorted.length && sorted[cursor].date < current) {
+      skipped.push(sorted[cursor]);
+      cursor += 1;
+    }
+    if (skipped.length > 0) {
+      marks.set(current, skipped);
+    }
+  }
+  return marks;
+}
+
+export function holidayNames(skipped) {
+  return skipped.map((holiday) => holiday.name).join(", ");
+}
+
+/** Next `horizon` weekday sessions after `lastDate`, skipping holidays; mirrors next_trading_days on the backend. */
+export function nextTradingDays(lastDate, horizon, holidays) {
+  const closed = new Set(holidays.map((holiday) => holiday.date));
+  const cursor = new Date(`${lastDate}T00:00:00Z`);
+  const dates = [];
+  while (dates.length < horizon) {
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+    const day = cursor.getUTCDay();
+    const iso = cursor.toISOString().slice(0, 10);
+    if (day !== 0 && day !== 6 && !closed.has(iso)) {
+      dates.push(iso);
+    }
+  }
+  return dates;
+}